@@ -0,0 +1,358 @@
+/**
+ * AutoLux - Inventory import
+ * Reads the sales team's stock spreadsheet (CSV, or CSV/TSV saved from Excel),
+ * validates every row against the inventory schema and writes the
+ * { cars, usedCars } structure read by the site.
+ *
+ * Usage:
+ *   node import-inventory.js <stock.csv> [--out mock-data.json] [--type new|used] [--dry-run] [--prune]
+ *   node import-inventory.js --validate [mock-data.json]
+ *
+ * Columns (header row, any order): type, id, name, brand, model, year, price, km,
+ * fuel, transmission, seats, color, rating, badge, description, images
+ *   - type: new/used (or mới/cũ); may be omitted when --type is given
+ *   - id: optional; empty ids are numbered 1-100 for new cars and 101+ for used cars,
+ *     skipping ids already in the output file
+ *   - images: several URLs separated by "|" or line breaks
+ *
+ * Cars already in the output file keep their price history (a changed price is
+ * added to it with the date of the import) and the stock status the site gave
+ * them: status, reservation and hidden flag. Cars in the output file that the
+ * spreadsheet leaves out are kept and listed; --prune removes them instead.
+ *
+ * Rejected rows are reported and left out of the output; the exit code is 1
+ * whenever a row was rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const InventoryCore = require('./inventory-core');
+
+const DEFAULT_OUTPUT = path.join(__dirname, 'mock-data.json');
+
+const INTEGER_FIELDS = ['id', 'year', 'price', 'km', 'seats'];
+
+// Schema fields the spreadsheet may leave out; stock status and price history are kept by the site
+const OPTIONAL_COLUMNS = ['id', 'rating', 'badge', 'description', 'status', 'reservedUntil', 'hidden', 'priceHistory'];
+
+// Set by the site (checkout, admin console), never by the spreadsheet
+const STOCK_FIELDS = ['status', 'reservedBy', 'reservedUntil', 'hidden'];
+
+const CONDITION_ALIASES = {
+    'new': 'new',
+    'mới': 'new',
+    'moi': 'new',
+    'used': 'used',
+    'cũ': 'used',
+    'cu': 'used'
+};
+
+// ============================================
+// CSV PARSING
+// ============================================
+
+// Excel saves CSV with ";" in Vietnamese locales and copies cells as tab-separated text
+const detectDelimiter = (text) => {
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const counts = [',', ';', '\t'].map(delimiter => ({
+        delimiter,
+        count: headerLine.split(delimiter).length
+    }));
+    return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+// RFC 4180 parser: quoted fields may contain delimiters, doubled quotes and line breaks.
+// Returns rows as { line, cells } so errors can point at the spreadsheet line.
+const parseCsv = (text) => {
+    const input = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(input);
+    const rows = [];
+    let cells = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endField = () => {
+        cells.push(field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (cells.some(cell => cell.trim() !== '')) {
+            rows.push({ line: rowLine, cells });
+        }
+        cells = [];
+        rowLine = line;
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            line++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || cells.length) endRow();
+
+    return rows;
+};
+
+// ============================================
+// ROW MAPPING
+// ============================================
+
+// Whole numbers, plain or grouped in threes: "1.850.000.000", "1,850,000,000", "1 850 000 000".
+// Anything else ("1850000000.00", "12.5") is NaN, so the row is rejected rather than misread.
+const INTEGER_PATTERN = /^-?(?:\d+|\d{1,3}([., \u00a0])\d{3}(?:\1\d{3})*)$/;
+
+const parseInteger = (value) => {
+    if (value === '') return undefined;
+    return INTEGER_PATTERN.test(value) ? Number(value.replace(/[., \u00a0]/g, '')) : NaN;
+};
+
+const parseDecimal = (value) => {
+    const normalized = value.trim().replace(',', '.');
+    return normalized === '' ? undefined : Number(normalized);
+};
+
+const rowToCar = (headers, cells) => {
+    const record = {};
+    headers.forEach((header, i) => {
+        record[header] = (cells[i] || '').trim();
+    });
+
+    const car = {};
+    const errors = [];
+    INTEGER_FIELDS.forEach(field => {
+        if (record[field] === undefined) return;
+        car[field] = parseInteger(record[field]);
+        if (Number.isNaN(car[field])) errors.push(`${field} "${record[field]}" phải là số nguyên`);
+    });
+    ['name', 'brand', 'model', 'fuel', 'transmission', 'color', 'badge', 'description'].forEach(field => {
+        if (record[field] !== undefined) car[field] = record[field];
+    });
+    if (record.rating !== undefined) car.rating = parseDecimal(record.rating);
+    car.images = (record.images || '').split(/[|\n]/).map(url => url.trim()).filter(Boolean);
+
+    // Keep the same key order as mock-data.json
+    const ordered = {};
+    ['id', 'name', 'brand', 'model', 'year', 'price', 'km', 'fuel', 'transmission', 'seats',
+        'color', 'rating', 'badge', 'description', 'images'].forEach(key => {
+        if (car[key] !== undefined && car[key] !== '') ordered[key] = car[key];
+    });
+    if (ordered.description === undefined) ordered.description = '';
+
+    return { car: ordered, condition: CONDITION_ALIASES[(record.type || '').toLowerCase()], errors };
+};
+
+// Give rows without an id the next free id in their range, skipping `takenIds`
+const assignIds = (entries, takenIds = []) => {
+    const taken = new Set([...takenIds, ...entries.filter(e => e.car.id !== undefined).map(e => e.car.id)]);
+    const next = { new: InventoryCore.ID_RANGES.new.min, used: InventoryCore.ID_RANGES.used.min };
+
+    entries.filter(e => e.car.id === undefined && e.condition).forEach(entry => {
+        while (taken.has(next[entry.condition])) next[entry.condition]++;
+        entry.car = { id: next[entry.condition], ...entry.car };
+        taken.add(next[entry.condition]);
+    });
+};
+
+// ============================================
+// IMPORT
+// ============================================
+
+const importCsv = (text, { defaultCondition, takenIds } = {}) => {
+    const [headerRow, ...rows] = parseCsv(text);
+    if (!headerRow) throw new Error('File is empty');
+
+    const headers = headerRow.cells.map(h => h.trim().toLowerCase());
+    const missing = Object.keys(InventoryCore.CAR_SCHEMA)
+        .filter(field => !OPTIONAL_COLUMNS.includes(field) && !headers.includes(field));
+    if (missing.length) {
+        throw new Error(`Missing columns: ${missing.join(', ')}`);
+    }
+
+    const rejected = [];
+    const entries = [];
+
+    rows.forEach(row => {
+        const { car, condition, errors: parseErrors } = rowToCar(headers, row.cells);
+        const entry = { line: row.line, car, condition: condition || defaultCondition };
+        if (!entry.condition) {
+            rejected.push({ line: row.line, name: car.name, errors: ['type phải là new/used (mới/cũ)'] });
+            return;
+        }
+
+        // Check the fields first so broken rows don't use up ids
+        const errors = parseErrors.length
+            ? parseErrors
+            : InventoryCore.validateCar({ id: InventoryCore.ID_RANGES[entry.condition].min, ...car });
+        if (errors.length) {
+            rejected.push({ line: row.line, id: car.id, name: car.name, errors });
+            return;
+        }
+        entries.push(entry);
+    });
+
+    // Ranges and uniqueness are checked once every row has an id
+    assignIds(entries, takenIds);
+
+    const data = {
+        cars: entries.filter(e => e.condition === 'new').map(e => e.car),
+        usedCars: entries.filter(e => e.condition === 'used').map(e => e.car)
+    };
+    const result = InventoryCore.validateInventory(data);
+
+    // Map rejected records back to their spreadsheet lines
+    result.rejected.forEach(r => {
+        const key = r.condition === 'new' ? 'cars' : 'usedCars';
+        const entry = entries.find(e => e.car === data[key][r.index]);
+        rejected.push({ line: entry.line, id: r.id, name: r.name, errors: r.errors });
+    });
+
+    return { valid: result.valid, rejected: rejected.sort((a, b) => a.line - b.line) };
+};
+
+// Carries the price history of cars already in the output file over to the imported records,
+// adding an entry for every car whose price changed since the last import
+const mergePriceHistory = (valid, previous, date = new Date().toISOString()) => {
+    const byId = new Map([...(previous.cars || []), ...(previous.usedCars || [])].map(car => [car.id, car]));
+    const since = previous.version && !isNaN(Date.parse(previous.version)) ? previous.version : date;
+    const track = (car) => InventoryCore.trackPrice(car, byId.get(car.id), date, since);
+
+    return { cars: valid.cars.map(track), usedCars: valid.usedCars.map(track) };
+};
+
+// Imported cars keep the stock fields the previous file gave them. Cars of the previous
+// file that were not imported come back as `missing` and stay in the data unless pruning.
+const carryOverStock = (imported, previous, { prune = false } = {}) => {
+    const byId = new Map([...(previous.cars || []), ...(previous.usedCars || [])].map(car => [car.id, car]));
+    const importedIds = new Set([...imported.cars, ...imported.usedCars].map(car => car.id));
+    const missing = [];
+    const data = {};
+
+    ['cars', 'usedCars'].forEach(key => {
+        const cars = imported[key].map(car => {
+            const stored = byId.get(car.id);
+            if (!stored) return car;
+            const stock = {};
+            STOCK_FIELDS.forEach(field => {
+                if (stored[field] !== undefined) stock[field] = stored[field];
+            });
+            return { ...car, ...stock };
+        });
+        const absent = (previous[key] || []).filter(car => !importedIds.has(car.id));
+        missing.push(...absent);
+        data[key] = prune ? cars : [...cars, ...absent];
+    });
+
+    return { data, missing };
+};
+
+const printReport = (valid, rejected, source) => {
+    console.log(`Accepted ${valid.cars.length} new cars and ${valid.usedCars.length} used cars from ${source}`);
+
+    if (rejected.length) {
+        console.log(`\nRejected ${rejected.length} row(s):`);
+        rejected.forEach(r => {
+            const where = r.line !== undefined ? `Line ${r.line}` : `Record ${r.index}`;
+            const label = [r.id !== undefined ? `#${r.id}` : '', r.name || ''].filter(Boolean).join(' ');
+            console.log(`  ${where}${label ? ` (${label})` : ''}:`);
+            r.errors.forEach(error => console.log(`    - ${error}`));
+        });
+    }
+};
+
+// ============================================
+// CLI
+// ============================================
+
+const parseArgs = (argv) => {
+    const options = { out: DEFAULT_OUTPUT, dryRun: false, prune: false, validate: false, type: undefined, file: undefined };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--out') options.out = path.resolve(argv[++i]);
+        else if (arg === '--type') options.type = CONDITION_ALIASES[(argv[++i] || '').toLowerCase()];
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--prune') options.prune = true;
+        else if (arg === '--validate') options.validate = true;
+        else options.file = path.resolve(arg);
+    }
+    return options;
+};
+
+const main = () => {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.validate) {
+        const file = options.file || DEFAULT_OUTPUT;
+        const { valid, rejected } = InventoryCore.validateInventory(JSON.parse(fs.readFileSync(file, 'utf8')));
+        printReport(valid, rejected.map(r => ({ ...r, index: `${r.condition}[${r.index}]` })), path.basename(file));
+        process.exitCode = rejected.length ? 1 : 0;
+        return;
+    }
+
+    if (!options.file) {
+        console.error('Usage: node import-inventory.js <stock.csv> [--out mock-data.json] [--type new|used] [--dry-run] [--prune]');
+        process.exitCode = 2;
+        return;
+    }
+
+    const previous = fs.existsSync(options.out) ? JSON.parse(fs.readFileSync(options.out, 'utf8')) : {};
+    const takenIds = [...(previous.cars || []), ...(previous.usedCars || [])].map(car => car.id);
+    const { valid, rejected } = importCsv(fs.readFileSync(options.file, 'utf8'), { defaultCondition: options.type, takenIds });
+    printReport(valid, rejected, path.basename(options.file));
+
+    const version = new Date().toISOString();
+    const { data, missing } = carryOverStock(mergePriceHistory(valid, previous, version), previous, { prune: options.prune });
+    if (missing.length) {
+        const ids = missing.map(car => `#${car.id}`).join(', ');
+        console.log(options.prune
+            ? `\nRemoved ${missing.length} car(s) missing from the spreadsheet: ${ids}`
+            : `\nKept ${missing.length} car(s) missing from the spreadsheet: ${ids} (pass --prune to remove them)`);
+    }
+
+    // A kept car may clash with an imported one (e.g. the same id under the other type)
+    const clashes = InventoryCore.validateInventory(data).rejected;
+    if (clashes.length) {
+        clashes.forEach(r => console.error(`  #${r.id} ${r.name || ''}: ${r.errors.join('; ')}`));
+        throw new Error(`${path.basename(options.out)} would not be valid; nothing written`);
+    }
+
+    if (!options.dryRun) {
+        fs.writeFileSync(options.out, JSON.stringify({ version, ...data }, null, 2));
+        console.log(`\nWrote ${options.out}`);
+    }
+
+    process.exitCode = rejected.length ? 1 : 0;
+};
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`Import failed: ${error.message}`);
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { parseCsv, importCsv, mergePriceHistory, carryOverStock };
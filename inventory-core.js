@@ -0,0 +1,1200 @@
+/**
+ * AutoLux - Inventory Core
+ * Schema validation, search, filtering, sorting and pagination shared by the browser
+ * (scripts.js), the local API server (server.js) and the import tool
+ * (import-inventory.js) so all of them agree on what a valid car is
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.InventoryCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    // Multi-select facets are arrays; ranges are "min-max" strings where either side may be empty
+    const DEFAULT_FILTERS = Object.freeze({
+        search: '',
+        brand: Object.freeze([]),
+        fuel: Object.freeze([]),
+        transmission: Object.freeze([]),
+        color: Object.freeze([]),
+        seats: Object.freeze([]),
+        price: '', // millions of VND
+        year: '',
+        km: '',
+        showSold: false
+    });
+
+    const FACET_FIELDS = ['brand', 'fuel', 'transmission', 'color', 'seats'];
+
+    // Range filters and the unit their bounds are written in
+    const RANGE_FIELDS = {
+        price: 1000000,
+        year: 1,
+        km: 1
+    };
+
+    // A fresh, mutable copy of the default filters
+    const createFilters = () => {
+        const filters = {};
+        Object.keys(DEFAULT_FILTERS).forEach(key => {
+            filters[key] = Array.isArray(DEFAULT_FILTERS[key]) ? [] : DEFAULT_FILTERS[key];
+        });
+        return filters;
+    };
+
+    const DEFAULT_PAGE_SIZE = 9;
+    const MAX_PAGE_SIZE = 100;
+
+    const FUEL_TYPES = ['Xăng', 'Dầu', 'Điện', 'Hybrid'];
+
+    const STOCK_STATUSES = ['available', 'reserved', 'sold'];
+
+    // New cars use ids 1-100, used cars 101 and up
+    const ID_RANGES = {
+        new: { min: 1, max: 100 },
+        used: { min: 101, max: Infinity }
+    };
+
+    // ============================================
+    // SCHEMA
+    // ============================================
+
+    const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+    const isInteger = (value) => Number.isInteger(value);
+    const isImageUrl = (value) => typeof value === 'string' && /^https?:\/\/\S+$/i.test(value);
+
+    // Each rule returns an error message, or null when the value is valid
+    const CAR_SCHEMA = {
+        id: (v) => isInteger(v) && v > 0 ? null : 'id phải là số nguyên dương',
+        name: (v) => isNonEmptyString(v) ? null : 'thiếu tên xe (name)',
+        brand: (v) => isNonEmptyString(v) ? null : 'thiếu hãng xe (brand)',
+        model: (v) => isNonEmptyString(v) ? null : 'thiếu model',
+        year: (v) => isInteger(v) && v >= 1950 && v <= new Date().getFullYear() + 1 ? null : 'năm sản xuất không hợp lệ',
+        price: (v) => typeof v === 'number' && isFinite(v) && v > 0 ? null : 'giá phải là số dương',
+        km: (v) => typeof v === 'number' && isFinite(v) && v >= 0 ? null : 'số km không hợp lệ',
+        fuel: (v) => FUEL_TYPES.includes(v) ? null : `nhiên liệu phải là một trong ${FUEL_TYPES.join('/')}`,
+        transmission: (v) => isNonEmptyString(v) ? null : 'thiếu hộp số (transmission)',
+        seats: (v) => isInteger(v) && v >= 2 && v <= 16 ? null : 'số ghế không hợp lệ',
+        color: (v) => isNonEmptyString(v) ? null : 'thiếu màu sắc (color)',
+        rating: (v) => v === undefined || (typeof v === 'number' && v >= 0 && v <= 5) ? null : 'đánh giá phải từ 0 đến 5',
+        badge: (v) => v === undefined || v === '' || isNonEmptyString(v) ? null : 'badge không hợp lệ',
+        description: (v) => typeof v === 'string' ? null : 'thiếu mô tả (description)',
+        status: (v) => v === undefined || STOCK_STATUSES.includes(v) ? null : `trạng thái phải là một trong ${STOCK_STATUSES.join('/')}`,
+        reservedUntil: (v) => v === undefined || !isNaN(Date.parse(v)) ? null : 'reservedUntil phải là ngày giờ hợp lệ',
+        hidden: (v) => v === undefined || typeof v === 'boolean' ? null : 'hidden phải là true/false',
+        priceHistory: (v) => v === undefined || (Array.isArray(v) && v.every(entry =>
+            entry && !isNaN(Date.parse(entry.date)) && typeof entry.price === 'number' && entry.price > 0))
+            ? null
+            : 'priceHistory phải là danh sách { date, price }',
+        images: (v) => {
+            if (!Array.isArray(v) || v.length === 0) return 'cần ít nhất một URL ảnh';
+            const invalid = v.filter(url => !isImageUrl(url));
+            return invalid.length ? `URL ảnh không hợp lệ: ${invalid.join(', ')}` : null;
+        }
+    };
+
+    // Returns a list of problems with a single car record (empty when valid)
+    const validateCar = (car) => {
+        if (!car || typeof car !== 'object') return ['bản ghi không phải là object'];
+        return Object.keys(CAR_SCHEMA)
+            .map(field => CAR_SCHEMA[field](car[field]))
+            .filter(Boolean);
+    };
+
+    const isValidCar = (car) => validateCar(car).length === 0;
+
+    // Validates a whole { cars, usedCars } structure, including id ranges and uniqueness.
+    // Returns { valid: { cars, usedCars }, rejected: [{ condition, index, id, name, errors }] }
+    const validateInventory = (data) => {
+        const seenIds = new Set();
+        const valid = { cars: [], usedCars: [] };
+        const rejected = [];
+
+        [['new', 'cars'], ['used', 'usedCars']].forEach(([condition, key]) => {
+            const range = ID_RANGES[condition];
+            (data[key] || []).forEach((car, index) => {
+                const errors = validateCar(car);
+
+                if (car && isInteger(car.id)) {
+                    if (car.id < range.min || car.id > range.max) {
+                        errors.push(condition === 'new'
+                            ? `id của xe mới phải từ ${range.min} đến ${range.max}`
+                            : `id của xe cũ phải từ ${range.min} trở lên`);
+                    }
+                    if (seenIds.has(car.id)) {
+                        errors.push(`id ${car.id} bị trùng`);
+                    }
+                    seenIds.add(car.id);
+                }
+
+                if (errors.length) {
+                    rejected.push({ condition, index, id: car && car.id, name: car && car.name, errors });
+                } else {
+                    valid[key].push(car);
+                }
+            });
+        });
+
+        return { valid, rejected };
+    };
+
+    // ============================================
+    // STOCK
+    // ============================================
+
+    // A reservation lapses on its own once reservedUntil has passed
+    const getAvailability = (car, now = Date.now()) => {
+        if (car.status === 'sold') return 'sold';
+        if (car.status === 'reserved' && car.reservedUntil && Date.parse(car.reservedUntil) > now) {
+            return 'reserved';
+        }
+        return 'available';
+    };
+
+    const isHeldBy = (car, orderId) => orderId !== undefined && orderId !== null &&
+        car.reservedBy !== undefined && car.reservedBy !== null && String(car.reservedBy) === String(orderId);
+
+    // Moves a car to 'reserved', 'sold' or 'available' for an order; only the order holding a
+    // car can sell or release it. `staff` is for the admin console and must be checked by the
+    // caller: staff may leave orderId out and put any car back on sale. Returns { car } or { error }.
+    const changeStock = (car, { status, orderId, staff = false, until, now = Date.now() } = {}) => {
+        if (!STOCK_STATUSES.includes(status)) {
+            return { error: `trạng thái phải là một trong ${STOCK_STATUSES.join('/')}` };
+        }
+        const hasOrder = orderId !== undefined && orderId !== null && orderId !== '';
+        if (!staff && !hasOrder) {
+            return { error: 'cần mã đơn hàng (orderId)' };
+        }
+        const availability = getAvailability(car, now);
+        const ours = isHeldBy(car, orderId);
+
+        if (status !== 'available' && availability !== 'available' && !ours) {
+            return { error: `Xe #${car.id} ${availability === 'sold' ? 'đã bán' : 'đang được giữ cho đơn khác'}` };
+        }
+        if (status === 'reserved' && availability === 'sold') {
+            return { error: `Xe #${car.id} đã bán` };
+        }
+        if (status === 'available' && availability !== 'available' && !staff && !ours) {
+            return { error: `Xe #${car.id} không thuộc đơn ${orderId}` };
+        }
+
+        const rest = { ...car };
+        delete rest.reservedBy;
+        delete rest.reservedUntil;
+        const holder = hasOrder ? { reservedBy: orderId } : {};
+        if (status === 'available') return { car: { ...rest, status } };
+        if (status === 'sold') return { car: { ...rest, status, ...holder } };
+        return { car: { ...rest, status, ...holder, reservedUntil: until } };
+    };
+
+    // ============================================
+    // PRICE HISTORY
+    // ============================================
+
+    // How long a lower price is advertised as "Giảm giá"
+    const PRICE_DROP_DAYS = 30;
+
+    // Dated prices, oldest first. A car without a history has only ever had its current price.
+    const getPriceHistory = (car) => car.priceHistory && car.priceHistory.length
+        ? car.priceHistory
+        : [{ date: undefined, price: car.price }];
+
+    // Carries the history of the stored record over to its new version and adds an entry
+    // when the price changed. `since` dates the old price of records without a history.
+    const trackPrice = (car, previous, date = new Date().toISOString(), since = date) => {
+        if (!previous) return car;
+
+        const history = previous.priceHistory && previous.priceHistory.length
+            ? previous.priceHistory
+            : [{ date: since, price: previous.price }];
+
+        if (car.price === previous.price) {
+            return previous.priceHistory ? { ...car, priceHistory: previous.priceHistory } : car;
+        }
+        return { ...car, priceHistory: [...history, { date, price: car.price }] };
+    };
+
+    // The most recent change as { from, to, amount, percent, date }, or null
+    const getLastPriceChange = (car) => {
+        const history = getPriceHistory(car);
+        if (history.length < 2) return null;
+
+        const from = history[history.length - 2].price;
+        const { price: to, date } = history[history.length - 1];
+        return { from, to, amount: to - from, percent: (to - from) / from * 100, date };
+    };
+
+    // A price cut in the last PRICE_DROP_DAYS days
+    const hasRecentPriceDrop = (car, now = Date.now()) => {
+        const change = getLastPriceChange(car);
+        return !!change && change.amount < 0 &&
+            now - Date.parse(change.date) <= PRICE_DROP_DAYS * 24 * 60 * 60 * 1000;
+    };
+
+    // ============================================
+    // SEARCH
+    // ============================================
+
+    // Field weights for ranking: a hit in the name counts more than one in the description
+    const SEARCH_FIELDS = {
+        name: 5,
+        brand: 4,
+        model: 4,
+        color: 2,
+        fuel: 2,
+        transmission: 2,
+        description: 1
+    };
+
+    // Lowercase, strip Vietnamese diacritics (đ has no decomposition, so map it by hand)
+    // and reduce punctuation to single spaces: "Đen Ánh-Kim" -> "den anh kim"
+    const normalizeText = (value) => String(value || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+
+    const tokenize = (value) => {
+        const normalized = normalizeText(value);
+        return normalized ? normalized.split(' ') : [];
+    };
+
+    // Words that say nothing about which car is meant ("xe điện" = electric cars)
+    const SEARCH_STOP_WORDS = ['xe', 'oto'];
+
+    // Short words must match exactly ("dien" must not find "den"); longer ones may contain typos
+    const maxTypos = (word) => {
+        if (word.length < 5) return 0;
+        return word.length < 8 ? 1 : 2;
+    };
+
+    // Optimal string alignment distance (Levenshtein plus swapped neighbours),
+    // giving up early once the distance exceeds max
+    const editDistance = (a, b, max) => {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let prevPrev = [];
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = current;
+        }
+
+        return prev[b.length];
+    };
+
+    // How well one query word matches one word of the car: 1 exact, less for prefixes,
+    // substrings and typos, 0 for no match
+    const matchWord = (queryWord, word) => {
+        if (word === queryWord) return 1;
+        if (word.startsWith(queryWord)) return 0.8;
+        if (queryWord.length >= 3 && word.includes(queryWord)) return 0.5;
+
+        const typos = maxTypos(queryWord);
+        if (typos === 0) return 0;
+        // Also compare against the start of longer words so "mercedez" finds "mercedes-benz"
+        const distance = Math.min(
+            editDistance(queryWord, word, typos),
+            editDistance(queryWord, word.slice(0, queryWord.length), typos)
+        );
+        return distance <= typos ? 0.6 - 0.2 * distance : 0;
+    };
+
+    // Normalized words per field are cached per car object
+    const searchIndexCache = new WeakMap();
+
+    const getSearchIndex = (car) => {
+        let index = searchIndexCache.get(car);
+        if (!index) {
+            index = {};
+            Object.keys(SEARCH_FIELDS).forEach(field => {
+                index[field] = tokenize(car[field]);
+            });
+            index.name = [...index.name, normalizeText(car.name).replace(/ /g, '')];
+            searchIndexCache.set(car, index);
+        }
+        return index;
+    };
+
+    // Relevance of a car for a query; 0 when any query word matches nothing
+    const scoreCar = (car, query) => {
+        const queryWords = tokenize(query).filter(word => !SEARCH_STOP_WORDS.includes(word));
+        if (queryWords.length === 0) return 0;
+
+        const index = getSearchIndex(car);
+        let score = 0;
+
+        for (const queryWord of queryWords) {
+            let best = 0;
+            Object.keys(SEARCH_FIELDS).forEach(field => {
+                index[field].forEach(word => {
+                    best = Math.max(best, matchWord(queryWord, word) * SEARCH_FIELDS[field]);
+                });
+            });
+            if (best === 0) return 0;
+            score += best;
+        }
+
+        // Reward the whole query appearing as a phrase in the name
+        if (` ${normalizeText(car.name)} `.includes(` ${queryWords.join(' ')} `)) {
+            score += SEARCH_FIELDS.name;
+        }
+
+        return score;
+    };
+
+    // Cars matching the query, most relevant first (stable for equal scores).
+    // A query of nothing but stop words ("xe") narrows nothing
+    const searchCars = (cars, query) => {
+        if (tokenize(query).every(word => SEARCH_STOP_WORDS.includes(word))) return cars;
+
+        return cars
+            .map((car, position) => ({ car, position, score: scoreCar(car, query) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.position - b.position)
+            .map(result => result.car);
+    };
+
+    // ============================================
+    // FILTER & SORT
+    // ============================================
+
+    // Facet values arrive as arrays, or as "a,b" from query strings
+    const toList = (value) => {
+        if (Array.isArray(value)) return value.map(String);
+        return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    };
+
+    // "500-1200" -> { min: 500, max: 1200 }; open ends become +/-Infinity and a
+    // single value ("2021") means exactly that value
+    const parseRange = (value) => {
+        const text = String(value || '').trim();
+        if (text === '') return null;
+
+        const parts = text.split('-').map(part => part.trim() === '' ? NaN : Number(part));
+        const min = isNaN(parts[0]) ? -Infinity : parts[0];
+        const max = parts.length === 1 ? min : (isNaN(parts[1]) ? Infinity : parts[1]);
+        return { min, max };
+    };
+
+    // ============================================
+    // QUERY PARSING
+    // ============================================
+
+    // Turns "SUV điện dưới 2 tỷ", "BMW 2021 trở lên" or "xe 7 chỗ máy dầu" into filters.
+    // Patterns run on a copy normalized one UTF-16 code unit at a time, so match positions
+    // are string indices in the original and each constraint can be sliced back out of it.
+    const normalizeForParsing = (text) => String(text || '').split('').map(char => {
+        const plain = char.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/g, 'd');
+        return plain.length === 1 && /[a-z0-9.,]/.test(plain) ? plain : ' ';
+    }).join('');
+
+    const AMOUNT = '(\\d+(?:[.,]\\d+)?)\\s*(ty|trieu|tr)\\b';
+    const YEAR = '(?:doi\\s+|nam\\s+)?((?:19|20)\\d{2})\\b';
+
+    // Price amounts become millions of VND, the unit of the price filter
+    const toMillions = (amount, unit) => {
+        const value = Number(amount.replace(',', '.'));
+        return Math.round(unit === 'ty' ? value * 1000 : value);
+    };
+
+    // Checked in order; text used by one pattern is blanked out before the next runs
+    const QUERY_PATTERNS = [
+        {
+            field: 'price',
+            regex: new RegExp(`\\b(?:gia\\s+)?tu\\s+(\\d+(?:[.,]\\d+)?)\\s*(ty|trieu|tr)?\\s+(?:den|toi)\\s+${AMOUNT}`, 'g'),
+            value: (m) => `${toMillions(m[1], m[2] || m[4])}-${toMillions(m[3], m[4])}`
+        },
+        {
+            field: 'price',
+            regex: new RegExp(`\\b(?:gia\\s+)?(?:duoi|toi da|khong qua|it hon|max)\\s+${AMOUNT}`, 'g'),
+            value: (m) => `-${toMillions(m[1], m[2])}`
+        },
+        {
+            field: 'price',
+            regex: new RegExp(`\\b(?:gia\\s+)?(?:tren|hon|tu|it nhat|min)\\s+${AMOUNT}`, 'g'),
+            value: (m) => `${toMillions(m[1], m[2])}-`
+        },
+        {
+            // A bare amount ("xe 2 tỷ") is read as the budget
+            field: 'price',
+            regex: new RegExp(`\\b(?:gia\\s+)?(?:khoang\\s+|tam\\s+)?${AMOUNT}`, 'g'),
+            value: (m) => `-${toMillions(m[1], m[2])}`
+        },
+        {
+            field: 'year',
+            regex: new RegExp(`\\b(?:tu\\s+)?${YEAR}\\s+(?:den\\s+|toi\\s+)?${YEAR}`, 'g'),
+            value: (m) => `${m[1]}-${m[2]}`
+        },
+        {
+            field: 'year',
+            regex: new RegExp(`\\b${YEAR}\\s+(?:tro len|tro di|ve sau|moi hon)\\b|\\btu\\s+${YEAR}`, 'g'),
+            value: (m) => `${m[1] || m[2]}-`
+        },
+        {
+            field: 'year',
+            regex: new RegExp(`\\b${YEAR}\\s+(?:tro ve truoc|tro xuong|ve truoc|cu hon)\\b`, 'g'),
+            value: (m) => `-${m[1]}`
+        },
+        {
+            field: 'year',
+            regex: new RegExp(`\\bsau\\s+${YEAR}`, 'g'),
+            value: (m) => `${Number(m[1]) + 1}-`
+        },
+        {
+            field: 'year',
+            regex: new RegExp(`\\btruoc\\s+${YEAR}`, 'g'),
+            value: (m) => `-${Number(m[1]) - 1}`
+        },
+        {
+            field: 'year',
+            regex: new RegExp(`\\b${YEAR}`, 'g'),
+            value: (m) => m[1]
+        },
+        {
+            field: 'seats',
+            regex: /\b(\d{1,2})\s*(?:cho|ghe)(?:\s+ngoi)?\b/g,
+            value: (m) => m[1]
+        },
+        {
+            field: 'fuel',
+            regex: /\b(?:hybrid|xang lai dien|lai dien)\b/g,
+            value: () => 'Hybrid'
+        },
+        {
+            field: 'fuel',
+            regex: /\b(?:may\s+|dong co\s+|chay\s+)?(?:dau|diesel)\b/g,
+            value: () => 'Dầu'
+        },
+        {
+            field: 'fuel',
+            regex: /\b(?:may\s+|dong co\s+|chay\s+)?xang\b/g,
+            value: () => 'Xăng'
+        },
+        {
+            field: 'fuel',
+            regex: /\b(?:chay\s+)?(?:dien|ev)\b/g,
+            value: () => 'Điện'
+        },
+        {
+            field: 'transmission',
+            regex: /\b(?:so\s+)?tu dong\b/g,
+            value: () => 'Tự động'
+        },
+        {
+            field: 'transmission',
+            regex: /\bso san\b/g,
+            value: () => 'Số sàn'
+        }
+    ];
+
+    // Brands are matched by full name or first word ("mercedes" -> Mercedes-Benz)
+    const getBrandPatterns = (brands) => {
+        const patterns = [];
+        brands.forEach(brand => {
+            const full = normalizeText(brand);
+            const first = full.split(' ')[0];
+            patterns.push({ alias: full, brand });
+            if (first !== full && first.length >= 3) patterns.push({ alias: first, brand });
+        });
+        return patterns.sort((a, b) => b.alias.length - a.alias.length);
+    };
+
+    // Returns { constraints: [{ field, value, start, end }], text } where text is what is left
+    // for the normal text search
+    const parseQuery = (query, brands = []) => {
+        // Composed, so "ê" typed as e + combining mark is one code unit like any other letter
+        const original = String(query || '').normalize('NFC');
+        let normalized = normalizeForParsing(original);
+        const constraints = [];
+
+        const take = (field, value, start, end) => {
+            constraints.push({ field, value, start, end });
+            normalized = normalized.slice(0, start) + ' '.repeat(end - start) + normalized.slice(end);
+        };
+
+        getBrandPatterns(brands).forEach(({ alias, brand }) => {
+            const regex = new RegExp(`\\b${alias.replace(/ /g, '\\s+')}\\b`, 'g');
+            let match;
+            while ((match = regex.exec(normalized))) {
+                take('brand', brand, match.index, match.index + match[0].length);
+            }
+        });
+
+        QUERY_PATTERNS.forEach(({ field, regex, value }) => {
+            regex.lastIndex = 0;
+            let match;
+            while ((match = regex.exec(normalized))) {
+                take(field, value(match), match.index, match.index + match[0].length);
+            }
+        });
+
+        let text = original;
+        [...constraints].sort((a, b) => b.start - a.start).forEach(({ start, end }) => {
+            text = text.slice(0, start) + ' ' + text.slice(end);
+        });
+
+        return {
+            constraints: constraints.sort((a, b) => a.start - b.start),
+            text: text.replace(/\s+/g, ' ').trim()
+        };
+    };
+
+    // Narrows two "min-max" ranges to their overlap
+    const intersectRanges = (a, b) => {
+        const first = parseRange(a);
+        const second = parseRange(b);
+        if (!first || !second) return first ? a : b;
+
+        const min = Math.max(first.min, second.min);
+        const max = Math.min(first.max, second.max);
+        return `${min === -Infinity ? '' : min}-${max === Infinity ? '' : max}`;
+    };
+
+    // Filters with the constraints found in filters.search applied as real filters
+    // and only the leftover words kept as search text
+    const resolveSearch = (filters, cars) => {
+        if (!filters.search) return filters;
+
+        const brands = [...new Set(cars.map(car => car.brand))];
+        const { constraints, text } = parseQuery(filters.search, brands);
+        if (constraints.length === 0) return filters;
+
+        const resolved = { ...filters, search: text };
+        constraints.forEach(({ field, value }) => {
+            if (RANGE_FIELDS[field]) {
+                resolved[field] = intersectRanges(resolved[field], value);
+            } else {
+                resolved[field] = [...new Set([...toList(resolved[field]), value])];
+            }
+        });
+        return resolved;
+    };
+
+    // Predicate for every filter except search (which also ranks) and the field named in `skip`,
+    // so facet counts can ignore their own selection
+    const createMatcher = (filters, skip) => {
+        const ids = filters.ids ? new Set(toList(filters.ids).map(Number)) : null;
+        const facets = FACET_FIELDS
+            .filter(field => field !== skip)
+            .map(field => ({ field, values: new Set(toList(filters[field])) }))
+            .filter(facet => facet.values.size > 0);
+        const ranges = Object.keys(RANGE_FIELDS)
+            .filter(field => field !== skip)
+            .map(field => ({ field, range: parseRange(filters[field]) }))
+            .filter(item => item.range);
+
+        return (car) => {
+            if (ids && !ids.has(car.id)) return false;
+            // Sold cars are hidden unless asked for
+            if (!filters.showSold && getAvailability(car) === 'sold') return false;
+            if (!facets.every(({ field, values }) => values.has(String(car[field])))) return false;
+            return ranges.every(({ field, range }) => {
+                const value = car[field] / RANGE_FIELDS[field];
+                return value >= range.min && value <= range.max;
+            });
+        };
+    };
+
+    const filterCars = (cars, query = {}) => {
+        const filters = resolveSearch(query, cars);
+        const filtered = cars.filter(createMatcher(filters));
+
+        // Search filter; results come back ranked by relevance
+        return filters.search ? searchCars(filtered, filters.search) : filtered;
+    };
+
+    // For each facet, every value found in the data with the number of cars it would show
+    // under the other active filters: { brand: [{ value: 'BMW', count: 3 }], ... }
+    const getFacetCounts = (cars, query = {}) => {
+        const filters = resolveSearch(query, cars);
+        const searched = filters.search ? searchCars(cars, filters.search) : cars;
+        const facets = {};
+
+        FACET_FIELDS.forEach(field => {
+            const counts = new Map();
+            cars.forEach(car => counts.set(String(car[field]), 0));
+            searched.filter(createMatcher(filters, field)).forEach(car => {
+                const value = String(car[field]);
+                counts.set(value, counts.get(value) + 1);
+            });
+
+            facets[field] = [...counts]
+                .map(([value, count]) => ({ value, count }))
+                .sort(field === 'seats'
+                    ? (a, b) => Number(a.value) - Number(b.value)
+                    : (a, b) => a.value.localeCompare(b.value, 'vi'));
+        });
+
+        return facets;
+    };
+
+    // Smallest and largest value of each range field, in the field's filter unit
+    const getRangeBounds = (cars) => {
+        const bounds = {};
+        Object.keys(RANGE_FIELDS).forEach(field => {
+            const values = cars.map(car => car[field] / RANGE_FIELDS[field]);
+            bounds[field] = values.length
+                ? { min: Math.floor(Math.min(...values)), max: Math.ceil(Math.max(...values)) }
+                : { min: 0, max: 0 };
+        });
+        return bounds;
+    };
+
+    // 'default' keeps the incoming order, which is relevance order after a search
+    const sortCars = (cars, sortBy = 'default') => {
+        const sorted = [...cars];
+
+        switch (sortBy) {
+            case 'price-asc':
+                sorted.sort((a, b) => a.price - b.price);
+                break;
+            case 'price-desc':
+                sorted.sort((a, b) => b.price - a.price);
+                break;
+            case 'year-desc':
+                sorted.sort((a, b) => b.year - a.year);
+                break;
+            case 'km-asc':
+                sorted.sort((a, b) => a.km - b.km);
+                break;
+        }
+
+        return sorted;
+    };
+
+    // ============================================
+    // SIMILAR CARS
+    // ============================================
+
+    // How much each criterion counts towards "Xe tương tự"; price matters most since
+    // customers shop within a budget
+    const SIMILARITY_WEIGHTS = {
+        price: 4,
+        brand: 3,
+        fuel: 2,
+        seats: 2,
+        year: 1,
+        km: 1
+    };
+
+    // Each criterion scores a candidate from 0 to 1 and says whether it is close
+    // enough to be given as a reason ("cùng tầm giá" = within 20% of the price)
+    const SIMILARITY_CRITERIA = {
+        price: (car, other) => {
+            const diff = Math.abs(other.price - car.price) / car.price;
+            return { score: Math.max(0, 1 - diff / 0.4), match: diff <= 0.2 };
+        },
+        brand: (car, other) => {
+            const match = other.brand === car.brand;
+            return { score: match ? 1 : 0, match };
+        },
+        fuel: (car, other) => {
+            const match = other.fuel === car.fuel;
+            return { score: match ? 1 : 0, match };
+        },
+        seats: (car, other) => {
+            const match = other.seats === car.seats;
+            return { score: match ? 1 : 0, match };
+        },
+        year: (car, other) => {
+            const diff = Math.abs(other.year - car.year);
+            return { score: Math.max(0, 1 - diff / 4), match: diff <= 1 };
+        },
+        km: (car, other) => {
+            const diff = Math.abs(other.km - car.km);
+            return { score: Math.max(0, 1 - diff / 50000), match: diff <= 20000 };
+        }
+    };
+
+    // The strip shows at least this many cars when there are that many to show, weak matches included
+    const MIN_SIMILAR_CARS = 4;
+
+    // Alternatives to a car, best first, as { car, score, reasons }. Reasons are the
+    // criteria that match, strongest first. Sold cars and the car itself are left out.
+    const findSimilarCars = (car, cars, limit = 6) => cars
+        .filter(other => other.id !== car.id && getAvailability(other) !== 'sold')
+        .map(other => {
+            let score = 0;
+            const reasons = [];
+            Object.keys(SIMILARITY_WEIGHTS).forEach(criterion => {
+                const result = SIMILARITY_CRITERIA[criterion](car, other);
+                score += result.score * SIMILARITY_WEIGHTS[criterion];
+                if (result.match) reasons.push(criterion);
+            });
+            return { car: other, score, reasons };
+        })
+        .sort((a, b) => b.score - a.score || Math.abs(a.car.price - car.price) - Math.abs(b.car.price - car.price))
+        .filter((entry, index) => entry.score > 0 || index < MIN_SIMILAR_CARS)
+        .slice(0, limit);
+
+    // ============================================
+    // REVIEWS
+    // ============================================
+
+    const REVIEW_SORTS = ['newest', 'oldest', 'highest', 'lowest'];
+
+    // Reviews belong to a model, so every car of that model, new or used, shares them
+    const getModelKey = (car) => `${normalizeText(car.brand)}|${normalizeText(car.model)}`;
+
+    // RV-YYMMDD-XXXX like order codes, so reviews written in the same millisecond never share an id
+    const createReviewId = (date = new Date(), taken = [], random = Math.random) => createCode('RV', date, taken, random);
+
+    // Hidden reviews were taken down by staff and count nowhere
+    const getVisibleReviews = (reviews) => reviews.filter(review => !review.hidden);
+
+    // { average, count, breakdown } over the visible reviews; breakdown counts the
+    // reviews per star (1-5) and average is null when there are none
+    const summarizeReviews = (reviews) => {
+        const visible = getVisibleReviews(reviews);
+        const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        visible.forEach(review => {
+            breakdown[review.rating]++;
+        });
+        const total = visible.reduce((sum, review) => sum + review.rating, 0);
+        return {
+            average: visible.length ? Math.round(total / visible.length * 10) / 10 : null,
+            count: visible.length,
+            breakdown
+        };
+    };
+
+    // A customer reports a review once however often they click
+    const addReviewReport = (review, email) => ({
+        ...review,
+        reports: [...new Set([...(review.reports || []), email])]
+    });
+
+    const REVIEW_ACTIONS = ['hide', 'restore', 'dismiss'];
+
+    // Staff moderation: 'hide' takes the review down, 'restore' puts it back and 'dismiss'
+    // keeps it up; both clear its reports so it leaves the top of the queue
+    const moderateReview = (review, action, { by, now = Date.now() } = {}) => {
+        const stamp = { moderatedBy: by, moderatedAt: new Date(now).toISOString() };
+        switch (action) {
+            case 'hide':
+                return { ...review, hidden: true, ...stamp };
+            case 'restore':
+                return { ...review, hidden: false, reports: [], ...stamp };
+            case 'dismiss':
+                return { ...review, reports: [], ...stamp };
+            default:
+                return null;
+        }
+    };
+
+    const sortReviews = (reviews, sortBy = 'newest') => {
+        const byDate = (a, b) => b.createdAt.localeCompare(a.createdAt);
+        const sorted = [...reviews];
+
+        switch (sortBy) {
+            case 'oldest':
+                sorted.sort((a, b) => byDate(b, a));
+                break;
+            case 'highest':
+                sorted.sort((a, b) => b.rating - a.rating || byDate(a, b));
+                break;
+            case 'lowest':
+                sorted.sort((a, b) => a.rating - b.rating || byDate(a, b));
+                break;
+            default:
+                sorted.sort(byDate);
+        }
+
+        return sorted;
+    };
+
+    // ============================================
+    // COMPARE SCORING
+    // ============================================
+
+    // What the weighted ranking on the compare page looks at, each read from the car;
+    // higher is better unless lowerIsBetter. Age is read as the model year.
+    const COMPARE_CRITERIA = {
+        price: { value: (car) => car.price, lowerIsBetter: true },
+        age: { value: (car) => car.year },
+        km: { value: (car) => car.km, lowerIsBetter: true },
+        rating: { value: (car) => car.rating || 0 },
+        seats: { value: (car) => car.seats }
+    };
+
+    const DEFAULT_COMPARE_WEIGHTS = { price: 3, age: 2, km: 2, rating: 2, seats: 1 };
+
+    // Scores each criterion from 0 (worst of the compared cars) to 1 (best) and
+    // combines them into a weighted 0-100 score. Returns [{ car, score, scores }],
+    // best first. `values` overrides how a criterion is read, e.g. the rating from reviews.
+    const rankCars = (cars, weights = DEFAULT_COMPARE_WEIGHTS, values = {}) => {
+        const criteria = Object.keys(COMPARE_CRITERIA);
+        const read = (criterion, car) => (values[criterion] || COMPARE_CRITERIA[criterion].value)(car);
+
+        const bounds = {};
+        criteria.forEach(criterion => {
+            const all = cars.map(car => read(criterion, car));
+            bounds[criterion] = { min: Math.min(...all), max: Math.max(...all) };
+        });
+        const totalWeight = criteria.reduce((sum, criterion) => sum + (weights[criterion] || 0), 0);
+
+        return cars.map(car => {
+            const scores = {};
+            let total = 0;
+            criteria.forEach(criterion => {
+                const { min, max } = bounds[criterion];
+                // Every car is equally good on a criterion where they all match
+                let score = max === min ? 1 : (read(criterion, car) - min) / (max - min);
+                if (COMPARE_CRITERIA[criterion].lowerIsBetter && max !== min) score = 1 - score;
+                scores[criterion] = score;
+                total += score * (weights[criterion] || 0);
+            });
+            return { car, scores, score: totalWeight ? Math.round(total / totalWeight * 100) : 0 };
+        }).sort((a, b) => b.score - a.score);
+    };
+
+    // ============================================
+    // TOTAL COST OF OWNERSHIP
+    // ============================================
+
+    // Estimates for a private passenger car (under 10 seats), in VND. Rates follow
+    // Nghị định 10/2022 (lệ phí trước bạ), Thông tư 60/2023 (biển số), Nghị định
+    // 90/2023 (phí bảo trì đường bộ) and Nghị định 67/2023 (bảo hiểm TNDS).
+    const TCO_PROVINCES = {
+        'ha-noi': { label: 'Hà Nội', registrationRate: 0.12, plateFee: 20000000 },
+        'ho-chi-minh': { label: 'TP. Hồ Chí Minh', registrationRate: 0.10, plateFee: 20000000 },
+        'hai-phong': { label: 'Hải Phòng', registrationRate: 0.12, plateFee: 1000000 },
+        'can-tho': { label: 'Cần Thơ', registrationRate: 0.12, plateFee: 1000000 },
+        'da-nang': { label: 'Đà Nẵng', registrationRate: 0.10, plateFee: 1000000 },
+        'quang-ninh': { label: 'Quảng Ninh', registrationRate: 0.12, plateFee: 1000000 },
+        'other-city': { label: 'Thành phố, thị xã thuộc tỉnh khác', registrationRate: 0.10, plateFee: 1000000 },
+        'other': { label: 'Huyện, xã thuộc tỉnh khác', registrationRate: 0.10, plateFee: 200000 }
+    };
+
+    const TCO_DEFAULTS = { province: 'ho-chi-minh', yearlyKm: 15000, years: 5 };
+
+    const TCO_RATES = {
+        // Buying used: 2% trước bạ anywhere, and the plate stays with the car
+        usedRegistrationRate: 0.02,
+        usedPlateFee: 150000,
+        // Battery electric cars pay no trước bạ until then
+        electricRegistrationFreeUntil: '2027-02-28',
+        roadFeePerYear: 1560000,
+        // TNDS bắt buộc including VAT, by seats
+        mandatoryInsurance: (seats) => seats < 6 ? 480700 : 873400,
+        // Bảo hiểm vật chất, of the car's value at the start of each year
+        physicalInsuranceRate: 0.015,
+        // Bigger cars use more
+        largeCarSeats: 7,
+        largeCarEnergyFactor: 1.25
+    };
+
+    // Consumption per 100 km and price per litre or kWh
+    const ENERGY_COSTS = {
+        'Xăng': { per100km: 8, unitPrice: 21000 },
+        'Dầu': { per100km: 7, unitPrice: 19500 },
+        'Hybrid': { per100km: 5, unitPrice: 21000 },
+        'Điện': { per100km: 16, unitPrice: 3500 }
+    };
+
+    // Servicing per km driven; electric cars have far fewer wear parts
+    const MAINTENANCE_PER_KM = { 'Điện': 400, default: 800 };
+
+    // Share of its value a car keeps each year, when the inventory says nothing better
+    const DEFAULT_RETENTION = 0.85;
+    const RETENTION_RANGE = { min: 0.7, max: 0.97 };
+
+    // Yearly value retention learnt from used cars priced against a new car of the same
+    // model: (used / new) ^ (1 / years between them). The brand's own pairs are used
+    // when there are at least two, otherwise all of them.
+    const estimateRetention = (car, newCars, usedCars) => {
+        const newByModel = new Map(newCars.map(fresh => [getModelKey(fresh), fresh]));
+        const rates = usedCars.map(used => {
+            const fresh = newByModel.get(getModelKey(used));
+            const age = fresh ? fresh.year - used.year : 0;
+            return age > 0 ? { brand: used.brand, rate: Math.pow(used.price / fresh.price, 1 / age) } : null;
+        }).filter(Boolean);
+
+        const brandRates = rates.filter(entry => entry.brand === car.brand);
+        const pool = brandRates.length >= 2 ? brandRates : rates;
+        if (pool.length === 0) return DEFAULT_RETENTION;
+
+        const mean = Math.exp(pool.reduce((sum, entry) => sum + Math.log(entry.rate), 0) / pool.length);
+        return Math.min(RETENTION_RANGE.max, Math.max(RETENTION_RANGE.min, mean));
+    };
+
+    const getRegistrationRate = (car, province, used, now) => {
+        if (car.fuel === 'Điện' && now <= new Date(`${TCO_RATES.electricRegistrationFreeUntil}T23:59:59`)) return 0;
+        return used ? TCO_RATES.usedRegistrationRate : province.registrationRate;
+    };
+
+    // Cost of owning a car apart from its price: one-off fees when it is registered,
+    // then running costs and depreciation per year. Returns { oneOff, yearly, firstYear,
+    // total, resaleValue, retention }, all rounded to whole VND.
+    const estimateOwnershipCost = (car, {
+        province = TCO_DEFAULTS.province,
+        yearlyKm = TCO_DEFAULTS.yearlyKm,
+        years = TCO_DEFAULTS.years,
+        used = false,
+        retention = DEFAULT_RETENTION,
+        now = new Date()
+    } = {}) => {
+        const region = TCO_PROVINCES[province] || TCO_PROVINCES[TCO_DEFAULTS.province];
+        const oneOff = {
+            registrationTax: Math.round(car.price * getRegistrationRate(car, region, used, now)),
+            plateFee: used ? TCO_RATES.usedPlateFee : region.plateFee
+        };
+
+        const energy = ENERGY_COSTS[car.fuel] || ENERGY_COSTS['Xăng'];
+        const energyFactor = car.seats >= TCO_RATES.largeCarSeats ? TCO_RATES.largeCarEnergyFactor : 1;
+        const energyPerYear = Math.round(yearlyKm / 100 * energy.per100km * energyFactor * energy.unitPrice);
+        const maintenancePerYear = Math.round(yearlyKm * (MAINTENANCE_PER_KM[car.fuel] || MAINTENANCE_PER_KM.default));
+
+        const yearly = [];
+        let value = car.price;
+        for (let year = 1; year <= years; year++) {
+            const nextValue = value * retention;
+            const costs = {
+                roadFee: TCO_RATES.roadFeePerYear,
+                mandatoryInsurance: TCO_RATES.mandatoryInsurance(car.seats),
+                physicalInsurance: Math.round(value * TCO_RATES.physicalInsuranceRate),
+                energy: energyPerYear,
+                maintenance: maintenancePerYear,
+                depreciation: Math.round(value - nextValue)
+            };
+            costs.total = Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+            yearly.push(costs);
+            value = nextValue;
+        }
+
+        const oneOffTotal = oneOff.registrationTax + oneOff.plateFee;
+        return {
+            oneOff,
+            yearly,
+            firstYear: oneOffTotal + (yearly.length ? yearly[0].total : 0),
+            total: oneOffTotal + yearly.reduce((sum, costs) => sum + costs.total, 0),
+            resaleValue: Math.round(value),
+            retention
+        };
+    };
+
+    // ============================================
+    // ORDERS
+    // ============================================
+
+    // pending -> confirmed -> deposit_paid -> ready -> delivered; any step before
+    // delivery can end in cancelled, and a deposit paid online skips confirmation
+    const ORDER_STEPS = ['pending', 'confirmed', 'deposit_paid', 'ready', 'delivered'];
+
+    const ORDER_TRANSITIONS = {
+        pending: ['confirmed', 'cancelled'],
+        confirmed: ['deposit_paid', 'cancelled'],
+        deposit_paid: ['ready', 'cancelled'],
+        ready: ['delivered', 'cancelled'],
+        delivered: [],
+        cancelled: []
+    };
+
+    // Orders placed before stock tracking have no status and were confirmed on the spot
+    const getOrderStatus = (order) => order.status || 'confirmed';
+
+    const canTransitionOrder = (order, status) => ORDER_TRANSITIONS[getOrderStatus(order)].includes(status);
+
+    // Timestamped history, oldest first. Older orders only know when they were placed.
+    const getOrderEvents = (order) => {
+        if (order.events && order.events.length) return order.events;
+        const events = [{ status: 'pending', at: order.timestamp }];
+        if (getOrderStatus(order) !== 'pending') events.push({ status: getOrderStatus(order), at: null });
+        return events;
+    };
+
+    // Returns a copy of the order in its new status with the step added to its history
+    const transitionOrder = (order, status, { at = new Date().toISOString(), by = null, note = null } = {}) => {
+        if (!canTransitionOrder(order, status)) {
+            throw new Error(`Order ${order.id} cannot go from ${getOrderStatus(order)} to ${status}`);
+        }
+        return { ...order, status, events: [...getOrderEvents(order), { status, at, by, note }] };
+    };
+
+    // No 0/O or 1/I so codes can be read out over the phone
+    const ORDER_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+    // PREFIX-YYMMDD-XXXX with a random suffix, never one of the codes in `taken`
+    const createCode = (prefix, date, taken, random) => {
+        const day = [date.getFullYear() % 100, date.getMonth() + 1, date.getDate()]
+            .map(part => String(part).padStart(2, '0')).join('');
+        let code;
+        do {
+            const suffix = Array.from({ length: 4 }, () => ORDER_CODE_ALPHABET[Math.floor(random() * ORDER_CODE_ALPHABET.length)]).join('');
+            code = `${prefix}-${day}-${suffix}`;
+        } while (taken.includes(code));
+        return code;
+    };
+
+    // AL-YYMMDD-XXXX, e.g. AL-261019-K7QM; `taken` holds codes already in use
+    const createOrderCode = (date = new Date(), taken = [], random = Math.random) => createCode('AL', date, taken, random);
+
+    // ============================================
+    // DEPOSIT PAYMENTS
+    // ============================================
+
+    // Response codes follow VNPay's: 00 paid, 24 cancelled by the customer, anything else failed
+    const PAYMENT_RESPONSE_CODES = {
+        '00': 'success',
+        '24': 'cancelled',
+        '51': 'failed'
+    };
+
+    // { type: 'percent', value: 10 } or { type: 'fixed', value: 50000000 }, rounded up
+    // to the thousand and never more than the order itself
+    const getDepositAmount = (total, rule) => {
+        const amount = rule.type === 'fixed'
+            ? rule.value
+            : Math.ceil(total * rule.value / 100 / 1000) * 1000;
+        return Math.min(amount, total);
+    };
+
+    // Staff confirm an order before a deposit is taken for it
+    const canPayDeposit = (order) => getOrderStatus(order) === 'confirmed'
+        && !(order.payments || []).some(payment => payment.status === 'success');
+
+    // Records a gateway result against the payment it answers. A result for a payment
+    // that is already settled changes nothing (duplicate), so a callback can safely be
+    // replayed. Throws for unknown transactions or a mismatched amount.
+    const applyPaymentResult = (order, result, at = new Date().toISOString()) => {
+        const payments = order.payments || [];
+        const payment = payments.find(p => p.txnRef === result.txnRef);
+        if (!payment) throw new Error(`Unknown transaction ${result.txnRef} for order ${order.id}`);
+        if (Number(result.amount) !== payment.amount) {
+            throw new Error(`Transaction ${result.txnRef} amount ${result.amount} does not match ${payment.amount}`);
+        }
+        if (payment.status !== 'pending') return { order, payment, duplicate: true };
+
+        const settled = {
+            ...payment,
+            status: PAYMENT_RESPONSE_CODES[result.responseCode] || 'failed',
+            responseCode: result.responseCode,
+            transactionNo: result.transactionNo || null,
+            settledAt: at
+        };
+        return {
+            order: { ...order, payments: payments.map(p => (p === payment ? settled : p)) },
+            payment: settled,
+            duplicate: false
+        };
+    };
+
+    // ============================================
+    // PAGINATION
+    // ============================================
+
+    const paginate = (cars, page = 1, pageSize = DEFAULT_PAGE_SIZE) => {
+        const size = Math.min(Math.max(parseInt(pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const totalPages = Math.max(Math.ceil(cars.length / size), 1);
+        const current = Math.min(Math.max(parseInt(page) || 1, 1), totalPages);
+        const startIndex = (current - 1) * size;
+
+        return {
+            items: cars.slice(startIndex, startIndex + size),
+            total: cars.length,
+            page: current,
+            pageSize: size,
+            totalPages
+        };
+    };
+
+    // Full query as used by GET /api/cars: filters + sortBy + page + pageSize
+    const queryCars = (cars, params = {}) => {
+        const filters = {};
+        Object.keys(DEFAULT_FILTERS).forEach(key => {
+            if (typeof DEFAULT_FILTERS[key] === 'boolean') {
+                // Query strings carry booleans as "true"/"false"
+                filters[key] = params[key] === true || params[key] === 'true';
+            } else if (Array.isArray(DEFAULT_FILTERS[key])) {
+                filters[key] = toList(params[key]);
+            } else {
+                filters[key] = params[key] || DEFAULT_FILTERS[key];
+            }
+        });
+
+        filters.ids = params.ids;
+
+        const sorted = sortCars(filterCars(cars, filters), params.sortBy);
+        return paginate(sorted, params.page, params.pageSize);
+    };
+
+    return {
+        DEFAULT_FILTERS,
+        FACET_FIELDS,
+        RANGE_FIELDS,
+        DEFAULT_PAGE_SIZE,
+        MAX_PAGE_SIZE,
+        FUEL_TYPES,
+        STOCK_STATUSES,
+        ID_RANGES,
+        CAR_SCHEMA,
+        PRICE_DROP_DAYS,
+        validateCar,
+        isValidCar,
+        validateInventory,
+        normalizeText,
+        scoreCar,
+        searchCars,
+        createFilters,
+        getAvailability,
+        changeStock,
+        getPriceHistory,
+        trackPrice,
+        getLastPriceChange,
+        hasRecentPriceDrop,
+        parseRange,
+        parseQuery,
+        resolveSearch,
+        filterCars,
+        getFacetCounts,
+        getRangeBounds,
+        sortCars,
+        findSimilarCars,
+        REVIEW_SORTS,
+        getModelKey,
+        createReviewId,
+        getVisibleReviews,
+        summarizeReviews,
+        sortReviews,
+        addReviewReport,
+        REVIEW_ACTIONS,
+        moderateReview,
+        COMPARE_CRITERIA,
+        DEFAULT_COMPARE_WEIGHTS,
+        rankCars,
+        TCO_PROVINCES,
+        TCO_DEFAULTS,
+        estimateRetention,
+        estimateOwnershipCost,
+        ORDER_STEPS,
+        ORDER_TRANSITIONS,
+        getOrderStatus,
+        canTransitionOrder,
+        getOrderEvents,
+        transitionOrder,
+        createOrderCode,
+        PAYMENT_RESPONSE_CODES,
+        getDepositAmount,
+        canPayDeposit,
+        applyPaymentResult,
+        paginate,
+        queryCars
+    };
+});
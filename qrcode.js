@@ -0,0 +1,385 @@
+/**
+ * AutoLux - QR Code
+ * Dependency-free QR code encoder (ISO/IEC 18004, byte mode, versions 1-40) so share
+ * links and printed window stickers get their codes without any external service.
+ * Works in the browser (window.QRCode) and in Node (require('./qrcode')).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.QRCode = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, () => {
+    // Error correction levels with their format bits; M restores ~15% of a damaged code
+    const ERROR_LEVELS = {
+        L: { index: 0, formatBits: 1 },
+        M: { index: 1, formatBits: 0 },
+        Q: { index: 2, formatBits: 3 },
+        H: { index: 3, formatBits: 2 }
+    };
+
+    // Per level (L, M, Q, H) and version (index 1-40)
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+    // ============================================
+    // CAPACITY
+    // ============================================
+
+    // Modules left for data and error correction once the function patterns are drawn
+    const getNumRawDataModules = (version) => {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    };
+
+    const getNumDataCodewords = (version, level) => Math.floor(getNumRawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[level.index][version] * NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+
+    // Bits of the character count in byte mode
+    const getCountBits = (version) => version < 10 ? 8 : 16;
+
+    // ============================================
+    // REED-SOLOMON
+    // ============================================
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    const gfMultiply = (x, y) => {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    };
+
+    const getDivisor = (degree) => {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    };
+
+    const getRemainder = (data, divisor) => {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    };
+
+    // Splits the data into blocks, adds each block's error correction and interleaves them
+    const addErrorCorrection = (data, version, level) => {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = getDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const ecc = getRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0);
+            blocks.push([...block, ...ecc]);
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte of the short blocks
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    };
+
+    // ============================================
+    // MATRIX
+    // ============================================
+
+    const getAlignmentPositions = (version) => {
+        if (version === 1) return [];
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    };
+
+    const createMatrix = (version) => {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        return { version, size, modules, reserved, set };
+    };
+
+    const drawFormatBits = (matrix, level, mask) => {
+        const { size, set } = matrix;
+        const data = (level.formatBits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+
+        // Around the top left finder
+        for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+        set(8, 7, getBit(bits, 6));
+        set(8, 8, getBit(bits, 7));
+        set(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+
+        // Split between the other two finders
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+        set(8, size - 8, true);
+    };
+
+    const drawFunctionPatterns = (matrix, level) => {
+        const { version, size, set } = matrix;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with their separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        set(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap a finder
+        const positions = getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => {
+            positions.forEach((cy, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format area; the real bits depend on the mask
+        drawFormatBits(matrix, level, 0);
+
+        if (version >= 7) {
+            let rem = version;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = (version << 12) | rem;
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                set(a, b, getBit(bits, i));
+                set(b, a, getBit(bits, i));
+            }
+        }
+    };
+
+    // Codewords zigzag up and down in two-module columns from the bottom right
+    const drawCodewords = (matrix, codewords) => {
+        const { size, modules, reserved } = matrix;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!reserved[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    };
+
+    const applyMask = (matrix, mask) => {
+        const { size, modules, reserved } = matrix;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    };
+
+    // Lower is easier to scan: long runs, 2x2 blocks, finder look-alikes and
+    // an uneven dark/light balance all cost points
+    const getPenalty = ({ size, modules }) => {
+        let penalty = 0;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i].map(Number).join(''));
+            lines.push(modules.map(row => Number(row[i])).join(''));
+        }
+        lines.forEach(line => {
+            (line.match(/0{5,}|1{5,}/g) || []).forEach(run => {
+                penalty += run.length - 2;
+            });
+            penalty += 40 * ((line.match(/(?=10111010000|00001011101)/g) || []).length);
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (y < size - 1 && x < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+        const total = size * size;
+        penalty += Math.ceil(Math.abs(dark * 20 - total * 10) / total - 1) * 10;
+        return penalty;
+    };
+
+    // ============================================
+    // ENCODING
+    // ============================================
+
+    const toUtf8 = (text) => Array.from(new TextEncoder().encode(String(text)));
+
+    // Returns { version, size, modules } where modules[y][x] is true for dark modules
+    const encode = (text, { errorCorrection = 'M' } = {}) => {
+        const level = ERROR_LEVELS[errorCorrection];
+        if (!level) throw new Error(`Unknown error correction level: ${errorCorrection}`);
+
+        const bytes = toUtf8(text);
+        let version = 1;
+        while (4 + getCountBits(version) + bytes.length * 8 > getNumDataCodewords(version, level) * 8) {
+            version++;
+            if (version > 40) throw new Error('Text is too long for a QR code');
+        }
+
+        // Byte mode indicator, character count, data, terminator and padding
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i) ? 1 : 0);
+        };
+        append(0b0100, 4);
+        append(bytes.length, getCountBits(version));
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = getNumDataCodewords(version, level) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) append(pad, 8);
+
+        const data = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+
+        const matrix = createMatrix(version);
+        drawFunctionPatterns(matrix, level);
+        drawCodewords(matrix, addErrorCorrection(data, version, level));
+
+        // Try every mask and keep the one that scans best
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        MASKS.forEach((_, mask) => {
+            applyMask(matrix, mask);
+            drawFormatBits(matrix, level, mask);
+            const penalty = getPenalty(matrix);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            applyMask(matrix, mask);
+        });
+        applyMask(matrix, bestMask);
+        drawFormatBits(matrix, level, bestMask);
+
+        return { version, size: matrix.size, modules: matrix.modules };
+    };
+
+    // Standalone SVG, one path for all dark modules, with the quiet zone scanners need
+    const toSvg = (text, { errorCorrection = 'M', margin = 4, size = 256, color = '#000', background = '#fff' } = {}) => {
+        const qr = encode(text, { errorCorrection });
+        const total = qr.size + margin * 2;
+        let path = '';
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+            });
+        });
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" width="${size}" height="${size}" shape-rendering="crispEdges">` +
+            `<rect width="${total}" height="${total}" fill="${background}"/><path d="${path}" fill="${color}"/></svg>`;
+    };
+
+    return {
+        ERROR_LEVELS,
+        encode,
+        toSvg
+    };
+});
@@ -20,6 +20,22 @@ const formatNumber = (num) => {
     return new Intl.NumberFormat('vi-VN').format(num);
 };
 
+// Short price for filters and chips, from millions of VND: 850 -> "850 triệu", 1850 -> "1,85 tỷ"
+const formatPriceShort = (millions) => {
+    if (millions >= 1000) {
+        return `${new Intl.NumberFormat('vi-VN', { maximumFractionDigits: 3 }).format(millions / 1000)} tỷ`;
+    }
+    return `${formatNumber(millions)} triệu`;
+};
+
+// Escape text before putting it into HTML markup
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 // Debounce function for search
 const debounce = (func, wait) => {
     let timeout;
@@ -72,6 +88,105 @@ const storage = {
     }
 };
 
+// IndexedDB helpers (async key/value store for data too large for localStorage)
+const idbStorage = {
+    dbName: 'autolux',
+    storeName: 'keyval',
+    connection: null,
+    open: () => {
+        if (!idbStorage.connection) {
+            idbStorage.connection = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+                const request = indexedDB.open(idbStorage.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(idbStorage.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return idbStorage.connection;
+    },
+    request: async (mode, action) => {
+        const db = await idbStorage.open();
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(idbStorage.storeName, mode).objectStore(idbStorage.storeName);
+            const request = action(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+    get: async (key) => {
+        try {
+            const value = await idbStorage.request('readonly', store => store.get(key));
+            return value === undefined ? null : value;
+        } catch (e) {
+            console.error('Error reading from IndexedDB:', e);
+            return null;
+        }
+    },
+    set: async (key, value) => {
+        try {
+            await idbStorage.request('readwrite', store => store.put(value, key));
+        } catch (e) {
+            console.error('Error writing to IndexedDB:', e);
+        }
+    },
+    remove: async (key) => {
+        try {
+            await idbStorage.request('readwrite', store => store.delete(key));
+        } catch (e) {
+            console.error('Error removing from IndexedDB:', e);
+        }
+    }
+};
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+// dataSource: 'static' reads mock-data.json, 'api' uses server.js (or the dealer backend)
+// Switch with: localStorage.setItem('dataSource', '"api"')
+const AppConfig = {
+    dataSource: storage.get('dataSource') === 'api' ? 'api' : 'static',
+    apiBaseUrl: storage.get('apiBaseUrl') || 'api'
+};
+
+const isApiMode = () => AppConfig.dataSource === 'api';
+
+const fetchApi = async (endpoint, params = {}, headers = {}) => {
+    const query = new URLSearchParams();
+    Object.keys(params).forEach(key => {
+        if (params[key] !== '' && params[key] !== null && params[key] !== undefined) {
+            query.set(key, params[key]);
+        }
+    });
+    const queryString = query.toString();
+    const response = await fetch(`${AppConfig.apiBaseUrl}/${endpoint}${queryString ? `?${queryString}` : ''}`, { headers });
+    if (!response.ok) throw new Error(`API request failed: ${response.status}`);
+    return response.json();
+};
+
+// Writes; resolves to { ok, status, body } so callers can show the server's validation errors
+const sendApi = async (method, endpoint, body, headers = {}) => {
+    const response = await fetch(`${AppConfig.apiBaseUrl}/${endpoint}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    return { ok: response.ok, status: response.status, body: await response.json().catch(() => ({})) };
+};
+
+// Staff writes to server.js carry its ADMIN_TOKEN, entered in the admin console and kept
+// for this tab only
+const ADMIN_TOKEN_KEY = 'autolux-admin-token';
+
+const adminHeaders = () => {
+    const token = sessionStorage.getItem(ADMIN_TOKEN_KEY);
+    return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
 // ============================================
 // TOAST NOTIFICATIONS
 // ============================================
@@ -89,9 +204,11 @@ const showToast = (message, type = 'info') => {
     
     toast.innerHTML = `
         ${icons[type] || icons.info}
-        <span class="toast-message">${message}</span>
+        <span class="toast-message"></span>
         <button class="toast-close" onclick="this.parentElement.remove()">&times;</button>
     `;
+    // Messages quote names customers and staff typed in, so they go in as text
+    toast.querySelector('.toast-message').textContent = message;
     
     container.appendChild(toast);
     
@@ -114,10 +231,24 @@ const openModal = (modalId) => {
 };
 
 const closeModal = (modalId) => {
+    // The car detail owns history entries: go back to the page it was opened from,
+    // the popstate handler then hides the modal
+    const { state } = window.history;
+    if (modalId === 'car-detail-modal' && state && state.carId) {
+        window.history.go(-state.depth);
+        return;
+    }
+    
+    if (modalId === 'gallery-modal') {
+        closeGallery();
+    }
+    
     const modal = document.getElementById(modalId);
     if (modal) {
         modal.classList.remove('active');
-        document.body.style.overflow = '';
+        if (!document.querySelector('.modal.active')) {
+            document.body.style.overflow = '';
+        }
     }
 };
 
@@ -144,20 +275,288 @@ document.addEventListener('keydown', (e) => {
 const AppState = {
     cars: [],
     filteredCars: [],
+    totalCars: 0,
+    condition: 'all', // which inventory the page lists: 'new', 'used' or 'all'
     currentPage: 1,
     itemsPerPage: 9,
     favorites: storage.get('favorites') || [],
     cart: storage.get('cart') || [],
     compareList: storage.get('compareList') || [],
     currentUser: storage.get('currentUser') || null,
-    filters: {
-        search: '',
-        brand: '',
-        year: '',
-        fuel: '',
-        price: ''
+    filters: InventoryCore.createFilters(),
+    sortBy: 'default',
+    favoritesOnly: false
+};
+
+// ============================================
+// INVENTORY
+// ============================================
+
+// Bump when the shape of the cached data changes so old caches are dropped
+const INVENTORY_CACHE_VERSION = 1;
+const INVENTORY_CACHE_KEY = 'inventory';
+const INVENTORY_OVERRIDES_KEY = 'inventory-overrides';
+const RESERVATION_HOURS = 48;
+
+// Single source of car data for every page: loaded once, indexed, cached in IndexedDB
+const Inventory = {
+    loaded: false,
+    version: null,
+    cars: [],
+    newCars: [],
+    usedCars: [],
+    byId: new Map(),
+    byBrand: new Map(),
+    usedIds: new Set(),
+    baseData: null,
+    overrides: {},
+    pending: null,
+
+    load: ({ force = false } = {}) => {
+        if (Inventory.loaded && !force) return Promise.resolve(Inventory);
+        if (!Inventory.pending) {
+            // Card ratings come from the reviews, so they load alongside
+            Inventory.pending = Promise.all([Inventory.fetchData(force), idbStorage.get(INVENTORY_OVERRIDES_KEY), Reviews.load()])
+                .then(([{ data, version }, overrides]) => {
+                    Inventory.baseData = data;
+                    Inventory.version = version;
+                    // In API mode the server owns the data, so edits made in static mode stay out
+                    Inventory.overrides = isApiMode() ? {} : overrides || {};
+                    Inventory.index();
+                    return Inventory;
+                })
+                .finally(() => {
+                    Inventory.pending = null;
+                });
+        }
+        return Inventory.pending;
+    },
+
+    // Every load asks the source whether the data changed since the cached copy was saved
+    // (If-None-Match / If-Modified-Since, answered with a bodyless 304 when it has not),
+    // so a new version stamp after an import or an edit shows on the next page load
+    fetchData: async (force) => {
+        const cached = await idbStorage.get(INVENTORY_CACHE_KEY);
+        const isUsable = cached &&
+            cached.cacheVersion === INVENTORY_CACHE_VERSION &&
+            cached.source === AppConfig.dataSource;
+
+        const headers = {};
+        if (isUsable && !force) {
+            if (cached.etag) headers['If-None-Match'] = cached.etag;
+            if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+        }
+
+        try {
+            const response = await fetch(isApiMode() ? `${AppConfig.apiBaseUrl}/inventory` : 'mock-data.json', {
+                headers,
+                cache: 'no-cache'
+            });
+            if (response.status === 304 && isUsable) return cached;
+            if (!response.ok) throw new Error('Failed to load data');
+            const data = await response.json();
+            const etag = response.headers.get('ETag');
+            const lastModified = response.headers.get('Last-Modified');
+            const version = data.version || etag || lastModified || new Date().toISOString();
+
+            const record = {
+                cacheVersion: INVENTORY_CACHE_VERSION,
+                source: AppConfig.dataSource,
+                version,
+                etag,
+                lastModified,
+                savedAt: Date.now(),
+                data
+            };
+            await idbStorage.set(INVENTORY_CACHE_KEY, record);
+            return record;
+        } catch (error) {
+            // Serve the stale copy rather than nothing when offline
+            if (isUsable) {
+                console.warn('Using cached inventory:', error);
+                return cached;
+            }
+            throw error;
+        }
+    },
+
+    // In static mode admin edits are stored apart from the cached source data and layered on top of it
+    applyOverrides: (data, overrides) => {
+        const cars = [...(data.cars || [])];
+        const usedCars = [...(data.usedCars || [])];
+        
+        Object.keys(overrides).forEach(id => {
+            const car = overrides[id];
+            const list = car.id >= InventoryCore.ID_RANGES.used.min ? usedCars : cars;
+            const index = list.findIndex(c => c.id === car.id);
+            if (index > -1) {
+                list[index] = car;
+            } else {
+                list.push(car);
+            }
+        });
+        
+        return { cars, usedCars };
+    },
+
+    index: () => {
+        const data = Inventory.applyOverrides(Inventory.baseData, Inventory.overrides);
+        
+        // Never let records that fail the schema reach the UI
+        const { valid, rejected } = InventoryCore.validateInventory(data);
+        rejected.forEach(record => {
+            console.warn(`Skipping invalid car #${record.id}:`, record.errors.join('; '));
+        });
+        
+        Inventory.newCars = valid.cars;
+        Inventory.usedCars = valid.usedCars;
+        Inventory.cars = [...Inventory.newCars, ...Inventory.usedCars];
+        Inventory.usedIds = new Set(Inventory.usedCars.map(car => car.id));
+        Inventory.byId = new Map(Inventory.cars.map(car => [car.id, car]));
+        Inventory.byBrand = new Map();
+        Inventory.cars.forEach(car => {
+            if (!Inventory.byBrand.has(car.brand)) {
+                Inventory.byBrand.set(car.brand, []);
+            }
+            Inventory.byBrand.get(car.brand).push(car);
+        });
+        Inventory.loaded = true;
+    },
+
+    clearCache: () => idbStorage.remove(INVENTORY_CACHE_KEY),
+
+    getById: (carId) => Inventory.byId.get(Number(carId)) || null,
+
+    isUsed: (carId) => Inventory.usedIds.has(Number(carId)),
+
+    // Hidden cars still resolve by id (orders, favorites) but are left out of listings
+    isListed: (car) => !car.hidden,
+
+    // Accepts a predicate or an object of exact field matches,
+    // e.g. query({ brand: 'BMW', fuel: 'Điện', condition: 'used' })
+    query: (criteria = {}) => {
+        if (typeof criteria === 'function') {
+            return Inventory.cars.filter(car => Inventory.isListed(car) && criteria(car));
+        }
+
+        const { brand, condition, includeHidden, ...fields } = criteria;
+        let results = brand ? (Inventory.byBrand.get(brand) || []) : Inventory.cars;
+
+        if (!includeHidden) {
+            results = results.filter(Inventory.isListed);
+        }
+
+        if (condition) {
+            results = results.filter(car => Inventory.isUsed(car.id) === (condition === 'used'));
+        }
+
+        return results.filter(car => Object.keys(fields).every(key => car[key] === fields[key]));
+    },
+
+    all: ({ includeHidden = false } = {}) => Inventory.cars.filter(car => includeHidden || Inventory.isListed(car)),
+
+    new: ({ includeHidden = false } = {}) => Inventory.newCars.filter(car => includeHidden || Inventory.isListed(car)),
+
+    used: ({ includeHidden = false } = {}) => Inventory.usedCars.filter(car => includeHidden || Inventory.isListed(car)),
+
+    // First free id in the new (1-100) or used (101+) range
+    nextId: (condition) => {
+        const range = InventoryCore.ID_RANGES[condition];
+        let id = range.min;
+        while (Inventory.byId.has(id) || Inventory.overrides[id]) id++;
+        return id <= range.max ? id : null;
+    },
+
+    // Validates and stores a created or edited car; resolves to a list of problems (empty on success).
+    // A changed price is added to the car's price history. Without the API, edits are kept in
+    // this browser's IndexedDB only; other browsers keep seeing mock-data.json.
+    save: async (edited) => {
+        if (isApiMode()) return Inventory.saveRemote(edited);
+        
+        const since = isNaN(Date.parse(Inventory.version)) ? undefined : new Date(Inventory.version).toISOString();
+        const car = InventoryCore.trackPrice(edited, Inventory.getById(edited.id), undefined, since);
+        const isUsedCar = car.id >= InventoryCore.ID_RANGES.used.min;
+        const { rejected } = InventoryCore.validateInventory(isUsedCar ? { usedCars: [car] } : { cars: [car] });
+        if (rejected.length) {
+            return rejected[0].errors;
+        }
+        
+        Inventory.overrides = { ...Inventory.overrides, [car.id]: car };
+        await idbStorage.set(INVENTORY_OVERRIDES_KEY, Inventory.overrides);
+        Inventory.index();
+        return [];
+    },
+
+    // The server validates, records price changes and writes the data file; its copy
+    // of the car replaces the local one
+    saveRemote: async (car) => {
+        const isNew = !Inventory.getById(car.id);
+        try {
+            const headers = { ...adminHeaders(), ...(isNew ? { 'If-None-Match': '*' } : {}) };
+            const { ok, body } = await sendApi('PUT', `cars/${car.id}`, car, headers);
+            if (!ok) return body.errors || [body.error || 'Máy chủ không lưu được xe'];
+            Inventory.applyRemote(body);
+            return [];
+        } catch (error) {
+            console.error('Error saving car to API:', error);
+            return ['Không kết nối được máy chủ'];
+        }
+    },
+
+    applyRemote: (car) => {
+        const key = car.id >= InventoryCore.ID_RANGES.used.min ? 'usedCars' : 'cars';
+        const list = Inventory.baseData[key] || [];
+        const exists = list.some(c => c.id === car.id);
+        Inventory.baseData = {
+            ...Inventory.baseData,
+            [key]: exists ? list.map(c => (c.id === car.id ? car : c)) : [...list, car]
+        };
+        Inventory.index();
+    },
+
+    update: (carId, changes) => {
+        const car = Inventory.getById(carId);
+        return car ? Inventory.save({ ...car, ...changes }) : Promise.resolve(['Không tìm thấy xe']);
     },
-    sortBy: 'default'
+
+    // 'available', 'reserved' or 'sold'; unknown cars count as sold
+    availability: (carId) => {
+        const car = Inventory.getById(carId);
+        return car ? InventoryCore.getAvailability(car) : 'sold';
+    },
+
+    // Moves a car between available, reserved and sold. In API mode the server decides, so a car
+    // another shopper holds or bought is refused; in static mode only this browser knows about it.
+    // Without an orderId the change is a staff override, which the server takes with the admin token.
+    setStock: async (carId, status, { orderId, hours = RESERVATION_HOURS } = {}) => {
+        const staff = orderId === undefined;
+        if (isApiMode()) {
+            try {
+                const { ok, body } = staff
+                    ? await sendApi('POST', `admin/cars/${carId}/status`, { status, hours }, adminHeaders())
+                    : await sendApi('POST', `cars/${carId}/status`, { status, orderId, hours });
+                if (!ok) return [body.error || 'Máy chủ không cập nhật được xe'];
+                Inventory.applyRemote(body);
+                return [];
+            } catch (error) {
+                console.error('Error updating car status:', error);
+                return ['Không kết nối được máy chủ'];
+            }
+        }
+
+        const car = Inventory.getById(carId);
+        if (!car) return ['Không tìm thấy xe'];
+        const now = Date.now();
+        const until = new Date(now + hours * 60 * 60 * 1000).toISOString();
+        const result = InventoryCore.changeStock(car, { status, orderId, staff, until, now });
+        return result.error ? [result.error] : Inventory.save(result.car);
+    },
+
+    reserve: (carId, orderId, hours) => Inventory.setStock(carId, 'reserved', { orderId, hours }),
+
+    markSold: (carId, orderId) => Inventory.setStock(carId, 'sold', { orderId }),
+
+    release: (carId, orderId) => Inventory.setStock(carId, 'available', { orderId })
 };
 
 // ============================================
@@ -166,19 +565,13 @@ const AppState = {
 
 const loadCarData = async (useUsedCars = false, loadAll = false) => {
     try {
-        const response = await fetch('mock-data.json');
-        if (!response.ok) throw new Error('Failed to load data');
-        const data = await response.json();
-        
+        await Inventory.load();
+
         // Choose between new cars, used cars, or all cars
-        if (loadAll) {
-            // Load both new and used cars for compare page
-            AppState.cars = [...data.cars, ...data.usedCars];
-        } else {
-            // Load only new or used cars
-            AppState.cars = useUsedCars ? data.usedCars : data.cars;
-        }
+        AppState.condition = loadAll ? 'all' : (useUsedCars ? 'used' : 'new');
+        AppState.cars = getConditionCars();
         AppState.filteredCars = [...AppState.cars];
+        AppState.totalCars = AppState.cars.length;
         
         // Hide skeleton loader
         const skeletonLoader = document.getElementById('skeleton-loader');
@@ -190,12 +583,17 @@ const loadCarData = async (useUsedCars = false, loadAll = false) => {
         if (typeof populateFilters === 'function') {
             populateFilters();
         }
-        if (typeof renderCars === 'function') {
-            renderCars();
+        if (typeof syncFilterControls === 'function') {
+            syncFilterControls();
+        }
+        if (typeof applyFilters === 'function') {
+            // Keep the page restored from the URL
+            applyFilters({ page: AppState.currentPage, replaceUrl: true });
         }
         if (typeof updateBadges === 'function') {
             updateBadges();
         }
+        refreshRecentlyViewed();
     } catch (error) {
         console.error('Error loading car data:', error);
         const skeletonLoader = document.getElementById('skeleton-loader');
@@ -214,274 +612,1226 @@ const loadCarData = async (useUsedCars = false, loadAll = false) => {
 // FILTER & SORT
 // ============================================
 
-const populateFilters = () => {
-    const brands = [...new Set(AppState.cars.map(car => car.brand))];
-    const years = [...new Set(AppState.cars.map(car => car.year))].sort((a, b) => b - a);
-    
-    const brandSelect = document.getElementById('filter-brand');
-    brands.forEach(brand => {
-        const option = document.createElement('option');
-        option.value = brand;
-        option.textContent = brand;
-        brandSelect.appendChild(option);
-    });
-    
-    const yearSelect = document.getElementById('filter-year');
-    years.forEach(year => {
-        const option = document.createElement('option');
-        option.value = year;
-        option.textContent = year;
-        yearSelect.appendChild(option);
-    });
+const FACET_LABELS = {
+    brand: 'Hãng xe',
+    fuel: 'Nhiên liệu',
+    transmission: 'Hộp số',
+    color: 'Màu sắc',
+    seats: 'Số chỗ'
 };
 
-const applyFilters = () => {
-    let filtered = [...AppState.cars];
-    
-    // Search filter
-    if (AppState.filters.search) {
-        const searchLower = AppState.filters.search.toLowerCase();
-        filtered = filtered.filter(car => 
-            car.name.toLowerCase().includes(searchLower) ||
-            car.brand.toLowerCase().includes(searchLower) ||
-            car.model.toLowerCase().includes(searchLower)
-        );
-    }
-    
-    // Brand filter
-    if (AppState.filters.brand) {
-        filtered = filtered.filter(car => car.brand === AppState.filters.brand);
-    }
+const RANGE_FILTERS = {
+    price: { label: 'Giá', step: 10, format: formatPriceShort },
+    year: { label: 'Năm', step: 1, format: (value) => String(value) },
+    km: { label: 'Số km', step: 1000, format: (value) => `${formatNumber(value)} km` }
+};
+
+// Slider limits, taken from the cars the page lists
+let rangeBounds = {};
+
+const formatFacetValue = (field, value) => field === 'seats' ? `${value} chỗ` : value;
+
+// Builds the facet dropdowns and range sliders; values come from the data
+const populateFilters = () => {
+    const container = document.getElementById('facet-filters');
+    if (!container) return;
     
-    // Year filter
-    if (AppState.filters.year) {
-        filtered = filtered.filter(car => car.year === parseInt(AppState.filters.year));
-    }
+    rangeBounds = InventoryCore.getRangeBounds(AppState.cars);
     
-    // Fuel filter
-    if (AppState.filters.fuel) {
-        filtered = filtered.filter(car => car.fuel === AppState.filters.fuel);
-    }
+    const panelStyle = 'position: absolute; top: calc(100% + 4px); left: 0; z-index: 110; min-width: 240px; max-height: 320px; overflow-y: auto; padding: var(--spacing-md); background-color: var(--bg-primary); border: 1px solid var(--border-color); border-radius: var(--radius-md); box-shadow: var(--shadow-lg);';
     
-    // Price filter
-    if (AppState.filters.price) {
-        const [min, max] = AppState.filters.price.split('-').map(Number);
-        filtered = filtered.filter(car => {
-            const priceInMillions = car.price / 1000000;
-            return priceInMillions >= min && priceInMillions <= max;
-        });
-    }
+    container.innerHTML = [
+        ...InventoryCore.FACET_FIELDS.map(field => `
+            <details class="filter-facet" data-facet-field="${field}" style="position: relative;">
+                <summary class="filter-select" style="list-style: none;">${FACET_LABELS[field]} <span data-facet-summary></span></summary>
+                <div class="filter-facet-panel" data-facet-options style="${panelStyle}"></div>
+            </details>
+        `),
+        ...Object.keys(RANGE_FILTERS).map(field => `
+            <details class="filter-facet" data-range-field="${field}" style="position: relative;">
+                <summary class="filter-select" style="list-style: none;">${RANGE_FILTERS[field].label} <span data-range-summary></span></summary>
+                <div class="filter-facet-panel" style="${panelStyle} min-width: 280px;">
+                    <div class="range-slider" data-range="${field}" style="position: relative; height: 32px; margin: 0 10px;">
+                        <div style="position: absolute; top: 14px; left: 0; right: 0; height: 4px; border-radius: 2px; background-color: var(--border-color);"></div>
+                        <div data-range-fill style="position: absolute; top: 14px; height: 4px; border-radius: 2px; background-color: var(--primary-color);"></div>
+                        ${['min', 'max'].map(handle => `
+                            <button type="button" data-handle="${handle}" role="slider"
+                                aria-label="${RANGE_FILTERS[field].label} ${handle === 'min' ? 'từ' : 'đến'}"
+                                aria-valuemin="${rangeBounds[field].min}" aria-valuemax="${rangeBounds[field].max}"
+                                style="position: absolute; top: 6px; width: 20px; height: 20px; margin-left: -10px; padding: 0; border-radius: 50%; border: 2px solid var(--primary-color); background-color: var(--bg-primary); cursor: grab; touch-action: none;"></button>
+                        `).join('')}
+                    </div>
+                    <div data-range-labels style="display: flex; justify-content: space-between; margin-top: var(--spacing-xs); font-size: var(--font-size-sm); color: var(--text-secondary);">
+                        <span data-range-min></span>
+                        <span data-range-max></span>
+                    </div>
+                </div>
+            </details>
+        `)
+    ].join('');
     
-    // Apply sorting
-    switch (AppState.sortBy) {
-        case 'price-asc':
-            filtered.sort((a, b) => a.price - b.price);
-            break;
-        case 'price-desc':
-            filtered.sort((a, b) => b.price - a.price);
-            break;
-        case 'year-desc':
-            filtered.sort((a, b) => b.year - a.year);
-            break;
-        case 'km-asc':
-            filtered.sort((a, b) => a.km - b.km);
-            break;
-    }
-    
-    AppState.filteredCars = filtered;
-    AppState.currentPage = 1;
-    renderCars();
+    container.querySelectorAll('.range-slider').forEach(initRangeSlider);
 };
 
-// ============================================
-// CAR RENDERING
-// ============================================
-
-const renderCars = () => {
-    const grid = document.getElementById('car-grid');
-    const emptyState = document.getElementById('empty-state');
-    
-    if (AppState.filteredCars.length === 0) {
-        grid.innerHTML = '';
-        emptyState.classList.remove('hidden');
-        document.getElementById('pagination').innerHTML = '';
-        return;
-    }
+// Counts show how many cars each value would give with the other filters kept
+const renderFacets = () => {
+    const container = document.getElementById('facet-filters');
+    if (!container || !Inventory.loaded) return;
     
-    emptyState.classList.add('hidden');
+    const facets = InventoryCore.getFacetCounts(getConditionCars(), getActiveFilters());
     
-    // Pagination
-    const startIndex = (AppState.currentPage - 1) * AppState.itemsPerPage;
-    const endIndex = startIndex + AppState.itemsPerPage;
-    const carsToShow = AppState.filteredCars.slice(startIndex, endIndex);
+    InventoryCore.FACET_FIELDS.forEach(field => {
+        const details = container.querySelector(`[data-facet-field="${field}"]`);
+        const selected = AppState.filters[field].map(String);
+        
+        details.querySelector('[data-facet-summary]').textContent = selected.length ? `(${selected.length})` : '';
+        details.querySelector('[data-facet-options]').innerHTML = facets[field].map(({ value, count }) => {
+            const checked = selected.includes(value);
+            const disabled = count === 0 && !checked;
+            return `
+                <label style="display: flex; align-items: center; gap: var(--spacing-sm); padding: var(--spacing-xs) 0; cursor: pointer; ${disabled ? 'opacity: 0.5;' : ''}">
+                    <input type="checkbox" data-facet="${field}" value="${escapeHtml(value)}" ${checked ? 'checked' : ''} ${disabled ? 'disabled' : ''}>
+                    <span>${escapeHtml(formatFacetValue(field, value))}</span>
+                    <span style="margin-left: auto; color: var(--text-secondary);">${count}</span>
+                </label>
+            `;
+        }).join('');
+    });
     
-    grid.innerHTML = carsToShow.map(car => createCarCard(car)).join('');
-    renderPagination();
+    Object.keys(RANGE_FILTERS).forEach(field => {
+        const { min, max } = getRangeValue(field);
+        positionRangeSlider(field, min, max);
+        const summary = container.querySelector(`[data-range-field="${field}"] [data-range-summary]`);
+        summary.textContent = AppState.filters[field] ? '•' : '';
+    });
 };
 
-const createCarCard = (car) => {
-    const isFavorite = AppState.favorites.includes(car.id);
-    const isInCompare = AppState.compareList.some(c => c.id === car.id);
+const toggleFacetValue = (field, value, checked) => {
+    const values = AppState.filters[field].map(String).filter(v => v !== value);
+    AppState.filters[field] = checked ? [...values, value] : values;
+    applyFilters();
+};
+
+// ============================================
+// RANGE SLIDERS
+// ============================================
+
+// Current selection of a range filter, clamped to the slider limits
+const getRangeValue = (field) => {
+    const bounds = rangeBounds[field];
+    const range = InventoryCore.parseRange(AppState.filters[field]);
+    if (!range) return { ...bounds };
     
-    return `
-        <div class="car-card" data-car-id="${car.id}">
-            <div class="car-card-image">
-                <img src="${car.images[0]}" alt="${car.name}" loading="lazy">
-                ${car.badge ? `<span class="car-badge badge-${car.badge.toLowerCase()}">${car.badge}</span>` : ''}
-                <div class="car-card-actions">
-                    <button class="card-action-btn ${isFavorite ? 'active' : ''}" onclick="toggleFavorite(${car.id})" aria-label="Add to favorites">
-                        <svg viewBox="0 0 24 24" fill="${isFavorite ? 'currentColor' : 'none'}" stroke="currentColor">
-                            <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z" stroke-width="2"/>
-                        </svg>
-                    </button>
-                    <button class="card-action-btn ${isInCompare ? 'active' : ''}" onclick="toggleCompare(${car.id})" aria-label="Add to compare">
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                            <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6" stroke-width="2"/>
-                            <polyline points="15 3 21 3 21 9" stroke-width="2"/>
-                            <line x1="10" y1="14" x2="21" y2="3" stroke-width="2"/>
-                        </svg>
-                    </button>
-                </div>
-            </div>
-            <div class="car-card-content" onclick="showCarDetail(${car.id})">
-                <h3 class="car-card-title">${car.name}</h3>
-                <div class="car-card-meta">
-                    <span>📅 ${car.year}</span>
-                    <span>🛣️ ${formatNumber(car.km)} km</span>
-                    <span>⚙️ ${car.transmission}</span>
-                </div>
-                <div class="car-card-price">${formatCurrency(car.price)}</div>
-                <div class="car-card-rating">
-                    ${'⭐'.repeat(Math.floor(car.rating))}
-                    <span>(${car.rating})</span>
-                </div>
-            </div>
-        </div>
-    `;
+    const clamp = (value) => Math.min(Math.max(value, bounds.min), bounds.max);
+    return { min: clamp(range.min), max: clamp(range.max) };
 };
 
-const renderPagination = () => {
-    const totalPages = Math.ceil(AppState.filteredCars.length / AppState.itemsPerPage);
-    const pagination = document.getElementById('pagination');
+const positionRangeSlider = (field, min, max) => {
+    const slider = document.querySelector(`.range-slider[data-range="${field}"]`);
+    if (!slider) return;
     
-    if (totalPages <= 1) {
-        pagination.innerHTML = '';
-        return;
-    }
+    const bounds = rangeBounds[field];
+    const span = bounds.max - bounds.min || 1;
+    const toPercent = (value) => ((value - bounds.min) / span) * 100;
     
-    let html = `
-        <button onclick="changePage(${AppState.currentPage - 1})" ${AppState.currentPage === 1 ? 'disabled' : ''}>
-            ← Trước
-        </button>
-    `;
+    const minHandle = slider.querySelector('[data-handle="min"]');
+    const maxHandle = slider.querySelector('[data-handle="max"]');
+    minHandle.style.left = `${toPercent(min)}%`;
+    maxHandle.style.left = `${toPercent(max)}%`;
+    minHandle.setAttribute('aria-valuenow', min);
+    maxHandle.setAttribute('aria-valuenow', max);
+    minHandle.setAttribute('aria-valuetext', RANGE_FILTERS[field].format(min));
+    maxHandle.setAttribute('aria-valuetext', RANGE_FILTERS[field].format(max));
     
-    for (let i = 1; i <= totalPages; i++) {
-        if (i === 1 || i === totalPages || (i >= AppState.currentPage - 1 && i <= AppState.currentPage + 1)) {
-            html += `
-                <button class="${i === AppState.currentPage ? 'active' : ''}" onclick="changePage(${i})">
-                    ${i}
-                </button>
-            `;
-        } else if (i === AppState.currentPage - 2 || i === AppState.currentPage + 2) {
-            html += '<span>...</span>';
-        }
-    }
+    const fill = slider.querySelector('[data-range-fill]');
+    fill.style.left = `${toPercent(min)}%`;
+    fill.style.width = `${toPercent(max) - toPercent(min)}%`;
     
-    html += `
-        <button onclick="changePage(${AppState.currentPage + 1})" ${AppState.currentPage === totalPages ? 'disabled' : ''}>
-            Sau →
-        </button>
-    `;
+    const panel = slider.parentElement;
+    panel.querySelector('[data-range-min]').textContent = RANGE_FILTERS[field].format(min);
+    panel.querySelector('[data-range-max]').textContent = RANGE_FILTERS[field].format(max);
     
-    pagination.innerHTML = html;
+    slider.dataset.min = min;
+    slider.dataset.max = max;
 };
 
-const changePage = (page) => {
-    const totalPages = Math.ceil(AppState.filteredCars.length / AppState.itemsPerPage);
-    if (page < 1 || page > totalPages) return;
-    
-    AppState.currentPage = page;
-    renderCars();
-    document.getElementById('catalog').scrollIntoView({ behavior: 'smooth' });
+// The full span means "no filter", so it is stored as an empty string
+const commitRange = (field, min, max) => {
+    const bounds = rangeBounds[field];
+    AppState.filters[field] = min <= bounds.min && max >= bounds.max ? '' : `${min}-${max}`;
+    applyFilters();
 };
 
-// ============================================
-// CAR DETAIL
-// ============================================
+const commitRangeDebounced = debounce(commitRange, 400);
 
-const showCarDetail = (carId) => {
-    const car = AppState.cars.find(c => c.id === carId);
-    if (!car) return;
+// Two handles on one track; dragging updates the labels and the filter applies on release
+const initRangeSlider = (slider) => {
+    const field = slider.dataset.range;
+    const { step } = RANGE_FILTERS[field];
     
-    const content = document.getElementById('car-detail-content');
-    const isFavorite = AppState.favorites.includes(car.id);
+    const snap = (value) => {
+        const bounds = rangeBounds[field];
+        const snapped = bounds.min + Math.round((value - bounds.min) / step) * step;
+        return Math.min(Math.max(snapped, bounds.min), bounds.max);
+    };
     
-    content.innerHTML = `
-        <div class="car-detail">
-            <div class="car-detail-gallery">
-                <img src="${car.images[0]}" alt="${car.name}" class="car-detail-main-image" id="detail-main-image" onclick="openGallery(${car.id}, 0)">
-                <div class="car-detail-thumbnails">
-                    ${car.images.map((img, idx) => `
-                        <img src="${img}" alt="${car.name}" class="car-detail-thumbnail ${idx === 0 ? 'active' : ''}" onclick="changeDetailImage('${img}', ${idx})">
-                    `).join('')}
-                </div>
-            </div>
-            <div class="car-detail-info">
-                <h2>${car.name}</h2>
-                ${car.badge ? `<span class="car-badge badge-${car.badge.toLowerCase()}">${car.badge}</span>` : ''}
-                <div class="car-detail-price">${formatCurrency(car.price)}</div>
-                
-                <div class="car-detail-specs">
-                    <h3>Thông số kỹ thuật</h3>
-                    <div class="spec-grid">
-                        <div class="spec-item">
-                            <span class="spec-label">Hãng xe</span>
-                            <span class="spec-value">${car.brand}</span>
-                        </div>
-                        <div class="spec-item">
-                            <span class="spec-label">Model</span>
-                            <span class="spec-value">${car.model}</span>
-                        </div>
-                        <div class="spec-item">
-                            <span class="spec-label">Năm sản xuất</span>
-                            <span class="spec-value">${car.year}</span>
-                        </div>
-                        <div class="spec-item">
-                            <span class="spec-label">Số km</span>
-                            <span class="spec-value">${formatNumber(car.km)} km</span>
-                        </div>
-                        <div class="spec-item">
-                            <span class="spec-label">Nhiên liệu</span>
-                            <span class="spec-value">${car.fuel}</span>
-                        </div>
-                        <div class="spec-item">
-                            <span class="spec-label">Hộp số</span>
-                            <span class="spec-value">${car.transmission}</span>
-                        </div>
-                        <div class="spec-item">
-                            <span class="spec-label">Số ghế</span>
-                            <span class="spec-value">${car.seats} chỗ</span>
-                        </div>
-                        <div class="spec-item">
-                            <span class="spec-label">Màu sắc</span>
-                            <span class="spec-value">${car.color}</span>
-                        </div>
-                    </div>
+    const moveHandle = (handle, value) => {
+        let min = Number(slider.dataset.min);
+        let max = Number(slider.dataset.max);
+        if (handle === 'min') {
+            min = Math.min(snap(value), max);
+        } else {
+            max = Math.max(snap(value), min);
+        }
+        positionRangeSlider(field, min, max);
+    };
+    
+    slider.querySelectorAll('[data-handle]').forEach(button => {
+        const handle = button.dataset.handle;
+        
+        button.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            button.setPointerCapture(e.pointerId);
+            button.style.cursor = 'grabbing';
+        });
+        
+        button.addEventListener('pointermove', (e) => {
+            if (!button.hasPointerCapture(e.pointerId)) return;
+            const rect = slider.getBoundingClientRect();
+            const bounds = rangeBounds[field];
+            const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+            moveHandle(handle, bounds.min + ratio * (bounds.max - bounds.min));
+        });
+        
+        button.addEventListener('pointerup', (e) => {
+            button.releasePointerCapture(e.pointerId);
+            button.style.cursor = 'grab';
+            commitRange(field, Number(slider.dataset.min), Number(slider.dataset.max));
+        });
+        
+        button.addEventListener('keydown', (e) => {
+            const bounds = rangeBounds[field];
+            const current = Number(slider.dataset[handle]);
+            const moves = {
+                ArrowLeft: current - step,
+                ArrowDown: current - step,
+                ArrowRight: current + step,
+                ArrowUp: current + step,
+                Home: bounds.min,
+                End: bounds.max
+            };
+            if (!(e.key in moves)) return;
+            
+            e.preventDefault();
+            moveHandle(handle, moves[e.key]);
+            commitRangeDebounced(field, Number(slider.dataset.min), Number(slider.dataset.max));
+        });
+    });
+};
+
+// ============================================
+// ACTIVE FILTER CHIPS
+// ============================================
+
+const formatRangeLabel = (field, value) => {
+    const range = InventoryCore.parseRange(value);
+    const { format, label } = RANGE_FILTERS[field];
+    
+    let text = `${format(range.min)} - ${format(range.max)}`;
+    if (range.min === -Infinity) text = `đến ${format(range.max)}`;
+    if (range.max === Infinity) text = `từ ${format(range.min)}`;
+    if (range.min === range.max) text = format(range.min);
+    return `${label}: ${text}`;
+};
+
+const formatFilterLabel = (field, value) => RANGE_FILTERS[field]
+    ? formatRangeLabel(field, value)
+    : `${FACET_LABELS[field]}: ${formatFacetValue(field, value)}`;
+
+const getKnownBrands = () => Inventory.loaded ? [...Inventory.byBrand.keys()] : [];
+
+const getActiveFilterChips = (filters = AppState.filters) => {
+    const chips = [];
+    
+    // Constraints typed into the search box ("BMW 2021 trở lên") get their own chips;
+    // their value is the part of the search text they came from
+    if (filters.search) {
+        const { constraints, text } = InventoryCore.parseQuery(filters.search, getKnownBrands());
+        if (text) {
+            chips.push({ key: 'search', label: `Tìm: "${text}"` });
+        }
+        constraints.forEach(({ field, value, start, end }) => {
+            chips.push({ key: 'query', value: `${start}-${end}`, label: formatFilterLabel(field, value), fromQuery: true });
+        });
+    }
+    InventoryCore.FACET_FIELDS.forEach(field => {
+        filters[field].forEach(value => {
+            chips.push({ key: field, value, label: formatFilterLabel(field, value) });
+        });
+    });
+    Object.keys(RANGE_FILTERS).forEach(field => {
+        if (InventoryCore.parseRange(filters[field])) {
+            chips.push({ key: field, label: formatRangeLabel(field, filters[field]) });
+        }
+    });
+    if (filters.showSold) {
+        chips.push({ key: 'showSold', label: 'Hiện xe đã bán' });
+    }
+    
+    return chips;
+};
+
+const renderActiveFilters = () => {
+    const container = document.getElementById('active-filters');
+    if (!container) return;
+    
+    const chips = getActiveFilterChips();
+    container.classList.toggle('hidden', chips.length === 0);
+    container.innerHTML = chips.map(chip => `
+        <button type="button" class="filter-chip" data-filter-key="${chip.key}" data-filter-value="${chip.value !== undefined ? escapeHtml(chip.value) : ''}"
+            aria-label="Bỏ lọc ${escapeHtml(chip.label)}" ${chip.fromQuery ? 'title="Từ ô tìm kiếm"' : ''}
+            style="display: inline-flex; align-items: center; gap: var(--spacing-xs); padding: var(--spacing-xs) var(--spacing-md); border: 1px ${chip.fromQuery ? 'dashed' : 'solid'} var(--border-color); border-radius: 999px; background-color: var(--bg-secondary); cursor: pointer;">
+            ${escapeHtml(chip.label)} <span aria-hidden="true">&times;</span>
+        </button>
+    `).join('');
+};
+
+// Removing a search-box chip edits the search text: 'text' drops the free words and
+// keeps the constraints, "start-end" cuts out one constraint
+const removeFromQuery = (part) => {
+    const search = AppState.filters.search;
+    const { constraints } = InventoryCore.parseQuery(search, getKnownBrands());
+    
+    if (part === 'text') {
+        return constraints.map(({ start, end }) => search.slice(start, end)).join(' ');
+    }
+    const [start, end] = part.split('-').map(Number);
+    return `${search.slice(0, start)} ${search.slice(end)}`.replace(/\s+/g, ' ').trim();
+};
+
+const removeFilter = (key, value) => {
+    const defaults = InventoryCore.createFilters();
+    
+    if (key === 'search' || key === 'query') {
+        AppState.filters.search = removeFromQuery(key === 'search' ? 'text' : value);
+    } else if (Array.isArray(defaults[key])) {
+        AppState.filters[key] = AppState.filters[key].filter(v => String(v) !== value);
+    } else {
+        AppState.filters[key] = defaults[key];
+    }
+    syncFilterControls();
+    applyFilters();
+};
+
+// Facets, sliders, chips and the favorites banner all follow AppState
+const renderFilterState = () => {
+    renderFavoritesModeBar();
+    renderFacets();
+    renderActiveFilters();
+};
+
+// Listed cars for the current page type, re-read so stock changes show up right away.
+// Favorites may be new or used, so favorites mode looks at everything
+const getConditionCars = () => {
+    if (AppState.favoritesOnly) return Inventory.all();
+    if (AppState.condition === 'used') return Inventory.used();
+    if (AppState.condition === 'new') return Inventory.new();
+    return Inventory.all();
+};
+
+const getActiveFilters = () => ({
+    ...AppState.filters,
+    ids: AppState.favoritesOnly ? AppState.favorites.join(',') || '0' : ''
+});
+
+// replaceUrl: update the address without a new history entry (page load, back/forward)
+const applyFilters = ({ page = 1, replaceUrl = false } = {}) => {
+    if (Inventory.loaded) {
+        AppState.cars = getConditionCars();
+    }
+    renderFilterState();
+    
+    if (isApiMode()) {
+        fetchCarPage(page, replaceUrl);
+        return;
+    }
+    
+    const filtered = InventoryCore.filterCars(AppState.cars, getActiveFilters());
+    AppState.filteredCars = InventoryCore.sortCars(filtered, AppState.sortBy);
+    AppState.totalCars = AppState.filteredCars.length;
+    
+    const totalPages = Math.max(Math.ceil(AppState.totalCars / AppState.itemsPerPage), 1);
+    AppState.currentPage = Math.min(Math.max(page, 1), totalPages);
+    renderCars();
+    syncCatalogUrl(replaceUrl);
+};
+
+// Server-side filtering, sorting and pagination: filteredCars holds only the requested page
+let carPageRequestId = 0;
+
+const fetchCarPage = async (page = 1, replaceUrl = false) => {
+    const requestId = ++carPageRequestId;
+    
+    try {
+        const result = await fetchApi('cars', {
+            ...getActiveFilters(),
+            sortBy: AppState.sortBy,
+            page,
+            pageSize: AppState.itemsPerPage,
+            type: AppState.favoritesOnly ? 'all' : AppState.condition
+        });
+        
+        // Ignore responses that arrive after a newer request was made
+        if (requestId !== carPageRequestId) return;
+        
+        // The server owns stock status and hidden flags in API mode, so its page and
+        // total are used as they are
+        AppState.filteredCars = result.items;
+        AppState.totalCars = result.total;
+        AppState.currentPage = result.page;
+        renderCars();
+        syncCatalogUrl(replaceUrl);
+    } catch (error) {
+        console.error('Error loading cars from API:', error);
+        showToast('Không thể tải dữ liệu xe. Vui lòng thử lại sau.', 'error');
+    }
+};
+
+// ============================================
+// CATALOG URL STATE
+// ============================================
+
+// Filters, sort, page and favorites mode live in the query string so links can be shared:
+// catalog.html?brand=BMW,Audi&price=500-1200&sort=price-asc&page=2&favorites=true
+const readCatalogUrlState = () => {
+    const params = new URLSearchParams(window.location.search);
+    const filters = InventoryCore.createFilters();
+    
+    Object.keys(filters).forEach(key => {
+        if (!params.has(key)) return;
+        if (typeof filters[key] === 'boolean') {
+            filters[key] = params.get(key) === 'true';
+        } else if (Array.isArray(filters[key])) {
+            // Multi-select values are comma-separated: brand=BMW,Audi
+            filters[key] = params.get(key).split(',').filter(Boolean);
+        } else {
+            filters[key] = params.get(key);
+        }
+    });
+    
+    AppState.filters = filters;
+    AppState.sortBy = params.get('sort') || 'default';
+    AppState.currentPage = Math.max(parseInt(params.get('page')) || 1, 1);
+    AppState.favoritesOnly = params.get('favorites') === 'true';
+};
+
+const buildCatalogQuery = (state = AppState) => {
+    const params = new URLSearchParams();
+    
+    Object.keys(InventoryCore.DEFAULT_FILTERS).forEach(key => {
+        const value = state.filters[key];
+        if (Array.isArray(value)) {
+            if (value.length) params.set(key, value.join(','));
+        } else if (value && value !== InventoryCore.DEFAULT_FILTERS[key]) {
+            params.set(key, String(value));
+        }
+    });
+    if (state.sortBy !== 'default') params.set('sort', state.sortBy);
+    if (state.currentPage > 1) params.set('page', state.currentPage);
+    if (state.favoritesOnly) params.set('favorites', 'true');
+    
+    // Keep the commas of multi-select values readable
+    const query = params.toString().replace(/%2C/g, ',');
+    return query ? `?${query}` : '';
+};
+
+// Every change that alters the results adds a history entry, so back/forward step through them
+const syncCatalogUrl = (replace = false) => {
+    const query = buildCatalogQuery();
+    if (query === window.location.search) return;
+    
+    const url = `${window.location.pathname}${query}${window.location.hash}`;
+    if (replace) {
+        window.history.replaceState(null, '', url);
+    } else {
+        window.history.pushState(null, '', url);
+    }
+};
+
+// Show the current state in the filter bar (after a page load or back/forward);
+// facets and sliders are redrawn by applyFilters
+const syncFilterControls = () => {
+    const setValue = (id, value) => {
+        const element = document.getElementById(id);
+        if (element) element.value = value;
+    };
+    
+    setValue('search-input', AppState.filters.search);
+    setValue('sort-select', AppState.sortBy);
+    
+    const showSold = document.getElementById('filter-show-sold');
+    if (showSold) showSold.checked = AppState.filters.showSold;
+};
+
+const renderFavoritesModeBar = () => {
+    const bar = document.getElementById('favorites-mode-bar');
+    if (!bar) return;
+    
+    bar.classList.toggle('hidden', !AppState.favoritesOnly);
+    const count = document.getElementById('favorites-mode-count');
+    if (count) count.textContent = AppState.favorites.length;
+};
+
+const exitFavoritesMode = () => {
+    AppState.favoritesOnly = false;
+    applyFilters();
+};
+
+// ============================================
+// SEARCH SUGGESTIONS
+// ============================================
+
+// Recent searches per account ('guest' when signed out): { [email]: ['BMW X5', ...] }
+const RECENT_SEARCHES_KEY = 'recentSearches';
+const MAX_RECENT_SEARCHES = 6;
+const SUGGESTION_LIMITS = { brand: 3, model: 4, car: 5 };
+const SUGGESTION_GROUPS = { recent: 'Tìm kiếm gần đây', brand: 'Hãng xe', model: 'Dòng xe', car: 'Xe' };
+
+// Built once per inventory load and page type, so each keystroke is only a prefix lookup
+let suggestionIndex = null;
+let suggestionState = { items: [], active: -1 };
+
+const toSearchWords = (text) => InventoryCore.normalizeText(text).split(' ').filter(Boolean);
+
+const getSuggestionIndex = () => {
+    if (suggestionIndex && suggestionIndex.source === Inventory.byId && suggestionIndex.condition === AppState.condition) {
+        return suggestionIndex;
+    }
+    
+    const cars = getConditionCars().filter(car => InventoryCore.getAvailability(car) !== 'sold');
+    const brands = new Map();
+    const models = new Map();
+    cars.forEach(car => {
+        brands.set(car.brand, (brands.get(car.brand) || 0) + 1);
+        const key = `${car.brand}|${car.model}`;
+        if (!models.has(key)) models.set(key, { brand: car.brand, model: car.model, count: 0 });
+        models.get(key).count++;
+    });
+    
+    suggestionIndex = {
+        source: Inventory.byId,
+        condition: AppState.condition,
+        brand: [...brands].sort((a, b) => b[1] - a[1]).map(([brand, count]) => ({
+            type: 'brand', brand, count, label: brand, words: toSearchWords(brand)
+        })),
+        model: [...models.values()].sort((a, b) => b.count - a.count).map(({ brand, model, count }) => ({
+            type: 'model', brand, model, count, label: `${brand} ${model}`, words: toSearchWords(`${brand} ${model}`)
+        })),
+        car: cars.map(car => ({
+            type: 'car', car, label: car.name, words: toSearchWords(`${car.brand} ${car.name} ${car.year}`)
+        }))
+    };
+    return suggestionIndex;
+};
+
+// Every typed word must start one of the entry's words: "bm x" finds "BMW X5"
+const getSuggestions = (query) => {
+    const queryWords = toSearchWords(query);
+    if (queryWords.length === 0) return [];
+    
+    const index = getSuggestionIndex();
+    return Object.keys(SUGGESTION_LIMITS).flatMap(type => index[type]
+        .filter(entry => queryWords.every(word => entry.words.some(w => w.startsWith(word))))
+        // Entries whose first word matches what was typed first come first
+        .sort((a, b) => Number(!a.words[0].startsWith(queryWords[0])) - Number(!b.words[0].startsWith(queryWords[0])))
+        .slice(0, SUGGESTION_LIMITS[type]));
+};
+
+const getRecentSearches = () => {
+    const all = storage.get(RECENT_SEARCHES_KEY) || {};
+    return all[AppState.currentUser ? AppState.currentUser.email : 'guest'] || [];
+};
+
+const setRecentSearches = (searches) => {
+    const all = storage.get(RECENT_SEARCHES_KEY) || {};
+    all[AppState.currentUser ? AppState.currentUser.email : 'guest'] = searches;
+    storage.set(RECENT_SEARCHES_KEY, all);
+};
+
+const addRecentSearch = (text) => {
+    const query = text.trim();
+    if (!query) return;
+    
+    const key = InventoryCore.normalizeText(query);
+    const others = getRecentSearches().filter(item => InventoryCore.normalizeText(item) !== key);
+    setRecentSearches([query, ...others].slice(0, MAX_RECENT_SEARCHES));
+};
+
+const clearRecentSearches = () => {
+    setRecentSearches([]);
+    closeSuggestions();
+};
+
+const renderSuggestionItem = (item, index) => {
+    let content;
+    if (item.type === 'car') {
+        content = `
+            ${renderCarImage(item.car, { alt: '', style: 'width: 56px; height: 38px; object-fit: cover; border-radius: var(--radius-sm);' })}
+            <span style="flex: 1;">${escapeHtml(item.car.name)}</span>
+            <span style="color: var(--primary-color); font-weight: 600; white-space: nowrap;">${formatCurrency(item.car.price)}</span>
+        `;
+    } else if (item.type === 'recent') {
+        content = `<span aria-hidden="true">🕘</span><span style="flex: 1;">${escapeHtml(item.label)}</span>`;
+    } else {
+        content = `
+            <span style="flex: 1;">${escapeHtml(item.label)}</span>
+            <span style="color: var(--text-secondary); font-size: var(--font-size-sm);">${item.count} xe</span>
+        `;
+    }
+    
+    return `
+        <div role="option" id="search-suggestion-${index}" data-index="${index}" aria-selected="false"
+            style="display: flex; align-items: center; gap: var(--spacing-sm); padding: var(--spacing-sm) var(--spacing-md); cursor: pointer;">
+            ${content}
+        </div>
+    `;
+};
+
+const renderSuggestions = () => {
+    const box = document.getElementById('search-suggestions');
+    const input = document.getElementById('search-input');
+    if (!box || !Inventory.loaded) return;
+    
+    const query = input.value.trim();
+    const items = query
+        ? getSuggestions(query)
+        : getRecentSearches().map(label => ({ type: 'recent', label }));
+    suggestionState = { items, active: -1 };
+    
+    if (items.length === 0) {
+        closeSuggestions();
+        return;
+    }
+    
+    let html = '';
+    items.forEach((item, index) => {
+        if (index === 0 || items[index - 1].type !== item.type) {
+            html += `
+                <div role="presentation" style="display: flex; justify-content: space-between; padding: var(--spacing-sm) var(--spacing-md) var(--spacing-xs); font-size: var(--font-size-xs); font-weight: 600; text-transform: uppercase; color: var(--text-secondary);">
+                    ${SUGGESTION_GROUPS[item.type]}
+                    ${item.type === 'recent' ? '<button type="button" data-clear-recent style="border: none; background: none; color: var(--primary-color); cursor: pointer; text-transform: none;">Xóa</button>' : ''}
+                </div>
+            `;
+        }
+        html += renderSuggestionItem(item, index);
+    });
+    
+    box.innerHTML = html;
+    box.classList.remove('hidden');
+    input.setAttribute('aria-expanded', 'true');
+    input.removeAttribute('aria-activedescendant');
+};
+
+const closeSuggestions = () => {
+    const box = document.getElementById('search-suggestions');
+    const input = document.getElementById('search-input');
+    if (!box) return;
+    
+    box.classList.add('hidden');
+    box.innerHTML = '';
+    suggestionState = { items: [], active: -1 };
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+};
+
+const setActiveSuggestion = (index) => {
+    const input = document.getElementById('search-input');
+    suggestionState.active = index;
+    
+    document.querySelectorAll('#search-suggestions [role="option"]').forEach(option => {
+        const isActive = Number(option.dataset.index) === index;
+        option.setAttribute('aria-selected', String(isActive));
+        option.style.backgroundColor = isActive ? 'var(--bg-tertiary)' : '';
+        if (isActive) option.scrollIntoView({ block: 'nearest' });
+    });
+    
+    if (index >= 0) {
+        input.setAttribute('aria-activedescendant', `search-suggestion-${index}`);
+    } else {
+        input.removeAttribute('aria-activedescendant');
+    }
+};
+
+// A car opens its detail; a brand or model becomes a filter; a recent search is run again
+const chooseSuggestion = (item) => {
+    closeSuggestions();
+    
+    if (item.type === 'car') {
+        addRecentSearch(item.car.name);
+        showCarDetail(item.car.id);
+        return;
+    }
+    
+    addRecentSearch(item.label);
+    if (item.type === 'brand') {
+        AppState.filters.brand = [item.brand];
+        AppState.filters.search = '';
+    } else if (item.type === 'model') {
+        AppState.filters.brand = [item.brand];
+        AppState.filters.search = item.model;
+    } else {
+        AppState.filters.search = item.label;
+    }
+    syncFilterControls();
+    applyFilters();
+};
+
+const initSearchSuggestions = (input) => {
+    const box = document.getElementById('search-suggestions');
+    if (!box) return;
+    
+    // No debounce here: suggestions come from the prebuilt index
+    input.addEventListener('input', renderSuggestions);
+    input.addEventListener('focus', renderSuggestions);
+    input.addEventListener('blur', closeSuggestions);
+    
+    input.addEventListener('keydown', (e) => {
+        const { items, active } = suggestionState;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (items.length === 0) {
+                renderSuggestions();
+                return;
+            }
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActiveSuggestion((active + step + items.length) % items.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (active >= 0) {
+                chooseSuggestion(items[active]);
+                return;
+            }
+            // Search right away instead of waiting for the debounce
+            closeSuggestions();
+            addRecentSearch(input.value);
+            AppState.filters.search = input.value;
+            applyFilters();
+        } else if (e.key === 'Escape') {
+            closeSuggestions();
+        }
+    });
+    
+    // mousedown keeps focus in the input, so blur doesn't close the list first
+    box.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        if (e.target.closest('[data-clear-recent]')) {
+            clearRecentSearches();
+            return;
+        }
+        const option = e.target.closest('[role="option"]');
+        if (option) {
+            chooseSuggestion(suggestionState.items[Number(option.dataset.index)]);
+        }
+    });
+};
+
+// ============================================
+// SAVED SEARCHES
+// ============================================
+
+// Kept per account: { [email]: [{ id, name, condition, filters, sortBy, seenIds, newIds, createdAt }] }
+const SAVED_SEARCHES_KEY = 'savedSearches';
+
+const getSavedSearches = () => {
+    if (!AppState.currentUser) return [];
+    const all = storage.get(SAVED_SEARCHES_KEY) || {};
+    return all[AppState.currentUser.email] || [];
+};
+
+const setSavedSearches = (searches) => {
+    const all = storage.get(SAVED_SEARCHES_KEY) || {};
+    all[AppState.currentUser.email] = searches;
+    storage.set(SAVED_SEARCHES_KEY, all);
+    updateSavedSearchBadges();
+};
+
+// Ids of the listed cars a saved search matches right now
+const getSavedSearchMatches = (search) => {
+    const cars = search.condition === 'used' ? Inventory.used() : Inventory.new();
+    return InventoryCore.filterCars(cars, search.filters).map(car => car.id);
+};
+
+const getSavedSearchUrl = (search) => {
+    const page = search.condition === 'used' ? 'used-cars.html' : 'catalog.html';
+    return page + buildCatalogQuery({ filters: search.filters, sortBy: search.sortBy, currentPage: 1, favoritesOnly: false });
+};
+
+const saveCurrentSearch = () => {
+    if (!AppState.currentUser) {
+        showToast('Vui lòng đăng nhập để lưu tìm kiếm', 'error');
+        openModal('auth-modal');
+        return;
+    }
+    
+    const chips = getActiveFilterChips();
+    const suggestedName = chips.length
+        ? chips.map(chip => chip.label).join(', ')
+        : (AppState.condition === 'used' ? 'Tất cả xe cũ' : 'Tất cả xe mới');
+    const name = window.prompt('Đặt tên cho tìm kiếm này', suggestedName);
+    if (name === null) return;
+    
+    const search = {
+        id: Date.now(),
+        name: name.trim() || suggestedName,
+        condition: AppState.condition === 'used' ? 'used' : 'new',
+        filters: JSON.parse(JSON.stringify(AppState.filters)),
+        sortBy: AppState.sortBy,
+        newIds: [],
+        createdAt: new Date().toISOString()
+    };
+    // What is listed now counts as seen, so only later arrivals get flagged
+    search.seenIds = getSavedSearchMatches(search);
+    
+    setSavedSearches([...getSavedSearches(), search]);
+    showToast(`Đã lưu tìm kiếm "${search.name}"`, 'success');
+};
+
+// Runs on every visit: cars matching a saved search that weren't there last time are flagged
+// as new until the user opens that search
+const checkSavedSearches = () => {
+    const searches = getSavedSearches();
+    if (searches.length === 0) return;
+    
+    let arrivals = 0;
+    searches.forEach(search => {
+        const matches = getSavedSearchMatches(search);
+        const fresh = matches.filter(id => !search.seenIds.includes(id));
+        search.newIds = [...search.newIds.filter(id => matches.includes(id)), ...fresh];
+        search.seenIds = matches;
+        arrivals += fresh.length;
+    });
+    setSavedSearches(searches);
+    
+    if (document.getElementById('saved-searches-list')) {
+        renderAccountSavedSearches();
+    }
+    if (arrivals > 0) {
+        showToast(`Có ${arrivals} xe mới phù hợp với tìm kiếm đã lưu của bạn`, 'info');
+    }
+};
+
+const updateSavedSearchBadges = () => {
+    const count = getSavedSearches().reduce((sum, search) => sum + search.newIds.length, 0);
+    
+    const authBtn = document.getElementById('auth-btn');
+    if (authBtn && AppState.currentUser) {
+        let badge = document.getElementById('saved-search-badge');
+        if (!badge) {
+            authBtn.style.position = 'relative';
+            authBtn.insertAdjacentHTML('beforeend', '<span class="badge" id="saved-search-badge"></span>');
+            badge = document.getElementById('saved-search-badge');
+        }
+        badge.textContent = count;
+        badge.title = `${count} xe mới phù hợp với tìm kiếm đã lưu`;
+        badge.classList.toggle('hidden', count === 0);
+    }
+    
+    const tabBadge = document.getElementById('saved-searches-new');
+    if (tabBadge) {
+        tabBadge.textContent = count;
+        tabBadge.classList.toggle('hidden', count === 0);
+    }
+};
+
+const openSavedSearch = (searchId) => {
+    const searches = getSavedSearches();
+    const search = searches.find(s => s.id === searchId);
+    if (!search) return;
+    
+    search.newIds = [];
+    setSavedSearches(searches);
+    window.location.href = getSavedSearchUrl(search);
+};
+
+const deleteSavedSearch = (searchId) => {
+    if (!confirm('Bạn có chắc muốn xóa tìm kiếm đã lưu này?')) return;
+    
+    setSavedSearches(getSavedSearches().filter(s => s.id !== searchId));
+    renderAccountSavedSearches();
+    showToast('Đã xóa tìm kiếm đã lưu', 'info');
+};
+
+// ============================================
+// CAR IMAGES
+// ============================================
+
+// Every car photo is hotlinked from a third-party site, so each <img> knows the car's other
+// photos and brand: a broken link moves on to the next photo, then to a brand placeholder.
+// Broken URLs are kept in this browser's storage for the admin console:
+// { [url]: { carIds, count, lastFailed } }
+const IMAGE_FAILURES_KEY = 'imageFailures';
+// A broken URL is skipped for a day before it is tried again
+const IMAGE_RETRY_MS = 24 * 60 * 60 * 1000;
+const IMAGE_SKELETON = 'background: linear-gradient(90deg, var(--bg-tertiary), var(--bg-secondary), var(--bg-tertiary));';
+
+const getImageFailures = () => storage.get(IMAGE_FAILURES_KEY) || {};
+
+const isKnownBrokenImage = (url, failures = getImageFailures()) => {
+    const failure = failures[url];
+    return !!failure && Date.now() - Date.parse(failure.lastFailed) < IMAGE_RETRY_MS;
+};
+
+const recordImageFailure = (url, carId) => {
+    const failures = getImageFailures();
+    const failure = failures[url] || { carIds: [], count: 0 };
+    if (carId && !failure.carIds.includes(carId)) failure.carIds.push(carId);
+    failure.count++;
+    failure.lastFailed = new Date().toISOString();
+    failures[url] = failure;
+    storage.set(IMAGE_FAILURES_KEY, failures);
+};
+
+const clearImageFailure = (url) => {
+    const failures = getImageFailures();
+    delete failures[url];
+    storage.set(IMAGE_FAILURES_KEY, failures);
+};
+
+// A car silhouette with the brand name, tinted per brand; drawn inline so it can't break
+const getBrandPlaceholder = (brand = '') => {
+    const hue = [...brand].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 360, 0);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 800 600">
+        <rect width="800" height="600" fill="hsl(${hue}, 30%, 90%)"/>
+        <path d="M130 360 L230 280 Q255 255 295 255 L505 255 Q545 255 575 285 L640 340 L675 348 Q700 355 700 380 L700 410 L100 410 L100 385 Q100 362 130 360 Z" fill="hsl(${hue}, 25%, 65%)"/>
+        <circle cx="240" cy="410" r="42" fill="hsl(${hue}, 25%, 40%)"/>
+        <circle cx="560" cy="410" r="42" fill="hsl(${hue}, 25%, 40%)"/>
+        <text x="400" y="520" font-family="sans-serif" font-size="52" font-weight="700" text-anchor="middle" fill="hsl(${hue}, 30%, 35%)">${escapeHtml(brand)}</text>
+    </svg>`;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
+
+// <img> markup for one of a car's photos (or a cart/order snapshot of one).
+// options: index, className, alt, style, attrs (extra attributes such as onclick or id),
+// tryOthers: false for thumbnails, which must show their own photo or the placeholder
+const renderCarImage = (car, { index = 0, className = '', alt = car.name, style = '', attrs = '', tryOthers = true } = {}) => {
+    const images = car.images || [];
+    const failures = getImageFailures();
+    
+    // Start from the first photo not known to be broken
+    let start = index;
+    if (tryOthers) {
+        const order = images.map((_, i) => (index + i) % images.length);
+        start = order.find(i => !isKnownBrokenImage(images[i], failures));
+    }
+    const src = start === undefined || !images[start] || (!tryOthers && isKnownBrokenImage(images[start], failures))
+        ? getBrandPlaceholder(car.brand)
+        : images[start];
+    
+    return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" width="800" height="600"
+        ${className ? `class="${className}"` : ''}
+        data-car-id="${car.id}" data-brand="${escapeHtml(car.brand || '')}" data-image-index="${start === undefined ? index : start}"
+        data-images="${escapeHtml(JSON.stringify(tryOthers ? images : [images[index]]))}"
+        onload="handleCarImageLoad(this)" onerror="handleCarImageError(this)"
+        style="${IMAGE_SKELETON} ${style}" ${attrs}>`;
+};
+
+const handleCarImageLoad = (img) => {
+    img.style.background = '';
+};
+
+// Records the broken URL and moves on to the next photo that isn't known to be broken
+const handleCarImageError = (img) => {
+    // The placeholder itself never fails, but don't loop if it somehow does
+    if (img.src.startsWith('data:')) {
+        img.onerror = null;
+        return;
+    }
+    
+    const images = JSON.parse(img.dataset.images || '[]');
+    const current = Number(img.dataset.imageIndex) || 0;
+    recordImageFailure(images.length ? images[current % images.length] : img.src, Number(img.dataset.carId) || null);
+    
+    const failures = getImageFailures();
+    for (let step = 1; step < images.length; step++) {
+        const next = (current + step) % images.length;
+        if (!isKnownBrokenImage(images[next], failures)) {
+            img.dataset.imageIndex = next;
+            img.src = images[next];
+            return;
+        }
+    }
+    img.src = getBrandPlaceholder(img.dataset.brand);
+};
+
+// ============================================
+// CAR RENDERING
+// ============================================
+
+const renderCars = () => {
+    const grid = document.getElementById('car-grid');
+    const emptyState = document.getElementById('empty-state');
+    
+    // Cards also show up outside the catalog (home, car page, similar cars)
+    if (!grid) return;
+    
+    if (AppState.totalCars === 0) {
+        grid.innerHTML = '';
+        emptyState.classList.remove('hidden');
+        document.getElementById('pagination').innerHTML = '';
+        return;
+    }
+    
+    emptyState.classList.add('hidden');
+    
+    // Pagination (in API mode the server already returned just this page)
+    const startIndex = (AppState.currentPage - 1) * AppState.itemsPerPage;
+    const endIndex = startIndex + AppState.itemsPerPage;
+    const carsToShow = isApiMode() ? AppState.filteredCars : AppState.filteredCars.slice(startIndex, endIndex);
+    
+    grid.innerHTML = carsToShow.map(car => createCarCard(car)).join('');
+    renderPagination();
+    restoreCatalogScroll();
+};
+
+// Scroll position saved in the history entry before a car was opened; put back once
+// the list is drawn again after coming back from the car page
+let pendingCatalogScroll = null;
+
+const restoreCatalogScroll = () => {
+    if (pendingCatalogScroll === null) return;
+    window.scrollTo(0, pendingCatalogScroll);
+    pendingCatalogScroll = null;
+};
+
+const STOCK_LABELS = {
+    reserved: 'Đang giữ chỗ',
+    sold: 'Đã bán'
+};
+
+const renderStockRibbon = (car) => {
+    const availability = InventoryCore.getAvailability(car);
+    if (availability === 'available') return '';
+    
+    const background = availability === 'sold' ? 'var(--danger-color)' : 'var(--accent-color)';
+    return `<span class="car-stock-ribbon" style="position: absolute; left: 0; right: 0; bottom: 0; padding: var(--spacing-xs); text-align: center; color: #fff; font-weight: 600; background-color: ${background};">${STOCK_LABELS[availability]}</span>`;
+};
+
+// "Giảm giá" next to the price for PRICE_DROP_DAYS after a price cut, with the old price on hover
+const renderPriceDropTag = (car) => {
+    if (!InventoryCore.hasRecentPriceDrop(car)) return '';
+
+    const { from, percent } = InventoryCore.getLastPriceChange(car);
+    return `<span class="car-price-drop" title="Giá cũ ${formatCurrency(from)}" style="display: inline-block; margin-left: var(--spacing-xs); padding: 2px var(--spacing-sm); border-radius: 999px; font-size: var(--font-size-xs); font-weight: 600; vertical-align: middle; color: #fff; background-color: var(--success-color);">Giảm giá ${Math.round(-percent)}%</span>`;
+};
+
+const createCarCard = (car) => {
+    const isFavorite = AppState.favorites.includes(car.id);
+    const isInCompare = AppState.compareList.some(c => c.id === car.id);
+    const isSold = InventoryCore.getAvailability(car) === 'sold';
+    
+    return `
+        <div class="car-card" data-car-id="${car.id}">
+            <div class="car-card-image">
+                ${renderCarImage(car, { attrs: 'loading="lazy"', style: isSold ? 'filter: grayscale(1);' : '' })}
+                ${car.badge ? `<span class="car-badge badge-${escapeHtml(car.badge.toLowerCase())}">${escapeHtml(car.badge)}</span>` : ''}
+                ${renderStockRibbon(car)}
+                <div class="car-card-actions">
+                    <button class="card-action-btn ${isFavorite ? 'active' : ''}" onclick="toggleFavorite(${car.id})" aria-label="Add to favorites">
+                        <svg viewBox="0 0 24 24" fill="${isFavorite ? 'currentColor' : 'none'}" stroke="currentColor">
+                            <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z" stroke-width="2"/>
+                        </svg>
+                    </button>
+                    <button class="card-action-btn ${isInCompare ? 'active' : ''}" onclick="toggleCompare(${car.id})" aria-label="Add to compare">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                            <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6" stroke-width="2"/>
+                            <polyline points="15 3 21 3 21 9" stroke-width="2"/>
+                            <line x1="10" y1="14" x2="21" y2="3" stroke-width="2"/>
+                        </svg>
+                    </button>
+                    <button class="card-action-btn" onclick="shareCar(${car.id})" aria-label="Share">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                            <circle cx="18" cy="5" r="3" stroke-width="2"/>
+                            <circle cx="6" cy="12" r="3" stroke-width="2"/>
+                            <circle cx="18" cy="19" r="3" stroke-width="2"/>
+                            <line x1="8.59" y1="13.51" x2="15.42" y2="17.49" stroke-width="2"/>
+                            <line x1="15.41" y1="6.51" x2="8.59" y2="10.49" stroke-width="2"/>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+            <div class="car-card-content" onclick="showCarDetail(${car.id})">
+                <h3 class="car-card-title">${escapeHtml(car.name)}</h3>
+                <div class="car-card-meta">
+                    <span>📅 ${car.year}</span>
+                    <span>🛣️ ${formatNumber(car.km)} km</span>
+                    <span>⚙️ ${escapeHtml(car.transmission)}</span>
+                </div>
+                <div class="car-card-price">${formatCurrency(car.price)}${renderPriceDropTag(car)}</div>
+                <div class="car-card-rating">
+                    ${renderRating(car)}
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+const renderPagination = () => {
+    const totalPages = Math.ceil(AppState.totalCars / AppState.itemsPerPage);
+    const pagination = document.getElementById('pagination');
+    
+    if (totalPages <= 1) {
+        pagination.innerHTML = '';
+        return;
+    }
+    
+    let html = `
+        <button onclick="changePage(${AppState.currentPage - 1})" ${AppState.currentPage === 1 ? 'disabled' : ''}>
+            ← Trước
+        </button>
+    `;
+    
+    for (let i = 1; i <= totalPages; i++) {
+        if (i === 1 || i === totalPages || (i >= AppState.currentPage - 1 && i <= AppState.currentPage + 1)) {
+            html += `
+                <button class="${i === AppState.currentPage ? 'active' : ''}" onclick="changePage(${i})">
+                    ${i}
+                </button>
+            `;
+        } else if (i === AppState.currentPage - 2 || i === AppState.currentPage + 2) {
+            html += '<span>...</span>';
+        }
+    }
+    
+    html += `
+        <button onclick="changePage(${AppState.currentPage + 1})" ${AppState.currentPage === totalPages ? 'disabled' : ''}>
+            Sau →
+        </button>
+    `;
+    
+    pagination.innerHTML = html;
+};
+
+const changePage = async (page) => {
+    const totalPages = Math.ceil(AppState.totalCars / AppState.itemsPerPage);
+    if (page < 1 || page > totalPages) return;
+    
+    if (isApiMode()) {
+        await fetchCarPage(page);
+    } else {
+        AppState.currentPage = page;
+        renderCars();
+        syncCatalogUrl();
+    }
+    const catalogSection = document.querySelector('.catalog-section');
+    if (catalogSection) {
+        catalogSection.scrollIntoView({ behavior: 'smooth' });
+    }
+};
+
+// ============================================
+// CAR DETAIL
+// ============================================
+
+// Every car has its own address (car.html?id=...). On other pages the detail opens
+// in a modal with a history entry for that address, so links can be shared and
+// Back closes the modal instead of leaving the page.
+const CAR_PAGE = 'car.html';
+
+const getCarUrl = (carId) => `${CAR_PAGE}?id=${carId}`;
+
+// Not the URL: the modal's history entries use the car page address too
+const isCarPage = () => !!document.getElementById('car-page-content');
+
+// Shared by the car detail and the printed spec sheet
+const renderSpecGrid = (car) => `
+    <div class="spec-grid">
+        <div class="spec-item">
+            <span class="spec-label">Hãng xe</span>
+            <span class="spec-value">${escapeHtml(car.brand)}</span>
+        </div>
+        <div class="spec-item">
+            <span class="spec-label">Model</span>
+            <span class="spec-value">${escapeHtml(car.model)}</span>
+        </div>
+        <div class="spec-item">
+            <span class="spec-label">Năm sản xuất</span>
+            <span class="spec-value">${car.year}</span>
+        </div>
+        <div class="spec-item">
+            <span class="spec-label">Số km</span>
+            <span class="spec-value">${formatNumber(car.km)} km</span>
+        </div>
+        <div class="spec-item">
+            <span class="spec-label">Nhiên liệu</span>
+            <span class="spec-value">${escapeHtml(car.fuel)}</span>
+        </div>
+        <div class="spec-item">
+            <span class="spec-label">Hộp số</span>
+            <span class="spec-value">${escapeHtml(car.transmission)}</span>
+        </div>
+        <div class="spec-item">
+            <span class="spec-label">Số ghế</span>
+            <span class="spec-value">${car.seats} chỗ</span>
+        </div>
+        <div class="spec-item">
+            <span class="spec-label">Màu sắc</span>
+            <span class="spec-value">${escapeHtml(car.color)}</span>
+        </div>
+    </div>
+`;
+
+// Shared by the modal and the standalone car page
+const renderCarDetail = (car) => {
+    const isFavorite = AppState.favorites.includes(car.id);
+    const availability = InventoryCore.getAvailability(car);
+    const canPurchase = availability === 'available';
+    
+    return `
+        <div class="car-detail">
+            <div class="car-detail-gallery">
+                ${renderCarImage(car, { className: 'car-detail-main-image', attrs: `id="detail-main-image" onclick="openGallery(${car.id}, Number(this.dataset.imageIndex))"` })}
+                <div class="car-detail-thumbnails">
+                    ${car.images.map((img, idx) => renderCarImage(car, {
+                        index: idx,
+                        tryOthers: false,
+                        className: `car-detail-thumbnail ${idx === 0 ? 'active' : ''}`,
+                        attrs: `onclick="changeDetailImage(${idx})"`
+                    })).join('')}
+                </div>
+            </div>
+            <div class="car-detail-info">
+                <h2>${escapeHtml(car.name)}</h2>
+                ${car.badge ? `<span class="car-badge badge-${escapeHtml(car.badge.toLowerCase())}">${escapeHtml(car.badge)}</span>` : ''}
+                <div class="car-detail-price">${formatCurrency(car.price)}${renderPriceDropTag(car)}</div>
+                ${renderPriceHistory(car)}
+                ${availability === 'reserved' ? `
+                    <p class="car-detail-stock" style="color: var(--accent-color); font-weight: 600;">
+                        Xe đang được giữ chỗ đến ${new Date(car.reservedUntil).toLocaleString('vi-VN')}
+                    </p>
+                ` : ''}
+                ${availability === 'sold' ? `
+                    <p class="car-detail-stock" style="color: var(--danger-color); font-weight: 600;">Xe đã được bán</p>
+                ` : ''}
+                
+                <div class="car-detail-specs">
+                    <h3>Thông số kỹ thuật</h3>
+                    ${renderSpecGrid(car)}
                 </div>
                 
                 <div class="car-detail-description">
                     <h3>Mô tả</h3>
-                    <p>${car.description}</p>
+                    <p>${escapeHtml(car.description)}</p>
                 </div>
                 
                 <div class="car-detail-actions">
-                    <button class="btn btn-primary" onclick="addToCart(${car.id})">
+                    <button class="btn btn-primary" onclick="addToCart(${car.id})" ${canPurchase ? '' : 'disabled style="opacity: 0.5; cursor: not-allowed;"'}>
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
                             <circle cx="9" cy="21" r="1" stroke-width="2"/>
                             <circle cx="20" cy="21" r="1" stroke-width="2"/>
                             <path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6" stroke-width="2"/>
                         </svg>
-                        Thêm vào giỏ
+                        ${canPurchase ? 'Thêm vào giỏ' : STOCK_LABELS[availability]}
                     </button>
                     <button class="btn btn-secondary" onclick="toggleFavorite(${car.id}); updateCarDetailFavorite(${car.id})">
                         <svg viewBox="0 0 24 24" fill="${isFavorite ? 'currentColor' : 'none'}" stroke="currentColor">
@@ -492,18 +1842,759 @@ const showCarDetail = (carId) => {
                     <button class="btn btn-secondary" onclick="openTestDriveModal(${car.id})">
                         🚗 Đặt lịch lái thử
                     </button>
+                    <a class="btn btn-secondary" href="${getCarPrintUrl(car.id)}" target="_blank" rel="noopener">
+                        🖨️ In thông tin
+                    </a>
+                    <button class="btn btn-secondary" onclick="openShareModal(${car.id})">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                            <circle cx="18" cy="5" r="3" stroke-width="2"/>
+                            <circle cx="6" cy="12" r="3" stroke-width="2"/>
+                            <circle cx="18" cy="19" r="3" stroke-width="2"/>
+                            <line x1="8.59" y1="13.51" x2="15.42" y2="17.49" stroke-width="2"/>
+                            <line x1="15.41" y1="6.51" x2="8.59" y2="10.49" stroke-width="2"/>
+                        </svg>
+                        Chia sẻ
+                    </button>
+                </div>
+            </div>
+        </div>
+        <div id="car-tco" data-car-id="${car.id}">${renderCarTco(car)}</div>
+        <div id="car-reviews">${renderCarReviews(car)}</div>
+        <div id="similar-cars" data-car-id="${car.id}">${renderSimilarCars(car)}</div>
+    `;
+};
+
+// ============================================
+// SHARE
+// ============================================
+
+// Zalo and Facebook only take the page address and build their own preview from it
+const SHARE_TARGETS = {
+    zalo: (url) => `https://zalo.me/share?url=${encodeURIComponent(url)}`,
+    facebook: (url) => `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}`
+};
+
+// Absolute, so the link still works once it leaves this site
+const getCarShareUrl = (car) => new URL(getCarUrl(car.id), window.location.href).href;
+
+const getCarShareText = (car) => [
+    `${car.name} (${car.year}) - ${formatCurrency(car.price)}`,
+    `${formatNumber(car.km)} km · ${car.fuel} · ${car.transmission} · ${car.seats} chỗ · ${car.color}`
+].join('\n');
+
+const getCarShareData = (car) => ({
+    title: car.name,
+    text: getCarShareText(car),
+    url: getCarShareUrl(car)
+});
+
+const canUseNativeShare = (data) => !!navigator.share && (!navigator.canShare || navigator.canShare(data));
+
+// Cards go straight to the phone's share sheet; without one the share modal opens instead
+const shareCar = async (carId) => {
+    const car = Inventory.getById(carId);
+    if (!car) return;
+    
+    const data = getCarShareData(car);
+    if (!canUseNativeShare(data)) {
+        openShareModal(carId);
+        return;
+    }
+    try {
+        await navigator.share(data);
+    } catch (error) {
+        // Closing the share sheet is not an error
+        if (error.name !== 'AbortError') openShareModal(carId);
+    }
+};
+
+// The QR code is generated in the browser, so staff can also save it for window stickers
+const openShareModal = (carId) => {
+    const car = Inventory.getById(carId);
+    const content = document.getElementById('share-content');
+    if (!car || !content) return;
+    
+    const data = getCarShareData(car);
+    const qrSvg = QRCode.toSvg(data.url, { size: 200 });
+    
+    content.innerHTML = `
+        <p style="font-weight: 600; margin-bottom: var(--spacing-sm);">${escapeHtml(car.name)}</p>
+        <textarea id="share-text" rows="3" readonly style="width: 100%; resize: none; font-size: var(--font-size-sm); padding: var(--spacing-sm);">${escapeHtml(`${data.text}\n${data.url}`)}</textarea>
+        <div style="display: flex; flex-wrap: wrap; gap: var(--spacing-sm); margin: var(--spacing-sm) 0 var(--spacing-md);">
+            ${canUseNativeShare(data) ? `<button class="btn btn-primary" onclick="shareCar(${car.id})">Chia sẻ…</button>` : ''}
+            <button class="btn btn-secondary" onclick="copyShareText()">Sao chép</button>
+            <a class="btn btn-secondary" href="${SHARE_TARGETS.zalo(data.url)}" target="_blank" rel="noopener">Zalo</a>
+            <a class="btn btn-secondary" href="${SHARE_TARGETS.facebook(data.url)}" target="_blank" rel="noopener">Facebook</a>
+        </div>
+        <div style="text-align: center;">
+            <div aria-label="Mã QR đến trang xe">${qrSvg}</div>
+            <a class="btn btn-secondary" href="data:image/svg+xml;charset=utf-8,${encodeURIComponent(qrSvg)}" download="autolux-xe-${car.id}-qr.svg" style="margin-top: var(--spacing-sm);">
+                Tải mã QR
+            </a>
+        </div>
+    `;
+    openModal('share-modal');
+};
+
+const copyShareText = async () => {
+    const field = document.getElementById('share-text');
+    if (!field) return;
+    
+    try {
+        await navigator.clipboard.writeText(field.value);
+    } catch (error) {
+        // Older browsers and plain http pages have no clipboard API
+        field.select();
+        if (!document.execCommand('copy')) {
+            showToast('Không thể sao chép, vui lòng chọn và sao chép thủ công', 'error');
+            return;
+        }
+    }
+    showToast('Đã sao chép liên kết', 'success');
+};
+
+// ============================================
+// PRINTED SPEC SHEET
+// ============================================
+
+// A standalone A4 page (print.html?id=...) that salespeople print or save as PDF
+// with the browser's own print dialog
+const PRINT_PAGE = 'print.html';
+
+const SHOWROOM_CONTACT = {
+    address: '123 Đường ABC, Quận 1, TP.HCM',
+    hotline: '1900 xxxx',
+    email: 'contact@autolux.vn',
+    hours: 'Thứ 2 - Chủ nhật: 8:00 - 20:00'
+};
+
+const getCarPrintUrl = (carId) => `${PRINT_PAGE}?id=${carId}`;
+
+const renderLoanExample = (car) => {
+    const { downPercent, rate, term } = LOAN_EXAMPLE;
+    const down = Math.round(car.price * downPercent / 100);
+    const monthly = getMonthlyPayment(car.price - down, rate, term);
+    
+    return `
+        <div class="print-loan">
+            <strong>Trả góp chỉ từ ${formatCurrency(Math.round(monthly))}/tháng</strong>
+            <p>Ví dụ: trả trước ${downPercent}% (${formatCurrency(down)}), vay ${formatCurrency(car.price - down)} trong ${term} tháng, lãi suất ${formatNumber(rate)}%/năm. Số liệu chỉ mang tính tham khảo.</p>
+        </div>
+    `;
+};
+
+const renderCarPrintSheet = (car) => {
+    const listingUrl = getCarShareUrl(car);
+    
+    return `
+        <header class="print-header">
+            <div class="print-logo">AutoLux</div>
+            <div class="print-contact">
+                ${SHOWROOM_CONTACT.address}<br>
+                Hotline: ${SHOWROOM_CONTACT.hotline} · ${SHOWROOM_CONTACT.email}<br>
+                ${SHOWROOM_CONTACT.hours}
+            </div>
+        </header>
+        
+        <h1 class="print-title">${escapeHtml(car.name)}</h1>
+        <div class="print-price">${formatCurrency(car.price)}</div>
+        
+        <div class="print-photos">
+            ${renderCarImage(car, { className: 'print-photo-main' })}
+            ${car.images.slice(1, 4).map((img, idx) => renderCarImage(car, { index: idx + 1, tryOthers: false, className: 'print-photo' })).join('')}
+        </div>
+        
+        <h2>Thông số kỹ thuật</h2>
+        ${renderSpecGrid(car)}
+        
+        <h2>Mô tả</h2>
+        <p class="print-description">${escapeHtml(car.description || '')}</p>
+        
+        <div class="print-footer">
+            ${renderLoanExample(car)}
+            <div class="print-qr">
+                ${QRCode.toSvg(listingUrl, { size: 110 })}
+                <span>Quét để xem xe trên AutoLux</span>
+            </div>
+        </div>
+        <p class="print-meta">${escapeHtml(listingUrl)} · In ngày ${new Date().toLocaleDateString('vi-VN')}</p>
+    `;
+};
+
+// Prints once the photos have loaded (or fallen back) so none is missing on paper
+const printWhenImagesReady = (container) => {
+    const pending = Array.from(container.querySelectorAll('img'))
+        .filter(img => !img.complete)
+        .map(img => new Promise(resolve => {
+            img.addEventListener('load', resolve, { once: true });
+            img.addEventListener('error', resolve, { once: true });
+        }));
+    Promise.all(pending).then(() => window.print());
+};
+
+// ============================================
+// PRICE HISTORY
+// ============================================
+
+const PRICE_CHART = { width: 320, height: 90, padding: 6 };
+
+// Step chart of the car's dated prices, drawn up to today; nothing for a car whose
+// price never changed
+const renderPriceHistory = (car) => {
+    const history = InventoryCore.getPriceHistory(car);
+    if (history.length < 2) return '';
+
+    const points = [...history, { date: new Date().toISOString(), price: car.price }]
+        .map(entry => ({ time: Date.parse(entry.date), price: entry.price }));
+    const prices = points.map(point => point.price);
+    const minPrice = Math.min(...prices);
+    const priceSpan = Math.max(...prices) - minPrice || 1;
+    const start = points[0].time;
+    const timeSpan = points[points.length - 1].time - start || 1;
+
+    const { width, height, padding } = PRICE_CHART;
+    const x = (time) => padding + ((time - start) / timeSpan) * (width - 2 * padding);
+    const y = (price) => height - padding - ((price - minPrice) / priceSpan) * (height - 2 * padding);
+
+    // Each price holds until the next change
+    const line = points.map((point, idx) => idx === 0
+        ? `${x(point.time)},${y(point.price)}`
+        : `${x(point.time)},${y(points[idx - 1].price)} ${x(point.time)},${y(point.price)}`
+    ).join(' ');
+
+    return `
+        <div class="car-price-history" style="margin: var(--spacing-md) 0;">
+            <h3 style="font-size: var(--font-size-base); margin-bottom: var(--spacing-xs);">Lịch sử giá</h3>
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Biểu đồ lịch sử giá" style="width: 100%; max-width: ${width}px; height: auto; display: block;">
+                <polyline points="${line}" fill="none" stroke="var(--primary-color)" stroke-width="2"/>
+                ${points.slice(0, -1).map(point => `<circle cx="${x(point.time)}" cy="${y(point.price)}" r="3" fill="var(--primary-color)"/>`).join('')}
+            </svg>
+            <ul style="list-style: none; padding: 0; margin-top: var(--spacing-xs); font-size: var(--font-size-sm); color: var(--text-secondary);">
+                ${history.slice().reverse().map(entry => `
+                    <li>${new Date(entry.date).toLocaleDateString('vi-VN')}: ${formatCurrency(entry.price)}</li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+};
+
+// ============================================
+// RECENTLY VIEWED
+// ============================================
+
+// Only ids are kept; cars are read back from the inventory so prices stay current
+const RECENTLY_VIEWED_KEY = 'recentlyViewed';
+const RECENTLY_VIEWED_LIMIT = 12;
+
+const recordRecentlyViewed = (carId) => {
+    const ids = (storage.get(RECENTLY_VIEWED_KEY) || []).filter(id => id !== carId);
+    storage.set(RECENTLY_VIEWED_KEY, [carId, ...ids].slice(0, RECENTLY_VIEWED_LIMIT));
+    refreshRecentlyViewed();
+};
+
+// Most recent first; cars that were sold off the list or removed drop out
+const getRecentlyViewedCars = () => (storage.get(RECENTLY_VIEWED_KEY) || [])
+    .map(Inventory.getById)
+    .filter(car => car && Inventory.isListed(car));
+
+const clearRecentlyViewed = () => {
+    storage.remove(RECENTLY_VIEWED_KEY);
+    refreshRecentlyViewed();
+    showToast('Đã xóa lịch sử xe đã xem', 'info');
+};
+
+// Compact strip on the home page and the catalogs
+const renderRecentlyViewedStrip = (cars) => `
+    <div class="container" style="padding-top: var(--spacing-md); padding-bottom: var(--spacing-md);">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: var(--spacing-sm);">
+            <h3>Xe đã xem</h3>
+            <button class="btn btn-secondary" onclick="clearRecentlyViewed()">Xóa lịch sử</button>
+        </div>
+        <div style="display: flex; gap: var(--spacing-sm); overflow-x: auto; padding-bottom: var(--spacing-xs);">
+            ${cars.map(car => `
+                <button class="recently-viewed-item" onclick="showCarDetail(${car.id})" style="flex: 0 0 180px; padding: 0; overflow: hidden; text-align: left; cursor: pointer; background-color: var(--bg-primary); border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+                    ${renderCarImage(car, { attrs: 'loading="lazy"', style: 'display: block; width: 100%; height: 100px; object-fit: cover;' })}
+                    <span style="display: block; padding: var(--spacing-xs) var(--spacing-sm);">
+                        <span style="display: block; font-weight: 600; font-size: var(--font-size-sm); white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${escapeHtml(car.name)}</span>
+                        <span style="display: block; font-size: var(--font-size-sm); color: var(--primary-color);">${formatCurrency(car.price)}</span>
+                    </span>
+                </button>
+            `).join('')}
+        </div>
+    </div>
+`;
+
+const renderAccountRecentlyViewed = () => {
+    const grid = document.getElementById('recently-viewed-grid');
+    const empty = document.getElementById('recently-viewed-empty');
+    const clearBtn = document.getElementById('clear-recently-viewed');
+    if (!grid) return;
+    
+    const cars = getRecentlyViewedCars();
+    grid.style.display = cars.length ? 'grid' : 'none';
+    empty.style.display = cars.length ? 'none' : 'flex';
+    clearBtn.style.display = cars.length ? '' : 'none';
+    grid.innerHTML = cars.map(car => createCarCard(car)).join('');
+};
+
+// Redraw wherever the history is shown on the current page; needs the inventory loaded
+const refreshRecentlyViewed = () => {
+    if (!Inventory.loaded) return;
+    
+    const strip = document.getElementById('recently-viewed');
+    if (strip) {
+        const cars = getRecentlyViewedCars();
+        strip.hidden = cars.length === 0;
+        strip.innerHTML = cars.length ? renderRecentlyViewedStrip(cars) : '';
+    }
+    renderAccountRecentlyViewed();
+};
+
+// ============================================
+// COST OF OWNERSHIP
+// ============================================
+
+// Province and yearly distance are the buyer's; they apply to the detail and the comparison
+const TCO_SETTINGS_KEY = 'tcoSettings';
+
+const TCO_ROWS = [
+    { key: 'registrationTax', label: 'Lệ phí trước bạ', oneOff: true },
+    { key: 'plateFee', label: 'Phí đăng ký biển số', oneOff: true },
+    { key: 'roadFee', label: 'Phí bảo trì đường bộ' },
+    { key: 'mandatoryInsurance', label: 'Bảo hiểm TNDS bắt buộc' },
+    { key: 'physicalInsurance', label: 'Bảo hiểm vật chất' },
+    { key: 'energy', label: 'Nhiên liệu / điện' },
+    { key: 'maintenance', label: 'Bảo dưỡng' },
+    { key: 'depreciation', label: 'Khấu hao' }
+];
+
+const getTcoSettings = () => ({
+    province: InventoryCore.TCO_DEFAULTS.province,
+    yearlyKm: InventoryCore.TCO_DEFAULTS.yearlyKm,
+    ...storage.get(TCO_SETTINGS_KEY)
+});
+
+const getCarTco = (car) => {
+    const { province, yearlyKm } = getTcoSettings();
+    return InventoryCore.estimateOwnershipCost(car, {
+        province,
+        yearlyKm,
+        used: Inventory.isUsed(car.id),
+        retention: InventoryCore.estimateRetention(car, Inventory.newCars, Inventory.usedCars)
+    });
+};
+
+const renderTcoSettings = () => {
+    const { province, yearlyKm } = getTcoSettings();
+    return `
+        <div class="tco-settings" style="display: flex; flex-wrap: wrap; gap: var(--spacing-sm); margin-bottom: var(--spacing-sm); font-size: var(--font-size-sm);">
+            <label>
+                Nơi đăng ký
+                <select onchange="updateTcoSettings({ province: this.value })">
+                    ${Object.entries(InventoryCore.TCO_PROVINCES).map(([key, { label }]) => `
+                        <option value="${key}" ${key === province ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <label>
+                Quãng đường mỗi năm
+                <input type="number" min="0" step="1000" value="${yearlyKm}" style="width: 7em;" onchange="updateTcoSettings({ yearlyKm: Math.max(0, Number(this.value) || 0) })"> km
+            </label>
+        </div>
+    `;
+};
+
+const renderCarTco = (car) => {
+    const tco = getCarTco(car);
+    const { years } = InventoryCore.TCO_DEFAULTS;
+    const cell = 'padding: var(--spacing-xs) var(--spacing-sm); border-bottom: 1px solid var(--border-color);';
+    const amount = `${cell} text-align: right;`;
+    
+    return `
+        <div class="car-tco" style="margin-top: var(--spacing-xl);">
+            <h3 style="margin-bottom: var(--spacing-sm);">Chi phí sở hữu ước tính</h3>
+            ${renderTcoSettings()}
+            <table style="width: 100%; max-width: 560px; border-collapse: collapse; font-size: var(--font-size-sm);">
+                <thead>
+                    <tr>
+                        <th style="${cell} text-align: left;">Khoản chi</th>
+                        <th style="${amount}">Năm đầu</th>
+                        <th style="${amount}">${years} năm</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${TCO_ROWS.map(row => {
+                        const first = row.oneOff ? tco.oneOff[row.key] : tco.yearly[0][row.key];
+                        const total = row.oneOff ? first : tco.yearly.reduce((sum, costs) => sum + costs[row.key], 0);
+                        return `
+                            <tr>
+                                <td style="${cell}">${row.label}</td>
+                                <td style="${amount}">${formatCurrency(first)}</td>
+                                <td style="${amount}">${formatCurrency(total)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                    <tr style="font-weight: 600;">
+                        <td style="${cell}">Tổng cộng</td>
+                        <td style="${amount}">${formatCurrency(tco.firstYear)}</td>
+                        <td style="${amount}">${formatCurrency(tco.total)}</td>
+                    </tr>
+                </tbody>
+            </table>
+            <p style="margin-top: var(--spacing-xs); color: var(--text-secondary); font-size: var(--font-size-xs);">
+                Chưa gồm giá xe. Sau ${years} năm xe còn khoảng ${formatCurrency(tco.resaleValue)}
+                (giữ ${Math.round(tco.retention * 100)}% giá trị mỗi năm, ước tính từ giá xe cũ cùng mẫu).
+                Số liệu chỉ mang tính tham khảo.
+            </p>
+        </div>
+    `;
+};
+
+const updateTcoSettings = (changes) => {
+    storage.set(TCO_SETTINGS_KEY, { ...getTcoSettings(), ...changes });
+    
+    const container = document.getElementById('car-tco');
+    const car = container && Inventory.getById(container.dataset.carId);
+    if (car) container.innerHTML = renderCarTco(car);
+    renderCompare();
+};
+
+// ============================================
+// REVIEWS
+// ============================================
+
+// Anyone signed in who ordered or test-drove a car of the model may review it once.
+// In API mode reviews live on server.js, so every shopper and the staff queue share
+// them; otherwise they stay in this browser's localStorage under REVIEWS_KEY.
+const REVIEWS_KEY = 'reviews';
+const REVIEW_MAX_LENGTH = 1000;
+
+const REVIEW_SORT_LABELS = {
+    newest: 'Mới nhất',
+    oldest: 'Cũ nhất',
+    highest: 'Điểm cao nhất',
+    lowest: 'Điểm thấp nhất'
+};
+
+let reviewSort = 'newest';
+
+// The server's reviews as this user sees them: no emails or reports, but `mine` and `reported`
+const Reviews = {
+    list: [],
+    loaded: false,
+
+    // Never rejects: without reviews the cars keep their listed rating
+    load: async ({ force = false } = {}) => {
+        if (!isApiMode() || (Reviews.loaded && !force)) return;
+        try {
+            Reviews.list = await fetchApi('reviews', { viewer: AppState.currentUser && AppState.currentUser.email });
+            Reviews.loaded = true;
+        } catch (error) {
+            console.error('Error loading reviews:', error);
+        }
+    },
+
+    replace: (review) => {
+        Reviews.list = Reviews.list.map(r => (r.id === review.id ? review : r));
+    }
+};
+
+const getReviews = () => (isApiMode() ? Reviews.list : storage.get(REVIEWS_KEY) || []);
+
+// Records from the server say so themselves; local ones keep the emails
+const isOwnReview = (review, email) => review.mine || review.userEmail === email;
+const hasReportedReview = (review, email) => review.reported || (review.reports || []).includes(email);
+
+const getModelReviews = (car) => {
+    const model = InventoryCore.getModelKey(car);
+    return getReviews().filter(review => review.model === model);
+};
+
+// The aggregate of the model's reviews; cars nobody reviewed yet keep the
+// rating they were listed with
+const getCarRating = (car) => {
+    const { average, count } = InventoryCore.summarizeReviews(getModelReviews(car));
+    return count ? { value: average, count } : { value: car.rating || 0, count: 0 };
+};
+
+const renderRating = (car) => {
+    const { value, count } = getCarRating(car);
+    return `${'⭐'.repeat(Math.floor(value))} <span>(${value}${count ? ` · ${count} đánh giá` : ''})</span>`;
+};
+
+// Cancelled orders do not count
+const hasExperiencedModel = (car, email) => {
+    const model = InventoryCore.getModelKey(car);
+    const ordered = getOrders().some(order => order.status !== 'cancelled'
+        && (order.userEmail === email || order.customer.email === email)
+        && order.items.some(item => InventoryCore.getModelKey(item) === model));
+    const testDriven = (storage.get('testDrives') || []).some(td => {
+        const driven = Inventory.getById(td.carId);
+        return td.userEmail === email && driven && InventoryCore.getModelKey(driven) === model;
+    });
+    return ordered || testDriven;
+};
+
+// 'login', 'reviewed', 'not-eligible' or 'eligible'
+const getReviewEligibility = (car) => {
+    if (!AppState.currentUser) return 'login';
+    
+    const { email } = AppState.currentUser;
+    if (getModelReviews(car).some(review => isOwnReview(review, email))) return 'reviewed';
+    return hasExperiencedModel(car, email) ? 'eligible' : 'not-eligible';
+};
+
+const renderReviewForm = (car) => {
+    switch (getReviewEligibility(car)) {
+        case 'login':
+            return '<p style="color: var(--text-secondary);"><a href="#" onclick="event.preventDefault(); openModal(\'auth-modal\')">Đăng nhập</a> để viết đánh giá.</p>';
+        case 'reviewed':
+            return '<p style="color: var(--text-secondary);">Bạn đã đánh giá mẫu xe này. Cảm ơn bạn!</p>';
+        case 'not-eligible':
+            return '<p style="color: var(--text-secondary);">Chỉ khách hàng đã mua hoặc lái thử mẫu xe này mới có thể đánh giá.</p>';
+    }
+    
+    return `
+        <form class="review-form" onsubmit="submitReview(event, ${car.id})" style="margin: var(--spacing-md) 0;">
+            <div class="review-stars" style="display: flex; gap: var(--spacing-sm); margin-bottom: var(--spacing-sm);">
+                ${[1, 2, 3, 4, 5].map(star => `
+                    <label style="cursor: pointer;">
+                        <input type="radio" name="review-rating" value="${star}" required> ${star} ⭐
+                    </label>
+                `).join('')}
+            </div>
+            <div class="input-group">
+                <textarea name="review-text" rows="3" maxlength="${REVIEW_MAX_LENGTH}" required placeholder="Chia sẻ trải nghiệm của bạn với mẫu xe này"></textarea>
+            </div>
+            <button type="submit" class="btn btn-primary">Gửi đánh giá</button>
+        </form>
+    `;
+};
+
+const renderReviewBreakdown = ({ average, count, breakdown }) => `
+    <div class="review-summary" style="display: flex; gap: var(--spacing-md); align-items: center; margin-bottom: var(--spacing-md);">
+        <div style="text-align: center;">
+            <div style="font-size: 2rem; font-weight: 700;">${average}</div>
+            <div style="color: var(--text-secondary); font-size: var(--font-size-sm);">${count} đánh giá</div>
+        </div>
+        <div style="flex: 1; max-width: 320px;">
+            ${[5, 4, 3, 2, 1].map(star => `
+                <div style="display: flex; align-items: center; gap: var(--spacing-xs); font-size: var(--font-size-sm);">
+                    <span style="width: 2.5em;">${star} ⭐</span>
+                    <span style="flex: 1; height: 6px; border-radius: var(--radius-sm); background-color: var(--bg-tertiary); overflow: hidden;">
+                        <span style="display: block; height: 100%; width: ${breakdown[star] / count * 100}%; background-color: var(--accent-color);"></span>
+                    </span>
+                    <span style="width: 2em; text-align: right; color: var(--text-secondary);">${breakdown[star]}</span>
+                </div>
+            `).join('')}
+        </div>
+    </div>
+`;
+
+const renderCarReviews = (car) => {
+    const reviews = InventoryCore.getVisibleReviews(getModelReviews(car));
+    const summary = InventoryCore.summarizeReviews(reviews);
+    const email = AppState.currentUser && AppState.currentUser.email;
+    
+    return `
+        <div class="car-reviews" style="margin-top: var(--spacing-xl);">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: var(--spacing-md);">
+                <h3>Đánh giá của khách hàng</h3>
+                ${reviews.length > 1 ? `
+                    <select aria-label="Sắp xếp đánh giá" onchange="setReviewSort(this.value, ${car.id})">
+                        ${InventoryCore.REVIEW_SORTS.map(sort => `
+                            <option value="${sort}" ${sort === reviewSort ? 'selected' : ''}>${REVIEW_SORT_LABELS[sort]}</option>
+                        `).join('')}
+                    </select>
+                ` : ''}
+            </div>
+            ${summary.count ? renderReviewBreakdown(summary) : '<p style="color: var(--text-secondary);">Chưa có đánh giá nào cho mẫu xe này.</p>'}
+            ${renderReviewForm(car)}
+            ${InventoryCore.sortReviews(reviews, reviewSort).map(review => `
+                <div class="review-item" style="padding: var(--spacing-sm) 0; border-top: 1px solid var(--border-color);">
+                    <div style="display: flex; justify-content: space-between; gap: var(--spacing-sm);">
+                        <strong>${escapeHtml(review.userName)}</strong>
+                        <span style="color: var(--text-secondary); font-size: var(--font-size-sm);">${new Date(review.createdAt).toLocaleDateString('vi-VN')}</span>
+                    </div>
+                    <div>${'⭐'.repeat(review.rating)}</div>
+                    <p style="white-space: pre-line;">${escapeHtml(review.text)}</p>
+                    ${email && !isOwnReview(review, email) && !hasReportedReview(review, email) ? `
+                        <button class="btn btn-secondary" onclick="reportReview('${review.id}', ${car.id})" style="font-size: var(--font-size-xs); padding: 2px var(--spacing-sm);">Báo cáo vi phạm</button>
+                    ` : ''}
                 </div>
+            `).join('')}
+        </div>
+    `;
+};
+
+const refreshCarReviews = (carId) => {
+    const container = document.getElementById('car-reviews');
+    const car = Inventory.getById(carId);
+    if (container && car) container.innerHTML = renderCarReviews(car);
+};
+
+const setReviewSort = (sortBy, carId) => {
+    reviewSort = sortBy;
+    refreshCarReviews(carId);
+};
+
+const submitReview = async (e, carId) => {
+    e.preventDefault();
+    const car = Inventory.getById(carId);
+    if (!car || getReviewEligibility(car) !== 'eligible') return;
+    
+    const form = e.target;
+    const rating = parseInt(form.elements['review-rating'].value);
+    const text = form.elements['review-text'].value.trim();
+    if (!(rating >= 1 && rating <= 5) || !text) {
+        showToast('Vui lòng chọn số sao và viết nhận xét', 'error');
+        return;
+    }
+    
+    const { email, name } = AppState.currentUser;
+    if (isApiMode()) {
+        const { ok, status, body } = await sendApi('POST', 'reviews', { carId: car.id, userEmail: email, userName: name, rating, text });
+        if (!ok) {
+            showToast(status === 409 ? 'Bạn đã đánh giá mẫu xe này' : 'Không gửi được đánh giá. Vui lòng thử lại.', 'error');
+            return;
+        }
+        Reviews.list.push(body);
+    } else {
+        const reviews = getReviews();
+        reviews.push({
+            id: InventoryCore.createReviewId(new Date(), reviews.map(review => String(review.id))),
+            carId: car.id,
+            model: InventoryCore.getModelKey(car),
+            userEmail: email,
+            userName: name,
+            rating,
+            text: text.slice(0, REVIEW_MAX_LENGTH),
+            createdAt: new Date().toISOString(),
+            reports: [],
+            hidden: false
+        });
+        storage.set(REVIEWS_KEY, reviews);
+    }
+    
+    showToast('Cảm ơn bạn đã đánh giá!', 'success');
+    refreshCarReviews(carId);
+    renderCars();
+};
+
+// Static mode only: `update` returns the new record
+const updateReview = (reviewId, update) => {
+    const reviews = getReviews();
+    // Older reviews have numeric ids, and ids come back from onclick attributes as strings
+    const index = reviews.findIndex(r => String(r.id) === String(reviewId));
+    if (index === -1) return null;
+    
+    reviews[index] = update(reviews[index]);
+    storage.set(REVIEWS_KEY, reviews);
+    return reviews[index];
+};
+
+// Reported reviews go to the top of the staff moderation queue
+const reportReview = async (reviewId, carId) => {
+    if (!AppState.currentUser) return;
+    
+    const { email } = AppState.currentUser;
+    if (isApiMode()) {
+        const { ok, body } = await sendApi('POST', `reviews/${encodeURIComponent(reviewId)}/report`, { userEmail: email });
+        if (!ok) {
+            showToast('Không gửi được báo cáo. Vui lòng thử lại.', 'error');
+            return;
+        }
+        Reviews.replace(body);
+    } else {
+        updateReview(reviewId, review => InventoryCore.addReviewReport(review, email));
+    }
+    showToast('Đã gửi báo cáo, chúng tôi sẽ xem xét đánh giá này', 'info');
+    refreshCarReviews(carId);
+};
+
+// ============================================
+// SIMILAR CARS
+// ============================================
+
+const SIMILAR_REASON_LABELS = {
+    price: 'cùng tầm giá',
+    brand: 'cùng hãng',
+    fuel: 'cùng nhiên liệu',
+    seats: 'cùng số chỗ',
+    year: 'cùng đời',
+    km: 'số km tương đương'
+};
+
+// Cross-sell strip under the detail: new and used cars alike, with the two
+// strongest reasons each one was picked
+const renderSimilarCars = (car) => {
+    const similar = InventoryCore.findSimilarCars(car, Inventory.all());
+    if (similar.length === 0) return '';
+    
+    return `
+        <div class="car-similar" style="margin-top: var(--spacing-xl);">
+            <h3 style="margin-bottom: var(--spacing-md);">Xe tương tự</h3>
+            <div class="car-grid" style="grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: var(--spacing-md);">
+                ${similar.map(({ car: other, reasons }) => `
+                    <div class="car-similar-item">
+                        ${createCarCard(other)}
+                        ${reasons.length ? `
+                            <p class="car-similar-reason" style="margin-top: var(--spacing-xs); color: var(--text-secondary); font-size: var(--font-size-sm);">
+                                ${reasons.slice(0, 2).map(reason => SIMILAR_REASON_LABELS[reason]).join(' · ')}
+                            </p>
+                        ` : ''}
+                    </div>
+                `).join('')}
             </div>
         </div>
     `;
+};
+
+// Redraw the strip after a favorite or compare toggle on one of its cards
+const refreshSimilarCars = () => {
+    const strip = document.getElementById('similar-cars');
+    if (!strip) return;
+    
+    const car = Inventory.getById(strip.dataset.carId);
+    strip.innerHTML = car ? renderSimilarCars(car) : '';
+};
+
+const showCarDetail = (carId, { fromHistory = false } = {}) => {
+    // The car page has no modal: just go to the other car's page
+    if (isCarPage()) {
+        window.location.href = getCarUrl(carId);
+        return;
+    }
+    
+    const car = Inventory.getById(carId);
+    if (!car) return;
     
+    recordRecentlyViewed(car.id);
+    const content = document.getElementById('car-detail-content');
+    content.innerHTML = renderCarDetail(car);
+    // Opening a car from the similar strip starts the modal at the top again
+    content.parentElement.scrollTop = 0;
     openModal('car-detail-modal');
+    
+    if (!fromHistory) {
+        const state = window.history.state || {};
+        if (!state.carId) {
+            // Remember where the list was scrolled to for when the user comes back
+            window.history.replaceState({ ...state, scrollY: window.scrollY }, '');
+        }
+        window.history.pushState({ carId: car.id, depth: (state.depth || 0) + 1 }, '', getCarUrl(car.id));
+    }
 };
 
-const changeDetailImage = (imgSrc, idx) => {
-    document.getElementById('detail-main-image').src = imgSrc;
+// The main image shows what the thumbnail shows, placeholder included
+const changeDetailImage = (idx) => {
+    const main = document.getElementById('detail-main-image');
     document.querySelectorAll('.car-detail-thumbnail').forEach((thumb, i) => {
         thumb.classList.toggle('active', i === idx);
+        if (i === idx) {
+            main.dataset.imageIndex = idx;
+            main.src = thumb.src;
+        }
     });
 };
 
@@ -519,46 +2610,387 @@ const updateCarDetailFavorite = (carId) => {
 // GALLERY
 // ============================================
 
+const GALLERY_MAX_ZOOM = 4;
+const GALLERY_SLIDESHOW_INTERVAL = 4000; // ms per image
+const GALLERY_SWIPE_DISTANCE = 50; // px a finger must travel to change image
+const GALLERY_DOUBLE_TAP_DELAY = 300; // ms
+
 let currentGallery = { carId: null, images: [], currentIndex: 0 };
 
+// Zoom and pan of the shown image, the pointers touching it and the running slideshow
+let galleryView = { scale: 1, x: 0, y: 0 };
+let galleryGesture = { pointers: new Map(), type: null, lastTap: 0 };
+let gallerySlideshow = null;
+
 const openGallery = (carId, startIndex = 0) => {
-    const car = AppState.cars.find(c => c.id === carId);
+    const car = Inventory.getById(carId);
     if (!car) return;
     
     currentGallery = {
         carId: car.id,
+        brand: car.brand,
         images: car.images,
         currentIndex: startIndex
     };
     
+    initGalleryControls();
+    renderGalleryThumbnails();
     updateGalleryImage();
     openModal('gallery-modal');
 };
 
+// Runs when the gallery closes (close button, Escape, outside click)
+const closeGallery = () => {
+    stopGallerySlideshow();
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    }
+};
+
+const renderGalleryThumbnails = () => {
+    const car = { id: currentGallery.carId, brand: currentGallery.brand, images: currentGallery.images };
+    document.getElementById('gallery-thumbnails').innerHTML = currentGallery.images.map((imgSrc, idx) => renderCarImage(car, {
+        index: idx,
+        tryOthers: false,
+        alt: `Ảnh ${idx + 1}`,
+        className: 'gallery-thumbnail',
+        attrs: `loading="lazy" onclick="showGalleryImage(${idx})"`
+    })).join('');
+};
+
 const updateGalleryImage = () => {
     const img = document.getElementById('gallery-image');
-    const thumbnails = document.getElementById('gallery-thumbnails');
+    const { images, currentIndex } = currentGallery;
     
-    img.src = currentGallery.images[currentGallery.currentIndex];
+    img.src = isKnownBrokenImage(images[currentIndex]) ? getBrandPlaceholder(currentGallery.brand) : images[currentIndex];
+    resetGalleryZoom();
     
-    thumbnails.innerHTML = currentGallery.images.map((imgSrc, idx) => `
-        <img src="${imgSrc}" class="gallery-thumbnail ${idx === currentGallery.currentIndex ? 'active' : ''}" 
-             onclick="currentGallery.currentIndex = ${idx}; updateGalleryImage()">
-    `).join('');
+    const counter = document.getElementById('gallery-counter');
+    if (counter) counter.textContent = `${currentIndex + 1} / ${images.length}`;
+    
+    // Keep the active thumbnail in view when the strip scrolls
+    document.querySelectorAll('#gallery-thumbnails .gallery-thumbnail').forEach((thumb, idx) => {
+        thumb.classList.toggle('active', idx === currentIndex);
+        if (idx === currentIndex) thumb.scrollIntoView({ block: 'nearest', inline: 'center', behavior: 'smooth' });
+    });
+    
+    preloadGalleryNeighbours();
+};
+
+// Fetch the images either side of the current one so switching is instant
+const preloadGalleryNeighbours = () => {
+    const { images, currentIndex } = currentGallery;
+    if (images.length < 2) return;
+    
+    [1, -1].forEach(step => {
+        const url = images[(currentIndex + step + images.length) % images.length];
+        if (isKnownBrokenImage(url)) return;
+        const preload = new Image();
+        preload.src = url;
+    });
+};
+
+const showGalleryImage = (idx) => {
+    currentGallery.currentIndex = idx;
+    updateGalleryImage();
+    restartGallerySlideshow();
 };
 
+// Wraps around at both ends
 const navigateGallery = (direction) => {
-    const newIndex = currentGallery.currentIndex + direction;
-    if (newIndex >= 0 && newIndex < currentGallery.images.length) {
-        currentGallery.currentIndex = newIndex;
-        updateGalleryImage();
+    const count = currentGallery.images.length;
+    if (count === 0) return;
+    showGalleryImage((currentGallery.currentIndex + direction + count) % count);
+};
+
+// ============================================
+// GALLERY ZOOM & GESTURES
+// ============================================
+
+const applyGalleryView = () => {
+    const img = document.getElementById('gallery-image');
+    const { scale, x, y } = galleryView;
+    img.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    img.style.cursor = scale > 1 ? 'grab' : 'zoom-in';
+};
+
+// Pan no further than the edges of the zoomed image
+const clampGalleryPan = () => {
+    const img = document.getElementById('gallery-image');
+    const maxX = (img.offsetWidth * (galleryView.scale - 1)) / 2;
+    const maxY = (img.offsetHeight * (galleryView.scale - 1)) / 2;
+    galleryView.x = Math.min(Math.max(galleryView.x, -maxX), maxX);
+    galleryView.y = Math.min(Math.max(galleryView.y, -maxY), maxY);
+};
+
+const resetGalleryZoom = () => {
+    galleryView = { scale: 1, x: 0, y: 0 };
+    applyGalleryView();
+};
+
+// Zooms so the point under (clientX, clientY) stays where it is; defaults to the centre
+const zoomGallery = (scale, clientX, clientY) => {
+    const img = document.getElementById('gallery-image');
+    const rect = img.parentElement.getBoundingClientRect();
+    const centerX = rect.left + rect.width / 2;
+    const centerY = rect.top + rect.height / 2;
+    const pointX = clientX === undefined ? centerX : clientX;
+    const pointY = clientY === undefined ? centerY : clientY;
+    
+    const newScale = Math.min(Math.max(scale, 1), GALLERY_MAX_ZOOM);
+    const ratio = newScale / galleryView.scale;
+    galleryView = {
+        scale: newScale,
+        x: pointX - centerX - (pointX - centerX - galleryView.x) * ratio,
+        y: pointY - centerY - (pointY - centerY - galleryView.y) * ratio
+    };
+    clampGalleryPan();
+    applyGalleryView();
+};
+
+const getPointerDistance = ([a, b]) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// One finger swipes between images (or pans once zoomed in), two fingers pinch-zoom,
+// a double tap toggles 2x zoom. Pointer events cover mouse, pen and touch alike
+const initGalleryGestures = (img) => {
+    const { pointers } = galleryGesture;
+    
+    const startGesture = () => {
+        const [first] = pointers.values();
+        if (pointers.size >= 2) {
+            galleryGesture.type = 'pinch';
+            galleryGesture.startDistance = getPointerDistance([...pointers.values()]);
+            galleryGesture.startScale = galleryView.scale;
+        } else if (first) {
+            galleryGesture.type = galleryView.scale > 1 ? 'pan' : 'swipe';
+            galleryGesture.start = { ...first, viewX: galleryView.x, viewY: galleryView.y, time: Date.now() };
+        } else {
+            galleryGesture.type = null;
+        }
+    };
+    
+    img.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        img.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        startGesture();
+    });
+    
+    img.addEventListener('pointermove', (e) => {
+        if (!pointers.has(e.pointerId)) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        
+        const { type, start } = galleryGesture;
+        if (type === 'pinch') {
+            const points = [...pointers.values()];
+            const scale = galleryGesture.startScale * getPointerDistance(points) / galleryGesture.startDistance;
+            zoomGallery(scale, (points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2);
+        } else if (type === 'pan') {
+            galleryView.x = start.viewX + e.clientX - start.x;
+            galleryView.y = start.viewY + e.clientY - start.y;
+            clampGalleryPan();
+            applyGalleryView();
+        } else if (type === 'swipe') {
+            // Let the image follow the finger
+            img.style.transform = `translateX(${e.clientX - start.x}px)`;
+        }
+    });
+    
+    const endPointer = (e) => {
+        if (!pointers.has(e.pointerId)) return;
+        pointers.delete(e.pointerId);
+        
+        const { type, start } = galleryGesture;
+        if (type === 'swipe') {
+            const dx = e.clientX - start.x;
+            const dy = e.clientY - start.y;
+            applyGalleryView();
+            
+            if (Math.abs(dx) > GALLERY_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+                navigateGallery(dx < 0 ? 1 : -1);
+            } else if (Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+                handleGalleryTap(e);
+            }
+        } else if (type === 'pan' && Math.abs(e.clientX - start.x) < 10 && Math.abs(e.clientY - start.y) < 10) {
+            handleGalleryTap(e);
+        }
+        // A pinch that loses one finger carries on as a pan
+        startGesture();
+    };
+    
+    img.addEventListener('pointerup', endPointer);
+    img.addEventListener('pointercancel', endPointer);
+    
+    img.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        zoomGallery(galleryView.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2), e.clientX, e.clientY);
+    }, { passive: false });
+};
+
+const handleGalleryTap = (e) => {
+    const now = Date.now();
+    if (now - galleryGesture.lastTap < GALLERY_DOUBLE_TAP_DELAY) {
+        galleryGesture.lastTap = 0;
+        if (galleryView.scale > 1) {
+            resetGalleryZoom();
+        } else {
+            zoomGallery(2, e.clientX, e.clientY);
+        }
+        return;
+    }
+    galleryGesture.lastTap = now;
+};
+
+// ============================================
+// GALLERY SLIDESHOW & FULLSCREEN
+// ============================================
+
+const toggleGallerySlideshow = () => {
+    if (gallerySlideshow) {
+        stopGallerySlideshow();
+    } else {
+        gallerySlideshow = setInterval(() => navigateGallery(1), GALLERY_SLIDESHOW_INTERVAL);
+        updateGalleryControls();
+    }
+};
+
+const stopGallerySlideshow = () => {
+    clearInterval(gallerySlideshow);
+    gallerySlideshow = null;
+    updateGalleryControls();
+};
+
+// Browsing by hand while the slideshow runs gives the chosen image a full interval
+const restartGallerySlideshow = () => {
+    if (!gallerySlideshow) return;
+    clearInterval(gallerySlideshow);
+    gallerySlideshow = setInterval(() => navigateGallery(1), GALLERY_SLIDESHOW_INTERVAL);
+};
+
+const toggleGalleryFullscreen = () => {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+        return;
+    }
+    const content = document.querySelector('#gallery-modal .modal-content');
+    if (content.requestFullscreen) {
+        content.requestFullscreen().catch(error => console.warn('Fullscreen not available:', error));
+    }
+};
+
+const updateGalleryControls = () => {
+    const slideshowBtn = document.getElementById('gallery-slideshow');
+    if (slideshowBtn) {
+        slideshowBtn.textContent = gallerySlideshow ? '⏸ Dừng' : '▶ Trình chiếu';
+        slideshowBtn.setAttribute('aria-pressed', String(!!gallerySlideshow));
+    }
+    
+    const isFullscreen = !!document.fullscreenElement;
+    const fullscreenBtn = document.getElementById('gallery-fullscreen');
+    if (fullscreenBtn) {
+        fullscreenBtn.textContent = isFullscreen ? '⤡ Thoát toàn màn hình' : '⤢ Toàn màn hình';
     }
+    
+    // Use the whole screen height in fullscreen
+    const img = document.getElementById('gallery-image');
+    if (img) img.style.maxHeight = isFullscreen ? '82vh' : '';
+};
+
+// The toolbar and gesture handlers are added once to whichever gallery markup the page has
+const initGalleryControls = () => {
+    const modal = document.getElementById('gallery-modal');
+    if (!modal || modal.dataset.controls) return;
+    modal.dataset.controls = 'true';
+    
+    const img = document.getElementById('gallery-image');
+    img.draggable = false;
+    img.style.touchAction = 'none';
+    img.style.userSelect = 'none';
+    img.style.transition = 'transform 0.1s ease-out';
+    img.parentElement.style.overflow = 'hidden';
+    img.addEventListener('error', () => {
+        if (img.src.startsWith('data:')) return;
+        recordImageFailure(currentGallery.images[currentGallery.currentIndex], currentGallery.carId);
+        img.src = getBrandPlaceholder(currentGallery.brand);
+    });
+    
+    const buttonStyle = 'padding: var(--spacing-xs) var(--spacing-md); border: 1px solid var(--border-color); border-radius: var(--radius-md); background-color: var(--bg-primary); cursor: pointer;';
+    img.parentElement.insertAdjacentHTML('afterend', `
+        <div class="gallery-toolbar" style="display: flex; flex-wrap: wrap; align-items: center; justify-content: center; gap: var(--spacing-sm); margin-bottom: var(--spacing-sm);">
+            <span id="gallery-counter" style="color: var(--text-secondary); font-size: var(--font-size-sm);"></span>
+            <button type="button" id="gallery-zoom-out" aria-label="Thu nhỏ" style="${buttonStyle}">−</button>
+            <button type="button" id="gallery-zoom-in" aria-label="Phóng to" style="${buttonStyle}">+</button>
+            <button type="button" id="gallery-slideshow" aria-pressed="false" style="${buttonStyle}"></button>
+            ${document.fullscreenEnabled ? `<button type="button" id="gallery-fullscreen" style="${buttonStyle}"></button>` : ''}
+        </div>
+    `);
+    
+    document.getElementById('gallery-zoom-out').addEventListener('click', () => zoomGallery(galleryView.scale / 1.5));
+    document.getElementById('gallery-zoom-in').addEventListener('click', () => zoomGallery(galleryView.scale * 1.5));
+    document.getElementById('gallery-slideshow').addEventListener('click', toggleGallerySlideshow);
+    const fullscreenBtn = document.getElementById('gallery-fullscreen');
+    if (fullscreenBtn) fullscreenBtn.addEventListener('click', toggleGalleryFullscreen);
+    document.addEventListener('fullscreenchange', updateGalleryControls);
+    
+    initGalleryGestures(img);
+    updateGalleryControls();
 };
 
 // ============================================
 // FAVORITES
 // ============================================
 
+// Price of each favorite when it was added, and the price the user was last told about:
+// { [carId]: { price, since, seenPrice } }
+const FAVORITE_PRICES_KEY = 'favoritePrices';
+
+const setFavoritePrice = (carId, add) => {
+    const prices = storage.get(FAVORITE_PRICES_KEY) || {};
+    const car = Inventory.getById(carId);
+    if (add && car) {
+        prices[carId] = { price: car.price, since: new Date().toISOString(), seenPrice: car.price };
+    } else {
+        delete prices[carId];
+    }
+    storage.set(FAVORITE_PRICES_KEY, prices);
+};
+
+// Change since the car was favorited as { amount, percent, since }, or null
+const getFavoritePriceChange = (car) => {
+    const entry = (storage.get(FAVORITE_PRICES_KEY) || {})[car.id];
+    if (!entry || entry.price === car.price) return null;
+
+    const amount = car.price - entry.price;
+    return { amount, percent: amount / entry.price * 100, since: entry.since };
+};
+
+// Runs on every visit: favorites that got cheaper since the last visit are announced once.
+// Favorites saved before prices were tracked start from today's price
+const checkFavoritePriceDrops = () => {
+    const prices = storage.get(FAVORITE_PRICES_KEY) || {};
+    const drops = [];
+
+    AppState.favorites.forEach(carId => {
+        const car = Inventory.getById(carId);
+        if (!car) return;
+
+        const entry = prices[carId];
+        if (!entry) {
+            prices[carId] = { price: car.price, since: new Date().toISOString(), seenPrice: car.price };
+            return;
+        }
+        if (car.price < entry.seenPrice) drops.push(car);
+        entry.seenPrice = car.price;
+    });
+    storage.set(FAVORITE_PRICES_KEY, prices);
+
+    if (drops.length === 1) {
+        showToast(`Xe yêu thích ${drops[0].name} vừa giảm giá còn ${formatCurrency(drops[0].price)}`, 'success');
+    } else if (drops.length > 1) {
+        showToast(`${drops.length} xe yêu thích của bạn vừa giảm giá`, 'success');
+    }
+};
+
 const toggleFavorite = (carId) => {
     const index = AppState.favorites.indexOf(carId);
     
@@ -570,17 +3002,40 @@ const toggleFavorite = (carId) => {
         showToast('Đã thêm vào yêu thích', 'success');
     }
     
+    setFavoritePrice(carId, index === -1);
     storage.set('favorites', AppState.favorites);
     updateBadges();
-    renderCars();
+    if (AppState.favoritesOnly) {
+        applyFilters({ page: AppState.currentPage, replaceUrl: true });
+    } else {
+        renderCars();
+    }
+    refreshSimilarCars();
+    refreshRecentlyViewed();
 };
 
 // ============================================
 // COMPARE
 // ============================================
 
+const COMPARE_LIMIT = 5;
+
+const COMPARE_WEIGHT_LABELS = {
+    price: 'Giá',
+    age: 'Đời xe',
+    km: 'Số km',
+    rating: 'Đánh giá',
+    seats: 'Số chỗ'
+};
+
+// Display options of the compare page, remembered between visits
+const compareView = {
+    differencesOnly: storage.get('compareDifferencesOnly') === true,
+    weights: { ...InventoryCore.DEFAULT_COMPARE_WEIGHTS, ...storage.get('compareWeights') }
+};
+
 const toggleCompare = (carId) => {
-    const car = AppState.cars.find(c => c.id === carId);
+    const car = Inventory.getById(carId);
     if (!car) return;
     
     const index = AppState.compareList.findIndex(c => c.id === carId);
@@ -589,8 +3044,8 @@ const toggleCompare = (carId) => {
         AppState.compareList.splice(index, 1);
         showToast('Đã xóa khỏi danh sách so sánh', 'info');
     } else {
-        if (AppState.compareList.length >= 3) {
-            showToast('Chỉ có thể so sánh tối đa 3 xe', 'error');
+        if (AppState.compareList.length >= COMPARE_LIMIT) {
+            showToast(`Chỉ có thể so sánh tối đa ${COMPARE_LIMIT} xe`, 'error');
             return;
         }
         AppState.compareList.push(car);
@@ -600,95 +3055,364 @@ const toggleCompare = (carId) => {
     storage.set('compareList', AppState.compareList);
     renderCars();
     renderCompare();
+    refreshSimilarCars();
+    refreshRecentlyViewed();
+};
+
+// Rows of the comparison; `best` picks the value to highlight among the cars
+const COMPARE_SPECS = [
+    { label: 'Giá bán', key: 'price', format: (v) => formatCurrency(v), best: Math.min },
+    { label: 'Hãng xe', key: 'brand' },
+    { label: 'Model', key: 'model' },
+    { label: 'Năm sản xuất', key: 'year', best: Math.max },
+    { label: 'Số km đã đi', key: 'km', format: (v) => formatNumber(v) + ' km', best: Math.min },
+    { label: 'Nhiên liệu', key: 'fuel' },
+    { label: 'Hộp số', key: 'transmission' },
+    { label: 'Số ghế', key: 'seats', format: (v) => v + ' chỗ', best: Math.max },
+    { label: 'Màu sắc', key: 'color' },
+    { label: 'Đánh giá', key: 'rating', value: (car) => getCarRating(car).value, format: (v) => '⭐'.repeat(Math.floor(v)) + ` (${v})`, best: Math.max },
+    { label: 'Chi phí năm đầu (ước tính)', key: 'tcoFirstYear', value: (car) => getCarTco(car).firstYear, format: (v) => formatCurrency(v), best: Math.min },
+    { label: `Chi phí ${InventoryCore.TCO_DEFAULTS.years} năm (ước tính)`, key: 'tcoTotal', value: (car) => getCarTco(car).total, format: (v) => formatCurrency(v), best: Math.min }
+];
+
+const getCompareValue = (spec, car) => spec.value ? spec.value(car) : car[spec.key];
+
+// The spec column and the car headers stay in view while the table scrolls
+const COMPARE_STICKY = {
+    column: 'position: sticky; left: 0; z-index: 1; background-color: var(--bg-primary);',
+    header: 'position: sticky; top: 0; z-index: 2; background-color: var(--bg-primary);',
+    corner: 'position: sticky; top: 0; left: 0; z-index: 3; background-color: var(--bg-primary);'
+};
+
+const renderCompareRanking = () => {
+    const ranking = InventoryCore.rankCars(AppState.compareList, compareView.weights, {
+        rating: (car) => getCarRating(car).value
+    });
+    
+    return ranking.map(({ car, score }, idx) => `
+        <li style="display: flex; align-items: center; gap: var(--spacing-sm); margin-bottom: var(--spacing-xs);">
+            <strong style="width: 1.5em;">${idx + 1}.</strong>
+            <span style="flex: 0 0 40%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(car.name)}</span>
+            <span style="flex: 1; height: 8px; border-radius: var(--radius-sm); background-color: var(--bg-tertiary); overflow: hidden;">
+                <span style="display: block; height: 100%; width: ${score}%; background-color: var(--primary-color);"></span>
+            </span>
+            <span style="width: 3em; text-align: right;">${score}</span>
+        </li>
+    `).join('');
+};
+
+const renderCompareScoring = () => `
+    <div class="compare-scoring" style="margin-top: var(--spacing-xl); padding: var(--spacing-md); border: 1px solid var(--border-color); border-radius: var(--radius-md);">
+        <h3 style="margin-bottom: var(--spacing-sm);">Chấm điểm theo ưu tiên của bạn</h3>
+        <p style="color: var(--text-secondary); font-size: var(--font-size-sm); margin-bottom: var(--spacing-md);">
+            Kéo thanh trượt để chọn mức độ quan trọng của từng tiêu chí (0 = không quan tâm).
+        </p>
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: var(--spacing-md); margin-bottom: var(--spacing-md);">
+            ${Object.keys(COMPARE_WEIGHT_LABELS).map(criterion => `
+                <label style="display: flex; flex-direction: column; font-size: var(--font-size-sm);">
+                    <span>${COMPARE_WEIGHT_LABELS[criterion]}: <strong id="compare-weight-${criterion}">${compareView.weights[criterion]}</strong></span>
+                    <input type="range" min="0" max="5" step="1" value="${compareView.weights[criterion]}" oninput="setCompareWeight('${criterion}', this.value)">
+                </label>
+            `).join('')}
+        </div>
+        <ol id="compare-ranking" style="list-style: none; padding: 0;">${renderCompareRanking()}</ol>
+    </div>
+`;
+
+const renderCompare = () => {
+    const grid = document.getElementById('compare-grid');
+    if (!grid) return;
+    
+    // Keep the address shareable: it always lists the cars on screen (except while
+    // a car detail owns the address)
+    const { state } = window.history;
+    if (!(state && state.carId)) {
+        window.history.replaceState(state, '', getCompareUrl(AppState.compareList.map(car => car.id)));
+    }
+    
+    if (AppState.compareList.length === 0) {
+        grid.innerHTML = `
+            <div class="compare-placeholder">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                    <path d="M12 5v14M5 12h14" stroke-width="2"/>
+                </svg>
+                <p>Chọn xe để so sánh</p>
+                <a href="catalog.html" class="btn btn-secondary">Xem danh sách xe</a>
+            </div>
+        `;
+        return;
+    }
+    
+    const cars = AppState.compareList;
+    // With a single car every row would count as identical
+    const specs = COMPARE_SPECS.filter(spec => !compareView.differencesOnly || cars.length < 2
+        || new Set(cars.map(car => String(getCompareValue(spec, car)))).size > 1);
+    
+    grid.innerHTML = `
+        <label class="compare-differences-toggle" style="display: inline-flex; align-items: center; gap: var(--spacing-xs); margin-bottom: var(--spacing-sm); cursor: pointer;">
+            <input type="checkbox" ${compareView.differencesOnly ? 'checked' : ''} onchange="setCompareDifferencesOnly(this.checked)">
+            Chỉ hiện khác biệt
+        </label>
+        ${cars.length > 1 ? '<p style="color: var(--text-secondary); font-size: var(--font-size-sm); margin-bottom: var(--spacing-sm);">Kéo thả ảnh xe để sắp xếp lại thứ tự.</p>' : ''}
+        ${renderTcoSettings()}
+        <div class="compare-table-wrapper" style="overflow: auto; max-height: 80vh;">
+            <table class="compare-table">
+                <thead>
+                    <tr>
+                        <th class="compare-spec-header" style="${COMPARE_STICKY.corner}">Thông số</th>
+                        ${cars.map(car => `
+                            <th class="compare-car-header" draggable="true" data-car-id="${car.id}" style="${COMPARE_STICKY.header} min-width: 200px; cursor: grab;">
+                                <button class="compare-remove-btn" onclick="toggleCompare(${car.id})" title="Xóa">
+                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                                        <line x1="18" y1="6" x2="6" y2="18" stroke-width="2"/>
+                                        <line x1="6" y1="6" x2="18" y2="18" stroke-width="2"/>
+                                    </svg>
+                                </button>
+                                ${renderCarImage(car, { className: 'compare-car-image', attrs: 'draggable="false"' })}
+                                <h3 class="compare-car-name">${escapeHtml(car.name)}</h3>
+                                ${car.badge ? `<span class="car-badge badge-${escapeHtml(car.badge.toLowerCase())}">${escapeHtml(car.badge)}</span>` : ''}
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${specs.length === 0 ? `
+                        <tr>
+                            <td class="compare-spec-label" style="${COMPARE_STICKY.column}"></td>
+                            <td colspan="${cars.length}" class="compare-spec-value">Các xe giống nhau ở mọi thông số</td>
+                        </tr>
+                    ` : ''}
+                    ${specs.map(spec => {
+                        const values = cars.map(car => getCompareValue(spec, car));
+                        const best = spec.best && cars.length > 1 ? spec.best(...values) : null;
+                        return `
+                        <tr>
+                            <td class="compare-spec-label" style="${COMPARE_STICKY.column}">${spec.label}</td>
+                            ${values.map(value => `
+                                <td class="compare-spec-value ${value === best ? 'highlight' : ''}">${escapeHtml(spec.format ? spec.format(value) : value)}</td>
+                            `).join('')}
+                        </tr>
+                    `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="compare-actions-bottom">
+            ${cars.map(car => `
+                <div class="compare-action-group">
+                    <button class="btn btn-primary" onclick="showCarDetail(${car.id})">Xem chi tiết</button>
+                    <button class="btn btn-secondary" onclick="addToCart(${car.id})">Thêm vào giỏ</button>
+                </div>
+            `).join('')}
+        </div>
+        ${cars.length > 1 ? renderCompareScoring() : ''}
+    `;
+    
+    initCompareDragAndDrop(grid);
+};
+
+const setCompareDifferencesOnly = (differencesOnly) => {
+    compareView.differencesOnly = differencesOnly;
+    storage.set('compareDifferencesOnly', differencesOnly);
+    renderCompare();
+};
+
+// Only the ranking is redrawn so the slider being dragged keeps its focus
+const setCompareWeight = (criterion, value) => {
+    compareView.weights[criterion] = Number(value);
+    storage.set('compareWeights', compareView.weights);
+    document.getElementById(`compare-weight-${criterion}`).textContent = value;
+    document.getElementById('compare-ranking').innerHTML = renderCompareRanking();
+};
+
+const moveCompareCar = (carId, targetId) => {
+    const from = AppState.compareList.findIndex(car => car.id === carId);
+    const to = AppState.compareList.findIndex(car => car.id === targetId);
+    if (from === -1 || to === -1 || from === to) return;
+    
+    const [car] = AppState.compareList.splice(from, 1);
+    AppState.compareList.splice(to, 0, car);
+    storage.set('compareList', AppState.compareList);
+    renderCompare();
+};
+
+// Car columns are reordered by dragging one header onto another
+const initCompareDragAndDrop = (grid) => {
+    grid.querySelectorAll('.compare-car-header[draggable="true"]').forEach(header => {
+        header.addEventListener('dragstart', (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', header.dataset.carId);
+            header.style.opacity = '0.5';
+        });
+        header.addEventListener('dragend', () => {
+            header.style.opacity = '';
+        });
+        header.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+        });
+        header.addEventListener('drop', (e) => {
+            e.preventDefault();
+            moveCompareCar(Number(e.dataTransfer.getData('text/plain')), Number(header.dataset.carId));
+        });
+    });
+};
+
+// ============================================
+// SHARING & SAVING COMPARISONS
+// ============================================
+
+// A comparison is just its car ids; whoever opens the link gets today's prices
+const COMPARE_PAGE = 'compare.html';
+const SAVED_COMPARISONS_KEY = 'savedComparisons';
+
+const getCompareUrl = (carIds) => carIds.length ? `${COMPARE_PAGE}?ids=${carIds.join(',')}` : COMPARE_PAGE;
+
+const parseCompareIds = (search = window.location.search) => {
+    const ids = new URLSearchParams(search).get('ids');
+    return ids ? ids.split(',').map(Number).filter(Number.isInteger) : null;
+};
+
+// Unknown ids are dropped; the list is capped like one built by hand
+const getCompareCars = (carIds) => [...new Set(carIds)]
+    .map(Inventory.getById)
+    .filter(Boolean)
+    .slice(0, COMPARE_LIMIT);
+
+const shareComparison = async () => {
+    if (AppState.compareList.length === 0) return;
+    
+    const data = {
+        title: 'So sánh xe - AutoLux',
+        text: AppState.compareList.map(car => car.name).join(' vs '),
+        url: new URL(getCompareUrl(AppState.compareList.map(car => car.id)), window.location.href).href
+    };
+    if (canUseNativeShare(data)) {
+        try {
+            await navigator.share(data);
+            return;
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+        }
+    }
+    try {
+        await navigator.clipboard.writeText(data.url);
+        showToast('Đã sao chép liên kết so sánh', 'success');
+    } catch (error) {
+        window.prompt('Sao chép liên kết so sánh', data.url);
+    }
+};
+
+const toCsv = (rows) => rows.map(row => row.map(cell => {
+    const text = cell === undefined || cell === null ? '' : String(cell);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',')).join('\r\n');
+
+// Raw values rather than the formatted ones so spreadsheets can calculate with them
+const exportComparisonCsv = () => {
+    const cars = AppState.compareList;
+    if (cars.length === 0) return;
+    
+    const ranking = InventoryCore.rankCars(cars, compareView.weights, { rating: (car) => getCarRating(car).value });
+    const rows = [
+        ['Thông số', ...cars.map(car => car.name)],
+        ...COMPARE_SPECS.map(spec => [spec.label, ...cars.map(car => getCompareValue(spec, car))]),
+        ['Điểm tổng hợp', ...cars.map(car => ranking.find(entry => entry.car.id === car.id).score)],
+        ['Liên kết', ...cars.map(car => getCarShareUrl(car))]
+    ];
+    
+    // The BOM makes Excel read the file as UTF-8
+    const blob = new Blob(['\uFEFF' + toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `so-sanh-xe-${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+};
+
+const getSavedComparisons = () => {
+    if (!AppState.currentUser) return [];
+    const all = storage.get(SAVED_COMPARISONS_KEY) || {};
+    return all[AppState.currentUser.email] || [];
+};
+
+const setSavedComparisons = (comparisons) => {
+    const all = storage.get(SAVED_COMPARISONS_KEY) || {};
+    all[AppState.currentUser.email] = comparisons;
+    storage.set(SAVED_COMPARISONS_KEY, all);
+};
+
+const saveComparison = () => {
+    if (!AppState.currentUser) {
+        showToast('Vui lòng đăng nhập để lưu so sánh', 'error');
+        openModal('auth-modal');
+        return;
+    }
+    if (AppState.compareList.length === 0) return;
+    
+    const suggestedName = AppState.compareList.map(car => car.name).join(' vs ');
+    const name = window.prompt('Đặt tên cho so sánh này', suggestedName);
+    if (name === null) return;
+    
+    const comparison = {
+        id: Date.now(),
+        name: name.trim() || suggestedName,
+        carIds: AppState.compareList.map(car => car.id),
+        createdAt: new Date().toISOString()
+    };
+    setSavedComparisons([...getSavedComparisons(), comparison]);
+    showToast(`Đã lưu so sánh "${comparison.name}"`, 'success');
+};
+
+const deleteSavedComparison = (comparisonId) => {
+    if (!confirm('Bạn có chắc muốn xóa so sánh đã lưu này?')) return;
+    
+    setSavedComparisons(getSavedComparisons().filter(c => c.id !== comparisonId));
+    renderAccountSavedComparisons();
+    showToast('Đã xóa so sánh đã lưu', 'info');
 };
 
-const renderCompare = () => {
-    const grid = document.getElementById('compare-grid');
+const renderAccountSavedComparisons = () => {
+    const list = document.getElementById('saved-comparisons-list');
+    const empty = document.getElementById('saved-comparisons-empty');
+    const comparisons = getSavedComparisons();
     
-    if (AppState.compareList.length === 0) {
-        grid.innerHTML = `
-            <div class="compare-placeholder">
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                    <path d="M12 5v14M5 12h14" stroke-width="2"/>
-                </svg>
-                <p>Chọn xe để so sánh</p>
-                <a href="catalog.html" class="btn btn-secondary">Xem danh sách xe</a>
-            </div>
-        `;
+    if (comparisons.length === 0) {
+        list.style.display = 'none';
+        empty.style.display = 'flex';
         return;
     }
     
-    // Create detailed comparison table
-    const specs = [
-        { label: 'Giá bán', key: 'price', format: (v) => formatCurrency(v) },
-        { label: 'Hãng xe', key: 'brand' },
-        { label: 'Model', key: 'model' },
-        { label: 'Năm sản xuất', key: 'year' },
-        { label: 'Số km đã đi', key: 'km', format: (v) => formatNumber(v) + ' km' },
-        { label: 'Nhiên liệu', key: 'fuel' },
-        { label: 'Hộp số', key: 'transmission' },
-        { label: 'Số ghế', key: 'seats', format: (v) => v + ' chỗ' },
-        { label: 'Màu sắc', key: 'color' },
-        { label: 'Đánh giá', key: 'rating', format: (v) => '⭐'.repeat(Math.floor(v)) + ` (${v})` }
-    ];
+    list.style.display = 'block';
+    empty.style.display = 'none';
     
-    grid.innerHTML = `
-        <div class="compare-table-wrapper">
-            <table class="compare-table">
-                <thead>
-                    <tr>
-                        <th class="compare-spec-header">Thông số</th>
-                        ${AppState.compareList.map(car => `
-                            <th class="compare-car-header">
-                                <button class="compare-remove-btn" onclick="toggleCompare(${car.id})" title="Xóa">
-                                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor">
-                                        <line x1="18" y1="6" x2="6" y2="18" stroke-width="2"/>
-                                        <line x1="6" y1="6" x2="18" y2="18" stroke-width="2"/>
-                                    </svg>
-                                </button>
-                                <img src="${car.images[0]}" alt="${car.name}" class="compare-car-image">
-                                <h3 class="compare-car-name">${car.name}</h3>
-                                ${car.badge ? `<span class="car-badge badge-${car.badge.toLowerCase()}">${car.badge}</span>` : ''}
-                            </th>
-                        `).join('')}
-                    </tr>
-                </thead>
-                <tbody>
-                    ${specs.map(spec => `
-                        <tr>
-                            <td class="compare-spec-label">${spec.label}</td>
-                            ${AppState.compareList.map(car => {
-                                const value = car[spec.key];
-                                const displayValue = spec.format ? spec.format(value) : value;
-                                
-                                // Highlight best value
-                                let isHighlight = false;
-                                if (spec.key === 'price') {
-                                    isHighlight = value === Math.min(...AppState.compareList.map(c => c.price));
-                                } else if (spec.key === 'year') {
-                                    isHighlight = value === Math.max(...AppState.compareList.map(c => c.year));
-                                } else if (spec.key === 'km') {
-                                    isHighlight = value === Math.min(...AppState.compareList.map(c => c.km));
-                                } else if (spec.key === 'rating') {
-                                    isHighlight = value === Math.max(...AppState.compareList.map(c => c.rating));
-                                }
-                                
-                                return `<td class="compare-spec-value ${isHighlight ? 'highlight' : ''}">${displayValue}</td>`;
-                            }).join('')}
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-        </div>
-        <div class="compare-actions-bottom">
-            ${AppState.compareList.map(car => `
-                <div class="compare-action-group">
-                    <button class="btn btn-primary" onclick="showCarDetail(${car.id})">Xem chi tiết</button>
-                    <button class="btn btn-secondary" onclick="addToCart(${car.id})">Thêm vào giỏ</button>
+    list.innerHTML = comparisons.map(comparison => {
+        const cars = getCompareCars(comparison.carIds);
+        const missing = comparison.carIds.length - cars.length;
+        return `
+        <div class="order-card">
+            <div class="order-header">
+                <span class="order-id">${escapeHtml(comparison.name)}</span>
+                <span style="color: var(--text-secondary); font-size: var(--font-size-sm);">${cars.length} xe</span>
+            </div>
+            <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+                ${cars.map(car => `${escapeHtml(car.name)} (${formatCurrency(car.price)})`).join(' · ')}
+                ${missing ? ` · ${missing} xe không còn trong danh sách` : ''}
+            </p>
+            <div class="order-footer">
+                <span style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+                    Lưu ngày ${new Date(comparison.createdAt).toLocaleDateString('vi-VN')}
+                </span>
+                <div>
+                    <button class="btn btn-secondary" onclick="deleteSavedComparison(${comparison.id})">Xóa</button>
+                    <a class="btn btn-primary" href="${getCompareUrl(comparison.carIds)}">Xem so sánh</a>
                 </div>
-            `).join('')}
+            </div>
         </div>
     `;
+    }).join('');
 };
 
 // ============================================
@@ -696,9 +3420,15 @@ const renderCompare = () => {
 // ============================================
 
 const addToCart = (carId) => {
-    const car = AppState.cars.find(c => c.id === carId);
+    const car = Inventory.getById(carId);
     if (!car) return;
     
+    const availability = InventoryCore.getAvailability(car);
+    if (availability !== 'available') {
+        showToast(availability === 'sold' ? 'Xe này đã được bán' : 'Xe này đang được khách khác giữ chỗ', 'error');
+        return;
+    }
+    
     const existingItem = AppState.cart.find(item => item.id === carId);
     
     if (existingItem) {
@@ -732,26 +3462,42 @@ const renderCart = () => {
     
     const totalAmount = AppState.cart.reduce((sum, item) => sum + item.price, 0);
     
-    content.innerHTML = AppState.cart.map(item => `
+    content.innerHTML = AppState.cart.map(item => {
+        const availability = getCartItemAvailability(item);
+        return `
         <div class="cart-item">
-            <img src="${item.images[0]}" alt="${item.name}" class="cart-item-image">
+            ${renderCarImage(item, { className: 'cart-item-image' })}
             <div class="cart-item-info">
-                <div class="cart-item-title">${item.name}</div>
+                <div class="cart-item-title">${escapeHtml(item.name)}</div>
                 <div class="cart-item-price">${formatCurrency(item.price)}</div>
+                ${availability !== 'available' ? `
+                    <div style="color: var(--danger-color); font-size: var(--font-size-sm);">${STOCK_LABELS[availability]} - vui lòng xóa khỏi giỏ</div>
+                ` : ''}
             </div>
             <button class="cart-item-remove" onclick="removeFromCart(${item.id})">Xóa</button>
         </div>
-    `).join('');
+    `;
+    }).join('');
     
     total.textContent = formatCurrency(totalAmount);
 };
 
+// The cart keeps snapshots, so check the live inventory record when it's available
+const getCartItemAvailability = (item) => {
+    return Inventory.loaded ? Inventory.availability(item.id) : InventoryCore.getAvailability(item);
+};
+
 const showCheckout = () => {
     if (AppState.cart.length === 0) {
         showToast('Giỏ hàng trống', 'error');
         return;
     }
     
+    if (AppState.cart.some(item => getCartItemAvailability(item) !== 'available')) {
+        showToast('Giỏ hàng có xe không còn sẵn. Vui lòng xóa trước khi thanh toán.', 'error');
+        return;
+    }
+    
     const summary = document.getElementById('checkout-summary');
     const totalAmount = AppState.cart.reduce((sum, item) => sum + item.price, 0);
     
@@ -759,7 +3505,7 @@ const showCheckout = () => {
         <h4>Tóm tắt đơn hàng</h4>
         ${AppState.cart.map(item => `
             <div class="checkout-item">
-                <span>${item.name}</span>
+                <span>${escapeHtml(item.name)}</span>
                 <span>${formatCurrency(item.price)}</span>
             </div>
         `).join('')}
@@ -777,6 +3523,16 @@ const showCheckout = () => {
 // LOAN CALCULATOR
 // ============================================
 
+// The calculator's default scenario, also used for the example on printed spec sheets
+const LOAN_EXAMPLE = { downPercent: 25, rate: 8.5, term: 60 };
+
+// Fixed monthly instalment of an annuity loan
+const getMonthlyPayment = (loanAmount, rate, term) => {
+    const monthlyRate = rate / 100 / 12;
+    if (monthlyRate === 0) return loanAmount / term;
+    return loanAmount * (monthlyRate * Math.pow(1 + monthlyRate, term)) / (Math.pow(1 + monthlyRate, term) - 1);
+};
+
 const calculateLoan = () => {
     const price = parseFloat(document.getElementById('loan-price').value) || 0;
     const down = parseFloat(document.getElementById('loan-down').value) || 0;
@@ -789,8 +3545,7 @@ const calculateLoan = () => {
     }
     
     const loanAmount = price - down;
-    const monthlyRate = rate / 100 / 12;
-    const monthlyPayment = loanAmount * (monthlyRate * Math.pow(1 + monthlyRate, term)) / (Math.pow(1 + monthlyRate, term) - 1);
+    const monthlyPayment = getMonthlyPayment(loanAmount, rate, term);
     const totalPayment = monthlyPayment * term;
     const totalInterest = totalPayment - loanAmount;
     
@@ -815,18 +3570,27 @@ const showAuthModal = () => {
     }
 };
 
+// Mock roles: showroom staff sign in with their company email
+const STAFF_EMAIL_DOMAIN = '@autolux.vn';
+
+const getUserRole = (email) => email.toLowerCase().endsWith(STAFF_EMAIL_DOMAIN) ? 'staff' : 'customer';
+
+const isStaff = () => !!AppState.currentUser && AppState.currentUser.role === 'staff';
+
 const handleLogin = (e) => {
     e.preventDefault();
     const email = document.getElementById('login-email').value;
     const password = document.getElementById('login-password').value;
     
     // Mock authentication
-    const user = { name: email.split('@')[0], email };
+    const user = { name: email.split('@')[0], email, role: getUserRole(email) };
     AppState.currentUser = user;
     storage.set('currentUser', user);
     
     closeModal('auth-modal');
     updateAuthButton();
+    // The server marks which reviews are this user's
+    Reviews.load({ force: true });
     showToast(`Chào mừng ${user.name}!`, 'success');
 };
 
@@ -850,12 +3614,14 @@ const handleRegister = (e) => {
     }
     
     // Mock registration
-    const user = { name, email };
+    const user = { name, email, role: getUserRole(email) };
     AppState.currentUser = user;
     storage.set('currentUser', user);
     
     closeModal('auth-modal');
     updateAuthButton();
+    // The server marks which reviews are this user's
+    Reviews.load({ force: true });
     showToast(`Đăng ký thành công! Chào mừng ${user.name}!`, 'success');
 };
 
@@ -866,6 +3632,21 @@ const updateAuthButton = () => {
     } else {
         btn.textContent = 'Đăng nhập';
     }
+    updateStaffNav();
+    updateSavedSearchBadges();
+};
+
+// Show the admin link in the menu for staff only
+const updateStaffNav = () => {
+    const menu = document.getElementById('nav-menu');
+    if (!menu) return;
+    
+    const adminLink = menu.querySelector('a[href="admin.html"]');
+    if (isStaff() && !adminLink) {
+        menu.insertAdjacentHTML('beforeend', '<li><a href="admin.html" class="nav-link">Quản trị</a></li>');
+    } else if (!isStaff() && adminLink) {
+        adminLink.parentElement.remove();
+    }
 };
 
 // ============================================
@@ -899,6 +3680,7 @@ const handleTestDrive = (e) => {
     const testDrives = storage.get('testDrives') || [];
     testDrives.push({
         carId: currentTestDriveCar,
+        userEmail: AppState.currentUser.email,
         name,
         phone,
         date,
@@ -936,25 +3718,58 @@ const handleContact = (e) => {
 // CHECKOUT FORM
 // ============================================
 
-const handleCheckout = (e) => {
+const handleCheckout = async (e) => {
     e.preventDefault();
+    const form = e.target;
     
     const name = document.getElementById('checkout-name').value;
     const phone = document.getElementById('checkout-phone').value;
     const email = document.getElementById('checkout-email').value;
     const address = document.getElementById('checkout-address').value;
     
-    // Mock order
+    // Someone may have bought or reserved a car since it was added to the cart
+    try {
+        await Inventory.load();
+    } catch (error) {
+        console.error('Error loading inventory for checkout:', error);
+        showToast('Không thể kiểm tra tình trạng xe. Vui lòng thử lại sau.', 'error');
+        return;
+    }
+    
+    const unavailable = AppState.cart.filter(item => Inventory.availability(item.id) !== 'available');
+    if (unavailable.length > 0) {
+        showToast(`Xe không còn sẵn: ${unavailable.map(item => item.name).join(', ')}`, 'error');
+        return;
+    }
+    
+    const orders = getOrders();
+    const now = new Date();
     const order = {
-        id: Date.now(),
+        id: InventoryCore.createOrderCode(now, orders.map(o => String(o.id))),
         customer: { name, phone, email, address },
+        userEmail: AppState.currentUser ? AppState.currentUser.email : null,
         items: [...AppState.cart],
         total: AppState.cart.reduce((sum, item) => sum + item.price, 0),
-        timestamp: new Date().toISOString()
+        status: 'pending',
+        timestamp: now.toISOString(),
+        events: [{ status: 'pending', at: now.toISOString(), by: 'customer', note: null }]
     };
     
+    // Hold the cars for this order until it is confirmed. If another shopper got to one
+    // first, let go of the others and leave the cart as it is.
+    const results = await Promise.all(order.items.map(item => Inventory.reserve(item.id, order.id)));
+    const refused = results.flat();
+    if (refused.length) {
+        await Promise.all(order.items
+            .filter((item, i) => results[i].length === 0)
+            .map(item => Inventory.release(item.id, order.id)));
+        showToast(`Không thể giữ xe: ${refused.join('; ')}`, 'error');
+        await Inventory.load({ force: true });
+        renderCart();
+        return;
+    }
+    
     // Save order
-    const orders = storage.get('orders') || [];
     orders.push(order);
     storage.set('orders', orders);
     
@@ -966,7 +3781,391 @@ const handleCheckout = (e) => {
     closeModal('checkout-modal');
     showToast('Đặt hàng thành công! Mã đơn hàng: #' + order.id, 'success');
     
-    e.target.reset();
+    form.reset();
+    showToast('Bạn có thể đặt cọc khi showroom xác nhận đơn hàng, trong mục Đơn hàng của tài khoản', 'info');
+};
+
+// ============================================
+// ORDERS
+// ============================================
+
+// Orders are kept in this browser's storage until the dealer backend takes them over
+const ORDER_STATUS_LABELS = {
+    pending: { label: 'Chờ xác nhận', className: 'pending' },
+    confirmed: { label: 'Đã xác nhận', className: 'completed' },
+    deposit_paid: { label: 'Đã đặt cọc', className: 'completed' },
+    ready: { label: 'Sẵn sàng giao xe', className: 'completed' },
+    delivered: { label: 'Đã giao xe', className: 'completed' },
+    cancelled: { label: 'Đã hủy', className: 'cancelled' }
+};
+
+// Buttons staff use to move an order on to that status
+const ORDER_ACTION_LABELS = {
+    confirmed: 'Xác nhận bán',
+    deposit_paid: 'Đã nhận cọc',
+    ready: 'Sẵn sàng giao',
+    delivered: 'Đã giao xe',
+    cancelled: 'Hủy đơn'
+};
+
+const ORDER_ACTOR_LABELS = {
+    customer: 'Khách hàng',
+    staff: 'Nhân viên',
+    system: 'Hệ thống'
+};
+
+const getOrders = () => storage.get('orders') || [];
+
+// Older orders have numeric ids, and ids come back from onclick attributes as strings
+const isOrder = (order, orderId) => String(order.id) === String(orderId);
+
+const findOrder = (orderId) => getOrders().find(order => isOrder(order, orderId)) || null;
+
+// Confirming an order (or taking its deposit) sells its cars so they leave the
+// catalog; cancelling puts the cars held or sold for it back on sale. Returns the updated order, or null
+// when the order cannot make that step.
+const updateOrderStatus = async (orderId, status, { by = 'staff', note = null } = {}) => {
+    const orders = getOrders();
+    const index = orders.findIndex(order => isOrder(order, orderId));
+    if (index === -1 || !InventoryCore.canTransitionOrder(orders[index], status)) return null;
+    
+    const order = orders[index];
+    await Inventory.load();
+    if (InventoryCore.getOrderStatus(order) === 'pending' && status !== 'cancelled') {
+        const errors = (await Promise.all(order.items.map(item => Inventory.markSold(item.id, order.id)))).flat();
+        if (errors.length) {
+            showToast(`Không thể bán xe cho đơn ${order.id}: ${errors.join('; ')}`, 'error');
+            return null;
+        }
+    } else if (status === 'cancelled') {
+        // Cars this order does not hold are refused and stay as they are
+        await Promise.all(order.items.map(item => Inventory.release(item.id, order.id)));
+    }
+    
+    orders[index] = InventoryCore.transitionOrder(order, status, { by, note });
+    storage.set('orders', orders);
+    return orders[index];
+};
+
+const renderOrderTimelineStep = (event, done, cancelled) => `
+    <li style="position: relative; padding: 0 0 var(--spacing-md) var(--spacing-md);">
+        <span style="position: absolute; left: -7px; top: 4px; width: 12px; height: 12px; border-radius: 50%; background-color: ${done ? (cancelled ? 'var(--danger-color)' : 'var(--primary-color)') : 'var(--bg-tertiary)'};"></span>
+        <strong style="${done ? '' : 'color: var(--text-secondary); font-weight: 400;'}">${ORDER_STATUS_LABELS[event.status].label}</strong>
+        ${done ? `
+            <div style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+                ${[
+                    event.at ? new Date(event.at).toLocaleString('vi-VN') : 'Không rõ thời gian',
+                    ORDER_ACTOR_LABELS[event.by],
+                    event.note && escapeHtml(event.note)
+                ].filter(Boolean).join(' · ')}
+            </div>
+        ` : ''}
+    </li>
+`;
+
+// What happened so far, then the steps still ahead greyed out
+const renderOrderTimeline = (order) => {
+    const status = InventoryCore.getOrderStatus(order);
+    const upcoming = status === 'cancelled'
+        ? []
+        : InventoryCore.ORDER_STEPS.slice(InventoryCore.ORDER_STEPS.indexOf(status) + 1);
+    
+    return `
+        <ol class="order-timeline" style="list-style: none; margin: var(--spacing-md) 0 0 6px; padding: 0; border-left: 2px solid var(--border-color);">
+            ${InventoryCore.getOrderEvents(order).map(event => renderOrderTimelineStep(event, true, event.status === 'cancelled')).join('')}
+            ${upcoming.map(step => renderOrderTimelineStep({ status: step }, false)).join('')}
+        </ol>
+    `;
+};
+
+const openOrderDetail = (orderId) => {
+    const order = findOrder(orderId);
+    const content = document.getElementById('order-detail-content');
+    if (!order || !content) return;
+    
+    const status = ORDER_STATUS_LABELS[InventoryCore.getOrderStatus(order)];
+    content.innerHTML = `
+        <h3>Đơn hàng #${order.id}</h3>
+        <p>
+            <span class="order-status ${status.className}">${status.label}</span>
+            <span style="color: var(--text-secondary); font-size: var(--font-size-sm);">Đặt ngày ${new Date(order.timestamp).toLocaleString('vi-VN')}</span>
+        </p>
+        <div class="order-items">
+            ${order.items.map(item => `
+                <div class="order-item">
+                    ${renderCarImage(item, { className: 'order-item-image' })}
+                    <div>
+                        <div>${escapeHtml(item.name)}</div>
+                        <div style="color: var(--text-secondary); font-size: var(--font-size-sm);">${formatCurrency(item.price)}</div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+        <p style="margin-top: var(--spacing-sm);"><strong>Tổng cộng:</strong> ${formatCurrency(order.total)}</p>
+        <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+            ${escapeHtml(order.customer.name)} · ${escapeHtml(order.customer.phone)} · ${escapeHtml(order.customer.address)}
+        </p>
+        <h4 style="margin-top: var(--spacing-md);">Tiến trình đơn hàng</h4>
+        ${renderOrderTimeline(order)}
+        ${renderOrderPayments(order)}
+        <div style="display: flex; gap: var(--spacing-sm); margin-top: var(--spacing-md);">
+            ${InventoryCore.canPayDeposit(order) ? `
+                <button class="btn btn-primary" onclick="closeModal('order-detail-modal'); openDepositModal('${order.id}')">Đặt cọc</button>
+            ` : ''}
+            ${InventoryCore.getOrderStatus(order) === 'pending' ? `
+                <button class="btn btn-secondary" onclick="cancelMyOrder('${order.id}')">Hủy đơn hàng</button>
+            ` : ''}
+        </div>
+    `;
+    openModal('order-detail-modal');
+};
+
+// Customers can only back out before the showroom has confirmed
+const cancelMyOrder = async (orderId) => {
+    const order = findOrder(orderId);
+    if (!order || InventoryCore.getOrderStatus(order) !== 'pending') return;
+    if (!confirm(`Bạn có chắc muốn hủy đơn hàng #${order.id}?`)) return;
+    
+    if (!await updateOrderStatus(orderId, 'cancelled', { by: 'customer' })) return;
+    showToast(`Đã hủy đơn hàng #${order.id}`, 'info');
+    renderAccountOrders();
+    openOrderDetail(orderId);
+};
+
+// ============================================
+// DEPOSIT PAYMENTS
+// ============================================
+
+// The deposit asked for at checkout; { type: 'fixed', value: 50000000 } takes a set amount instead
+const DEPOSIT_RULE = { type: 'percent', value: 10 };
+
+const PAYMENT_PROVIDERS = {
+    vnpay: { name: 'VNPay', color: '#005baa' },
+    momo: { name: 'MoMo', color: '#a50064' }
+};
+
+const PAYMENT_STATUS_LABELS = {
+    pending: { label: 'Đang chờ thanh toán', className: 'pending' },
+    success: { label: 'Thành công', className: 'completed' },
+    failed: { label: 'Thất bại', className: 'cancelled' },
+    cancelled: { label: 'Đã hủy', className: 'cancelled' }
+};
+
+const PAYMENT_GATEWAY_PAGE = 'payment-gateway.html';
+const PAYMENT_RETURN_PAGE = 'account.html';
+
+const saveOrder = (order) => {
+    storage.set('orders', getOrders().map(o => (isOrder(o, order.id) ? order : o)));
+};
+
+const renderDepositRule = () => (DEPOSIT_RULE.type === 'percent'
+    ? `${DEPOSIT_RULE.value}% giá trị đơn hàng`
+    : 'số tiền cọc cố định');
+
+const openDepositModal = (orderId) => {
+    const order = findOrder(orderId);
+    const content = document.getElementById('deposit-content');
+    if (!order || !content || !InventoryCore.canPayDeposit(order)) return;
+    
+    content.innerHTML = `
+        <h3>Đặt cọc giữ xe</h3>
+        <p>Đơn hàng <strong>#${order.id}</strong> · Tổng cộng ${formatCurrency(order.total)}</p>
+        <p style="font-size: var(--font-size-lg);">
+            Số tiền đặt cọc: <strong>${formatCurrency(InventoryCore.getDepositAmount(order.total, DEPOSIT_RULE))}</strong>
+            <span style="color: var(--text-secondary); font-size: var(--font-size-sm);">(${renderDepositRule()})</span>
+        </p>
+        <div style="display: flex; flex-direction: column; gap: var(--spacing-sm); margin: var(--spacing-md) 0;">
+            ${Object.entries(PAYMENT_PROVIDERS).map(([key, provider]) => `
+                <button class="btn btn-primary btn-block" style="background-color: ${provider.color}; border-color: ${provider.color};" onclick="startDepositPayment('${order.id}', '${key}')">
+                    Thanh toán qua ${provider.name}
+                </button>
+            `).join('')}
+            <button class="btn btn-secondary btn-block" onclick="closeModal('deposit-modal')">Để sau</button>
+        </div>
+        <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+            Xe được giữ cho bạn khi đặt cọc thành công. Bạn có thể đặt cọc sau trong mục Đơn hàng của tài khoản.
+        </p>
+    `;
+    openModal('deposit-modal');
+};
+
+// Resolves to false when server.js can't be reached or refuses
+const verifyPaymentParams = async (params) => {
+    try {
+        const { ok, body } = await sendApi('POST', 'payments/verify', params);
+        return ok && body.valid === true;
+    } catch (error) {
+        console.error('Error verifying payment:', error);
+        return false;
+    }
+};
+
+// server.js signs the request (its secret never reaches the browser); the attempt is
+// recorded on the order and the customer handed over to the gateway like a VNPay/MoMo redirect
+const startDepositPayment = async (orderId, providerKey) => {
+    const order = findOrder(orderId);
+    if (!order || !PAYMENT_PROVIDERS[providerKey] || !InventoryCore.canPayDeposit(order)) return;
+    
+    const amount = InventoryCore.getDepositAmount(order.total, DEPOSIT_RULE);
+    let response;
+    try {
+        response = await sendApi('POST', 'payments', {
+            orderId: String(order.id),
+            amount,
+            provider: providerKey,
+            orderInfo: `Dat coc don hang ${order.id}`,
+            returnUrl: new URL(PAYMENT_RETURN_PAGE, window.location.href).href
+        });
+    } catch (error) {
+        console.error('Error starting payment:', error);
+    }
+    if (!response || !response.ok) {
+        showToast('Không thể mở cổng thanh toán. Đặt cọc cần máy chủ AutoLux (server.js).', 'error');
+        return;
+    }
+    
+    const request = response.body;
+    const payment = {
+        txnRef: request.txnRef,
+        provider: providerKey,
+        amount,
+        status: 'pending',
+        createdAt: request.createdAt
+    };
+    saveOrder({ ...order, payments: [...(order.payments || []), payment] });
+    window.location.href = `${PAYMENT_GATEWAY_PAGE}?${new URLSearchParams(request)}`;
+};
+
+const renderOrderPayments = (order) => {
+    if (!order.payments || order.payments.length === 0) return '';
+    
+    return `
+        <h4 style="margin-top: var(--spacing-md);">Thanh toán</h4>
+        ${order.payments.slice().reverse().map(payment => {
+            const status = PAYMENT_STATUS_LABELS[payment.status];
+            return `
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: var(--spacing-sm); padding: var(--spacing-xs) 0; border-bottom: 1px solid var(--border-color); font-size: var(--font-size-sm);">
+                    <span>
+                        Đặt cọc ${formatCurrency(payment.amount)} qua ${PAYMENT_PROVIDERS[payment.provider].name}
+                        <span style="color: var(--text-secondary);">
+                            · ${new Date(payment.settledAt || payment.createdAt).toLocaleString('vi-VN')}${payment.transactionNo ? ` · Mã GD ${escapeHtml(payment.transactionNo)}` : ''}
+                        </span>
+                    </span>
+                    <span class="order-status ${status.className}">${status.label}</span>
+                </div>
+            `;
+        }).join('')}
+    `;
+};
+
+// ============================================
+// MOCK PAYMENT GATEWAY
+// ============================================
+
+const getPaymentParams = () => Object.fromEntries(new URLSearchParams(window.location.search));
+
+const initPaymentGateway = async () => {
+    const container = document.getElementById('payment-gateway');
+    const request = getPaymentParams();
+    const provider = PAYMENT_PROVIDERS[request.provider];
+    
+    if (!provider || !await verifyPaymentParams(request)) {
+        container.innerHTML = `
+            <h1 class="gateway-title">Giao dịch không hợp lệ</h1>
+            <p>Chữ ký yêu cầu thanh toán không đúng hoặc thiếu thông tin.</p>
+            <a href="index.html" class="btn btn-secondary">Về trang chủ</a>
+        `;
+        return;
+    }
+    
+    document.title = `${provider.name} - Cổng thanh toán mô phỏng`;
+    container.style.borderTopColor = provider.color;
+    container.innerHTML = `
+        <h1 class="gateway-title" style="color: ${provider.color};">${provider.name}</h1>
+        <p class="gateway-note">Cổng thanh toán mô phỏng - không có tiền thật được chuyển</p>
+        <dl class="gateway-details">
+            <dt>Đơn vị nhận</dt><dd>AutoLux Showroom</dd>
+            <dt>Nội dung</dt><dd>${escapeHtml(request.orderInfo)}</dd>
+            <dt>Mã giao dịch</dt><dd>${escapeHtml(request.txnRef)}</dd>
+            <dt>Số tiền</dt><dd class="gateway-amount">${formatCurrency(Number(request.amount))}</dd>
+        </dl>
+        <div class="gateway-qr">
+            ${QRCode.toSvg(`${request.provider}:${request.txnRef}:${request.amount}`, { size: 160, color: provider.color })}
+        </div>
+        <div class="gateway-actions">
+            <button class="btn btn-primary" style="background-color: ${provider.color}; border-color: ${provider.color};" onclick="completeMockPayment('00')">Thanh toán thành công</button>
+            <button class="btn btn-secondary" onclick="completeMockPayment('51')">Thanh toán thất bại</button>
+            <button class="btn btn-secondary" onclick="completeMockPayment('24')">Hủy giao dịch</button>
+        </div>
+    `;
+};
+
+// Sends the customer back to the shop with the result server.js signed, as the real gateways do
+const completeMockPayment = async (responseCode) => {
+    const { txnRef } = getPaymentParams();
+    let response;
+    try {
+        response = await sendApi('POST', `payments/${encodeURIComponent(txnRef)}/complete`, { responseCode });
+    } catch (error) {
+        console.error('Error completing payment:', error);
+    }
+    if (!response || !response.ok) {
+        showToast('Không thể hoàn tất giao dịch. Vui lòng thử lại.', 'error');
+        return;
+    }
+    
+    const { returnUrl, result } = response.body;
+    window.location.replace(`${returnUrl}?${new URLSearchParams(result)}`);
+};
+
+// Handles the gateway's return on the account page and resolves to the order's id, or
+// null when there was nothing to handle. A replayed result (a reload, the back button,
+// a second callback) is recognised by its transaction and changes nothing.
+const handlePaymentReturn = async () => {
+    const result = getPaymentParams();
+    if (!result.txnRef) return null;
+    
+    // Keep the result out of the address bar so it is not bookmarked or shared
+    history.replaceState(history.state, '', window.location.pathname);
+    
+    const order = await verifyPaymentParams(result) && findOrder(result.orderId);
+    if (!order) {
+        showToast('Kết quả thanh toán không hợp lệ', 'error');
+        return null;
+    }
+    
+    let applied;
+    try {
+        applied = InventoryCore.applyPaymentResult(order, result);
+    } catch (error) {
+        console.error('Error applying payment result:', error);
+        showToast('Không tìm thấy giao dịch đặt cọc tương ứng', 'error');
+        return null;
+    }
+    
+    if (applied.duplicate) {
+        showToast(`Giao dịch ${result.txnRef} đã được ghi nhận trước đó`, 'info');
+        return order.id;
+    }
+    
+    saveOrder(applied.order);
+    if (applied.payment.status === 'success') {
+        const provider = PAYMENT_PROVIDERS[applied.payment.provider];
+        const updated = await updateOrderStatus(order.id, 'deposit_paid', {
+            by: 'system',
+            note: `${provider.name} · Mã GD ${applied.payment.transactionNo}`
+        });
+        if (updated) {
+            showToast(`Đặt cọc thành công cho đơn hàng #${order.id}`, 'success');
+        } else {
+            showToast(`Đã nhận tiền cọc nhưng đơn hàng #${order.id} không còn hiệu lực. AutoLux sẽ liên hệ để hoàn tiền.`, 'error');
+        }
+    } else if (applied.payment.status === 'cancelled') {
+        showToast('Bạn đã hủy thanh toán đặt cọc', 'info');
+    } else {
+        showToast('Thanh toán đặt cọc không thành công. Vui lòng thử lại.', 'error');
+    }
+    return order.id;
 };
 
 // ============================================
@@ -1082,35 +4281,54 @@ const initCatalogEventListeners = () => {
         }, 300));
     }
 
-    // Filter changes
-    const filterBrand = document.getElementById('filter-brand');
-    if (filterBrand) {
-        filterBrand.addEventListener('change', (e) => {
-            AppState.filters.brand = e.target.value;
-            applyFilters();
-        });
+    if (searchInput) {
+        initSearchSuggestions(searchInput);
     }
 
-    const filterYear = document.getElementById('filter-year');
-    if (filterYear) {
-        filterYear.addEventListener('change', (e) => {
-            AppState.filters.year = e.target.value;
-            applyFilters();
+    // Facet checkboxes are redrawn on every change, so listen on the container
+    const facetFilters = document.getElementById('facet-filters');
+    if (facetFilters) {
+        facetFilters.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('input[data-facet]');
+            if (checkbox) {
+                toggleFacetValue(checkbox.dataset.facet, checkbox.value, checkbox.checked);
+            }
+        });
+        
+        // Only one dropdown open at a time
+        facetFilters.addEventListener('toggle', (e) => {
+            if (!e.target.open) return;
+            facetFilters.querySelectorAll('details[open]').forEach(details => {
+                if (details !== e.target) details.open = false;
+            });
+        }, true);
+        
+        document.addEventListener('click', (e) => {
+            if (!facetFilters.contains(e.target)) {
+                facetFilters.querySelectorAll('details[open]').forEach(details => details.open = false);
+            }
         });
     }
 
-    const filterFuel = document.getElementById('filter-fuel');
-    if (filterFuel) {
-        filterFuel.addEventListener('change', (e) => {
-            AppState.filters.fuel = e.target.value;
-            applyFilters();
+    const saveSearchBtn = document.getElementById('save-search');
+    if (saveSearchBtn) {
+        saveSearchBtn.addEventListener('click', saveCurrentSearch);
+    }
+
+    const activeFilters = document.getElementById('active-filters');
+    if (activeFilters) {
+        activeFilters.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-filter-key]');
+            if (chip) {
+                removeFilter(chip.dataset.filterKey, chip.dataset.filterValue);
+            }
         });
     }
 
-    const filterPrice = document.getElementById('filter-price');
-    if (filterPrice) {
-        filterPrice.addEventListener('change', (e) => {
-            AppState.filters.price = e.target.value;
+    const filterShowSold = document.getElementById('filter-show-sold');
+    if (filterShowSold) {
+        filterShowSold.addEventListener('change', (e) => {
+            AppState.filters.showSold = e.target.checked;
             applyFilters();
         });
     }
@@ -1128,26 +4346,23 @@ const initCatalogEventListeners = () => {
     const clearFilters = document.getElementById('clear-filters');
     if (clearFilters) {
         clearFilters.addEventListener('click', () => {
-            AppState.filters = {
-                search: '',
-                brand: '',
-                year: '',
-                fuel: '',
-                price: ''
-            };
+            AppState.filters = InventoryCore.createFilters();
             AppState.sortBy = 'default';
             
-            if (searchInput) searchInput.value = '';
-            if (filterBrand) filterBrand.value = '';
-            if (filterYear) filterYear.value = '';
-            if (filterFuel) filterFuel.value = '';
-            if (filterPrice) filterPrice.value = '';
-            if (sortSelect) sortSelect.value = 'default';
-            
+            syncFilterControls();
             applyFilters();
             showToast('Đã xóa bộ lọc', 'info');
         });
     }
+
+    // Back/forward between filter states
+    window.addEventListener('popstate', (e) => {
+        // Opening or closing a car detail leaves the list as it was
+        if ((e.state && e.state.carId) || buildCatalogQuery() === window.location.search) return;
+        readCatalogUrlState();
+        syncFilterControls();
+        applyFilters({ page: AppState.currentPage, replaceUrl: true });
+    });
 };
 
 const initGlobalEventListeners = () => {
@@ -1186,12 +4401,24 @@ const initGlobalEventListeners = () => {
         });
     }
 
+    // Back/forward into or out of a car detail opened in the modal
+    window.addEventListener('popstate', (e) => {
+        if (e.state && e.state.carId) {
+            showCarDetail(e.state.carId, { fromHistory: true });
+        } else {
+            closeModal('car-detail-modal');
+        }
+    });
+
     // Keyboard navigation for gallery
     document.addEventListener('keydown', (e) => {
         const galleryModal = document.getElementById('gallery-modal');
         if (galleryModal && galleryModal.classList.contains('active')) {
             if (e.key === 'ArrowLeft') navigateGallery(-1);
             if (e.key === 'ArrowRight') navigateGallery(1);
+            if (e.key === '+' || e.key === '=') zoomGallery(galleryView.scale * 1.5);
+            if (e.key === '-') zoomGallery(galleryView.scale / 1.5);
+            if (e.key === 'f') toggleGalleryFullscreen();
         }
     });
 };
@@ -1272,13 +4499,11 @@ const initModalEventListeners = () => {
 const initHomePage = async () => {
     // Load all cars (both new and used) for home page
     try {
-        const response = await fetch('mock-data.json');
-        if (!response.ok) throw new Error('Failed to load data');
-        const data = await response.json();
+        await Inventory.load();
         
         // New Cars - Select premium new cars from different brands
         const newCarIds = [1, 2, 3, 4, 5, 6, 7, 8]; // 8 new cars
-        const newCars = data.cars.filter(car => newCarIds.includes(car.id));
+        const newCars = newCarIds.map(Inventory.getById).filter(Boolean);
         
         const newCarsGrid = document.getElementById('new-cars');
         if (newCarsGrid && newCars.length > 0) {
@@ -1287,7 +4512,7 @@ const initHomePage = async () => {
         
         // Used Cars - Select quality used cars with good prices
         const usedCarIds = [101, 102, 103, 104, 105, 106, 107, 108]; // 8 used cars
-        const usedCars = data.usedCars.filter(car => usedCarIds.includes(car.id));
+        const usedCars = usedCarIds.map(Inventory.getById).filter(Boolean);
         
         const usedCarsGrid = document.getElementById('used-cars');
         if (usedCarsGrid && usedCars.length > 0) {
@@ -1295,7 +4520,8 @@ const initHomePage = async () => {
         }
         
         // Store all cars in AppState for other functions
-        AppState.cars = [...data.cars, ...data.usedCars];
+        AppState.cars = Inventory.all();
+        refreshRecentlyViewed();
         
         // Update badges
         if (typeof updateBadges === 'function') {
@@ -1313,28 +4539,102 @@ const initHomePage = async () => {
 };
 
 const initCatalogPage = () => {
+    // Restore filters, sort and page from a shared link or a refresh
+    readCatalogUrlState();
+    pendingCatalogScroll = window.history.state && window.history.state.scrollY !== undefined
+        ? window.history.state.scrollY
+        : null;
     // Load new cars with filters
     loadCarData(false); // false = load new cars
     // Initialize event listeners
     initCatalogEventListeners();
 };
 
-const initUsedCarsPage = () => {
-    // Load used cars with filters
-    loadCarData(true); // true = load used cars
-    // Initialize event listeners
-    initCatalogEventListeners();
+const initUsedCarsPage = () => {
+    // Restore filters, sort and page from a shared link or a refresh
+    readCatalogUrlState();
+    pendingCatalogScroll = window.history.state && window.history.state.scrollY !== undefined
+        ? window.history.state.scrollY
+        : null;
+    // Load used cars with filters
+    loadCarData(true); // true = load used cars
+    // Initialize event listeners
+    initCatalogEventListeners();
+};
+
+const initCarPage = async () => {
+    const container = document.getElementById('car-page-content');
+    const carId = parseInt(new URLSearchParams(window.location.search).get('id'));
+    
+    try {
+        await Inventory.load();
+    } catch (error) {
+        console.error('Error loading car page:', error);
+        showToast('Không thể tải dữ liệu xe. Vui lòng thử lại sau.', 'error');
+        return;
+    }
+    
+    const car = Inventory.getById(carId);
+    
+    // Hidden cars stay reachable for staff previewing an edit
+    if (!car || (!Inventory.isListed(car) && !isStaff())) {
+        document.title = 'Không tìm thấy xe - AutoLux';
+        container.innerHTML = `
+            <div class="empty-state">
+                <h3>Không tìm thấy xe</h3>
+                <p>Xe này không tồn tại hoặc đã được gỡ khỏi danh sách</p>
+                <a href="catalog.html" class="btn btn-primary">Xem danh sách xe</a>
+            </div>
+        `;
+        return;
+    }
+    
+    document.title = `${car.name} - AutoLux`;
+    document.getElementById('car-page-breadcrumb').innerHTML = `
+        ${Inventory.isUsed(car.id) ? '<a href="used-cars.html">Xe cũ</a>' : '<a href="catalog.html">Xe mới</a>'}
+        / ${escapeHtml(car.name)}
+    `;
+    container.innerHTML = renderCarDetail(car);
+    recordRecentlyViewed(car.id);
+    updateBadges();
+};
+
+const initPrintPage = async () => {
+    const container = document.getElementById('print-sheet');
+    const carId = parseInt(new URLSearchParams(window.location.search).get('id'));
+    
+    try {
+        await Inventory.load();
+    } catch (error) {
+        console.error('Error loading print page:', error);
+        container.innerHTML = '<p>Không thể tải dữ liệu xe. Vui lòng thử lại sau.</p>';
+        return;
+    }
+    
+    const car = Inventory.getById(carId);
+    if (!car || (!Inventory.isListed(car) && !isStaff())) {
+        container.innerHTML = '<p>Không tìm thấy xe. <a href="catalog.html">Xem danh sách xe</a></p>';
+        return;
+    }
+    
+    document.title = `${car.name} - Thông tin xe - AutoLux`;
+    container.innerHTML = renderCarPrintSheet(car);
+    printWhenImagesReady(container);
 };
 
 const initComparePage = async () => {
     // Load all cars (both new and used) for comparison
     try {
-        const response = await fetch('mock-data.json');
-        if (!response.ok) throw new Error('Failed to load data');
-        const data = await response.json();
+        await Inventory.load();
         
         // Load both new and used cars
-        AppState.cars = [...data.cars, ...data.usedCars];
+        AppState.cars = Inventory.all();
+        
+        // A shared link decides what is compared; otherwise the stored list is
+        // refreshed so it shows current prices
+        const sharedIds = parseCompareIds();
+        AppState.compareList = getCompareCars(sharedIds || AppState.compareList.map(car => car.id));
+        storage.set('compareList', AppState.compareList);
         
         // Update badges
         if (typeof updateBadges === 'function') {
@@ -1362,12 +4662,25 @@ const initComparePage = async () => {
             showToast('Đã xóa tất cả xe khỏi danh sách so sánh', 'info');
         });
     }
+    
+    document.getElementById('share-compare').addEventListener('click', shareComparison);
+    document.getElementById('export-compare').addEventListener('click', exportComparisonCsv);
+    document.getElementById('print-compare').addEventListener('click', () => window.print());
+    document.getElementById('save-compare').addEventListener('click', saveComparison);
 };
 
 const initAccountPage = () => {
     const loginRequired = document.getElementById('login-required');
     const accountContent = document.getElementById('account-content');
     
+    // Guests who checked out come back here too, so the result is settled and shown
+    // whether or not anyone is signed in
+    const paymentReturn = handlePaymentReturn().catch(error => {
+        console.error('Error handling payment return:', error);
+        showToast('Không xử lý được kết quả thanh toán. Vui lòng tải lại trang.', 'error');
+        return null;
+    });
+    
     if (AppState.currentUser) {
         // Show account content
         loginRequired.classList.add('hidden');
@@ -1380,15 +4693,25 @@ const initAccountPage = () => {
         
         // Update stats
         document.getElementById('stat-favorites').textContent = AppState.favorites.length;
-        document.getElementById('stat-orders').textContent = (storage.get('orders') || []).length;
+        document.getElementById('stat-orders').textContent = getOrders().length;
         document.getElementById('stat-test-drives').textContent = (storage.get('testDrives') || []).length;
         document.getElementById('stat-compare').textContent = AppState.compareList.length;
         
         // Load favorites - load all cars (new and used)
-        loadCarData(false, true).then(() => {
+        Promise.all([Inventory.load(), paymentReturn]).then(([, paidOrderId]) => {
+            AppState.cars = Inventory.all();
             renderAccountFavorites();
             renderAccountOrders();
             renderAccountTestDrives();
+            renderAccountSavedSearches();
+            renderAccountSavedComparisons();
+            renderAccountRecentlyViewed();
+            
+            // Back from the payment gateway: show how the order stands now
+            if (paidOrderId) {
+                document.querySelector('.account-tab[data-tab="orders"]').click();
+                openOrderDetail(paidOrderId);
+            }
         }).catch(error => {
             console.error('Error loading car data for account page:', error);
         });
@@ -1402,6 +4725,10 @@ const initAccountPage = () => {
         // Show login required
         loginRequired.classList.remove('hidden');
         accountContent.classList.add('hidden');
+        
+        paymentReturn.then(paidOrderId => {
+            if (paidOrderId) openOrderDetail(paidOrderId);
+        });
     }
     
     // Account tabs
@@ -1471,14 +4798,14 @@ const renderAccountFavorites = () => {
     grid.style.display = 'grid';
     empty.style.display = 'none';
     
-    const favoriteCars = AppState.cars.filter(car => AppState.favorites.includes(car.id));
+    const favoriteCars = AppState.favorites.map(Inventory.getById).filter(Boolean);
     grid.innerHTML = favoriteCars.map(car => createCarCard(car)).join('');
 };
 
 const renderAccountOrders = () => {
     const list = document.getElementById('orders-list');
     const empty = document.getElementById('orders-empty');
-    const orders = storage.get('orders') || [];
+    const orders = getOrders();
     
     if (orders.length === 0) {
         list.style.display = 'none';
@@ -1489,18 +4816,20 @@ const renderAccountOrders = () => {
     list.style.display = 'block';
     empty.style.display = 'none';
     
-    list.innerHTML = orders.map(order => `
+    list.innerHTML = orders.slice().reverse().map(order => {
+        const status = ORDER_STATUS_LABELS[InventoryCore.getOrderStatus(order)];
+        return `
         <div class="order-card">
             <div class="order-header">
                 <span class="order-id">Đơn hàng #${order.id}</span>
-                <span class="order-status completed">Đã xác nhận</span>
+                <span class="order-status ${status.className}">${status.label}</span>
             </div>
             <div class="order-items">
                 ${order.items.map(item => `
                     <div class="order-item">
-                        <img src="${item.images[0]}" alt="${item.name}" class="order-item-image">
+                        ${renderCarImage(item, { className: 'order-item-image' })}
                         <div>
-                            <div>${item.name}</div>
+                            <div>${escapeHtml(item.name)}</div>
                             <div style="color: var(--text-secondary); font-size: var(--font-size-sm);">
                                 ${formatCurrency(item.price)}
                             </div>
@@ -1514,8 +4843,53 @@ const renderAccountOrders = () => {
                 </span>
                 <span class="order-total">${formatCurrency(order.total)}</span>
             </div>
+            <div class="order-footer" style="justify-content: flex-end; gap: var(--spacing-sm);">
+                ${InventoryCore.getOrderStatus(order) === 'pending' ? `<button class="btn btn-secondary" onclick="cancelMyOrder('${order.id}')">Hủy đơn</button>` : ''}
+                ${InventoryCore.canPayDeposit(order) ? `<button class="btn btn-secondary" onclick="openDepositModal('${order.id}')">Đặt cọc</button>` : ''}
+                <button class="btn btn-primary" onclick="openOrderDetail('${order.id}')">Chi tiết</button>
+            </div>
         </div>
-    `).join('');
+    `;
+    }).join('');
+};
+
+const renderAccountSavedSearches = () => {
+    const list = document.getElementById('saved-searches-list');
+    const empty = document.getElementById('saved-searches-empty');
+    const searches = getSavedSearches();
+    
+    if (searches.length === 0) {
+        list.style.display = 'none';
+        empty.style.display = 'flex';
+        return;
+    }
+    
+    list.style.display = 'block';
+    empty.style.display = 'none';
+    
+    list.innerHTML = searches.map(search => {
+        const chips = getActiveFilterChips(search.filters);
+        return `
+        <div class="order-card">
+            <div class="order-header">
+                <span class="order-id">${escapeHtml(search.name)}</span>
+                ${search.newIds.length ? `<span class="order-status pending">${search.newIds.length} xe mới</span>` : ''}
+            </div>
+            <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+                ${search.condition === 'used' ? 'Xe cũ' : 'Xe mới'} · ${chips.length ? escapeHtml(chips.map(chip => chip.label).join(' · ')) : 'Không có bộ lọc'}
+            </p>
+            <div class="order-footer">
+                <span style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+                    ${search.seenIds.length} xe phù hợp · Lưu ngày ${new Date(search.createdAt).toLocaleDateString('vi-VN')}
+                </span>
+                <div>
+                    <button class="btn btn-secondary" onclick="deleteSavedSearch(${search.id})">Xóa</button>
+                    <button class="btn btn-primary" onclick="openSavedSearch(${search.id})">Xem kết quả</button>
+                </div>
+            </div>
+        </div>
+    `;
+    }).join('');
 };
 
 const renderAccountTestDrives = () => {
@@ -1533,18 +4907,18 @@ const renderAccountTestDrives = () => {
     empty.style.display = 'none';
     
     list.innerHTML = testDrives.map(td => {
-        const car = AppState.cars.find(c => c.id === td.carId);
+        const car = Inventory.getById(td.carId);
         if (!car) return '';
         
         return `
             <div class="test-drive-card">
-                <img src="${car.images[0]}" alt="${car.name}" style="width: 120px; height: 80px; object-fit: cover; border-radius: var(--radius-md);">
+                ${renderCarImage(car, { style: 'width: 120px; height: 80px; object-fit: cover; border-radius: var(--radius-md);' })}
                 <div class="test-drive-info">
-                    <div class="test-drive-car">${car.name}</div>
+                    <div class="test-drive-car">${escapeHtml(car.name)}</div>
                     <div class="test-drive-details">
-                        <div>👤 ${td.name}</div>
-                        <div>📞 ${td.phone}</div>
-                        <div>📅 ${new Date(td.date).toLocaleDateString('vi-VN')} - ${td.time}</div>
+                        <div>👤 ${escapeHtml(td.name)}</div>
+                        <div>📞 ${escapeHtml(td.phone)}</div>
+                        <div>📅 ${new Date(td.date).toLocaleDateString('vi-VN')} - ${escapeHtml(td.time)}</div>
                     </div>
                 </div>
                 <div class="test-drive-actions">
@@ -1563,11 +4937,513 @@ const initContactPage = () => {
     // Contact form is already initialized via event listeners
 };
 
+// ============================================
+// ADMIN CONSOLE
+// ============================================
+
+let carEditor = { carId: null, images: [] };
+
+const ADMIN_STATUS_LABELS = {
+    available: { label: 'Đang bán', className: 'completed' },
+    reserved: { label: 'Đang giữ chỗ', className: 'pending' },
+    sold: { label: 'Đã bán', className: 'cancelled' },
+    hidden: { label: 'Đang ẩn', className: 'pending' }
+};
+
+const initAdminPage = async () => {
+    const denied = document.getElementById('admin-denied');
+    const content = document.getElementById('admin-content');
+
+    if (!isStaff()) {
+        denied.classList.remove('hidden');
+        content.classList.add('hidden');
+        return;
+    }
+
+    denied.classList.add('hidden');
+    content.classList.remove('hidden');
+
+    if (isApiMode()) {
+        const tokenInput = document.getElementById('admin-token');
+        document.getElementById('admin-token-bar').classList.remove('hidden');
+        tokenInput.value = sessionStorage.getItem(ADMIN_TOKEN_KEY) || '';
+        tokenInput.addEventListener('change', () => {
+            sessionStorage.setItem(ADMIN_TOKEN_KEY, tokenInput.value.trim());
+            renderAdminReviews();
+        });
+    }
+
+    try {
+        await Inventory.load();
+    } catch (error) {
+        console.error('Error loading inventory for admin page:', error);
+        showToast('Không thể tải dữ liệu xe. Vui lòng thử lại sau.', 'error');
+        return;
+    }
+
+    const brandOptions = document.getElementById('editor-brand-options');
+    brandOptions.innerHTML = [...Inventory.byBrand.keys()].sort()
+        .map(brand => `<option value="${escapeHtml(brand)}">`).join('');
+
+    renderAdminInventory();
+    renderAdminOrders();
+    renderAdminImageFailures();
+    renderAdminReviews();
+
+    document.getElementById('admin-search').addEventListener('input', debounce(renderAdminInventory, 300));
+    document.getElementById('admin-filter').addEventListener('change', renderAdminInventory);
+    document.getElementById('admin-new-car').addEventListener('click', () => openCarEditor());
+    document.getElementById('editor-add-image').addEventListener('click', addEditorImage);
+    document.getElementById('car-editor-form').addEventListener('submit', saveCarEditor);
+};
+
+const getAdminCars = () => {
+    const search = document.getElementById('admin-search').value.trim();
+    const filter = document.getElementById('admin-filter').value;
+
+    return Inventory.all({ includeHidden: true }).filter(car => {
+        if (filter === 'new' && Inventory.isUsed(car.id)) return false;
+        if (filter === 'used' && !Inventory.isUsed(car.id)) return false;
+        if (filter === 'hidden' && !car.hidden) return false;
+        if (filter === 'sold' && car.status !== 'sold') return false;
+
+        return !search ||
+            String(car.id) === search ||
+            InventoryCore.scoreCar(car, search) > 0;
+    });
+};
+
+const renderAdminInventory = () => {
+    const table = document.getElementById('admin-table');
+    const cars = getAdminCars();
+
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th class="compare-spec-header">Xe</th>
+                <th class="compare-spec-header">Loại</th>
+                <th class="compare-spec-header">Giá bán</th>
+                <th class="compare-spec-header">Nhãn</th>
+                <th class="compare-spec-header">Trạng thái</th>
+                <th class="compare-spec-header">Thao tác</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${cars.length === 0 ? `
+                <tr><td colspan="6" class="compare-spec-value">Không có xe phù hợp</td></tr>
+            ` : cars.map(car => {
+                const status = ADMIN_STATUS_LABELS[InventoryCore.getAvailability(car)];
+                return `
+                    <tr>
+                        <td class="compare-spec-value">
+                            <div style="display: flex; align-items: center; gap: var(--spacing-sm); text-align: left;">
+                                ${renderCarImage(car, { alt: '', style: 'width: 72px; height: 48px; object-fit: cover; border-radius: var(--radius-sm);' })}
+                                <div>
+                                    <div>#${car.id} ${escapeHtml(car.name)}</div>
+                                    <div style="color: var(--text-secondary); font-size: var(--font-size-sm);">${escapeHtml(car.brand)} · ${car.year}</div>
+                                </div>
+                            </div>
+                        </td>
+                        <td class="compare-spec-value">${Inventory.isUsed(car.id) ? 'Xe cũ' : 'Xe mới'}</td>
+                        <td class="compare-spec-value">${formatCurrency(car.price)}</td>
+                        <td class="compare-spec-value">${car.badge ? escapeHtml(car.badge) : '—'}</td>
+                        <td class="compare-spec-value">
+                            <span class="order-status ${status.className}">${status.label}</span>
+                            ${car.hidden ? `<span class="order-status ${ADMIN_STATUS_LABELS.hidden.className}">${ADMIN_STATUS_LABELS.hidden.label}</span>` : ''}
+                        </td>
+                        <td class="compare-spec-value">
+                            <button class="btn btn-secondary" onclick="openCarEditor(${car.id})">Sửa</button>
+                            <button class="btn btn-secondary" onclick="toggleCarHidden(${car.id})">${car.hidden ? 'Hiện' : 'Ẩn'}</button>
+                            <button class="btn btn-secondary" onclick="toggleCarSold(${car.id})">${car.status === 'sold' ? 'Mở bán lại' : 'Đã bán'}</button>
+                        </td>
+                    </tr>
+                `;
+            }).join('')}
+        </tbody>
+    `;
+};
+
+// Orders still in progress, oldest first, with the steps staff can take next
+const renderAdminOrders = () => {
+    const list = document.getElementById('admin-orders');
+    const open = getOrders().filter(order => InventoryCore.ORDER_TRANSITIONS[InventoryCore.getOrderStatus(order)].length > 0);
+
+    if (open.length === 0) {
+        list.innerHTML = '<p style="color: var(--text-secondary);">Không có đơn hàng đang xử lý</p>';
+        return;
+    }
+
+    list.innerHTML = open.map(order => {
+        const current = InventoryCore.getOrderStatus(order);
+        const status = ORDER_STATUS_LABELS[current];
+        const events = InventoryCore.getOrderEvents(order);
+        const last = events[events.length - 1];
+        return `
+        <div class="order-card">
+            <div class="order-header">
+                <span class="order-id">Đơn hàng #${order.id} · ${escapeHtml(order.customer.name)} · ${escapeHtml(order.customer.phone)}</span>
+                <span class="order-status ${status.className}">${status.label}</span>
+            </div>
+            <div class="order-items">
+                ${order.items.map(item => `
+                    <div class="order-item">
+                        ${renderCarImage(item, { className: 'order-item-image' })}
+                        <div>
+                            <div>#${item.id} ${escapeHtml(item.name)}</div>
+                            <div style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+                                ${formatCurrency(item.price)}
+                            </div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="order-footer">
+                <div>
+                    <span class="order-total">${formatCurrency(order.total)}</span>
+                    <div style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+                        ${status.label}${last.at ? ` từ ${new Date(last.at).toLocaleString('vi-VN')}` : ''}
+                    </div>
+                </div>
+                <div>
+                    ${InventoryCore.ORDER_TRANSITIONS[current].map(next => `
+                        <button class="btn ${next === 'cancelled' ? 'btn-secondary' : 'btn-primary'}" onclick="moveAdminOrder('${order.id}', '${next}')">${ORDER_ACTION_LABELS[next]}</button>
+                    `).join('')}
+                </div>
+            </div>
+        </div>
+    `;
+    }).join('');
+};
+
+// Image links that failed to load in this browser, newest first, with the cars that use them
+const renderAdminImageFailures = () => {
+    const list = document.getElementById('admin-image-failures');
+    if (!list) return;
+
+    const failures = getImageFailures();
+    const urls = Object.keys(failures).sort((a, b) => failures[b].lastFailed.localeCompare(failures[a].lastFailed));
+
+    if (urls.length === 0) {
+        list.innerHTML = '<p style="color: var(--text-secondary);">Không có ảnh lỗi</p>';
+        return;
+    }
+
+    list.innerHTML = urls.map(url => {
+        const failure = failures[url];
+        const cars = failure.carIds.map(Inventory.getById).filter(Boolean);
+        return `
+            <div class="order-card">
+                <div class="order-header">
+                    <span class="order-id" style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHtml(url)}</span>
+                    <span class="order-status cancelled">Lỗi ${failure.count} lần</span>
+                </div>
+                <p style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+                    Lần cuối ${new Date(failure.lastFailed).toLocaleString('vi-VN')}
+                </p>
+                <div class="order-footer">
+                    <div>
+                        ${cars.map(car => `
+                            <button class="btn btn-secondary" onclick="openCarEditor(${car.id})">Sửa #${car.id} ${escapeHtml(car.name)}</button>
+                        `).join('')}
+                    </div>
+                    <button class="btn btn-secondary" data-image-url="${escapeHtml(url)}" onclick="dismissImageFailure(this.dataset.imageUrl)">Bỏ qua</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+};
+
+// Forget a failure once the link is fixed or works again
+const dismissImageFailure = (url) => {
+    clearImageFailure(url);
+    renderAdminImageFailures();
+};
+
+// Without server.js reviews never leave the browser they were written in
+const STATIC_REVIEWS_NOTICE = `
+    <p style="color: var(--text-secondary); margin-bottom: var(--spacing-md);">
+        Chế độ tĩnh: đánh giá chỉ được lưu trên trình duyệt này, nên danh sách chỉ gồm các đánh giá viết tại đây.
+        Chạy server.js (chế độ API) để kiểm duyệt đánh giá của mọi khách hàng.
+    </p>
+`;
+
+// Every customer's reviews in API mode (needs the admin token), this browser's otherwise
+const getModerationQueue = () => (isApiMode()
+    ? fetchApi('admin/reviews', {}, adminHeaders())
+    : Promise.resolve(getReviews()));
+
+// Moderation queue: reported reviews first, most reports on top, then the rest
+// newest first; hidden reviews can be put back
+const renderAdminReviews = async () => {
+    const list = document.getElementById('admin-reviews');
+    if (!list) return;
+
+    let queue;
+    try {
+        queue = await getModerationQueue();
+    } catch (error) {
+        console.error('Error loading reviews for moderation:', error);
+        list.innerHTML = '<p style="color: var(--text-secondary);">Không tải được đánh giá. Kiểm tra mã quản trị ở trên.</p>';
+        return;
+    }
+
+    const notice = isApiMode() ? '' : STATIC_REVIEWS_NOTICE;
+    const reviews = InventoryCore.sortReviews(queue, 'newest')
+        .sort((a, b) => Number(a.hidden) - Number(b.hidden) || (b.reports || []).length - (a.reports || []).length);
+
+    if (reviews.length === 0) {
+        list.innerHTML = `${notice}<p style="color: var(--text-secondary);">Chưa có đánh giá nào</p>`;
+        return;
+    }
+
+    list.innerHTML = notice + reviews.map(review => {
+        const car = Inventory.getById(review.carId);
+        const reports = (review.reports || []).length;
+        return `
+            <div class="order-card" style="${review.hidden ? 'opacity: 0.6;' : ''}">
+                <div class="order-header">
+                    <span class="order-id">${'⭐'.repeat(review.rating)} · ${escapeHtml(review.userName)} · ${car ? `#${car.id} ${escapeHtml(car.name)}` : `#${review.carId}`}</span>
+                    ${review.hidden ? '<span class="order-status cancelled">Đã ẩn</span>' : ''}
+                    ${!review.hidden && reports ? `<span class="order-status pending">${reports} báo cáo</span>` : ''}
+                </div>
+                <p style="white-space: pre-line;">${escapeHtml(review.text)}</p>
+                <div class="order-footer">
+                    <span style="color: var(--text-secondary); font-size: var(--font-size-sm);">
+                        ${escapeHtml(review.userEmail)} · ${new Date(review.createdAt).toLocaleString('vi-VN')}
+                    </span>
+                    <div>
+                        ${review.hidden ? `
+                            <button class="btn btn-secondary" onclick="restoreReview('${review.id}')">Hiện lại</button>
+                        ` : `
+                            ${reports ? `<button class="btn btn-secondary" onclick="dismissReviewReports('${review.id}')">Giữ lại</button>` : ''}
+                            <button class="btn btn-primary" onclick="hideReview('${review.id}')">Ẩn đánh giá</button>
+                        `}
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+};
+
+// Resolves to false, after telling staff why, when the server refused
+const moderateReview = async (reviewId, action) => {
+    const by = AppState.currentUser.email;
+    if (isApiMode()) {
+        const { ok, status } = await sendApi('POST', `admin/reviews/${encodeURIComponent(reviewId)}`, { action, by }, adminHeaders());
+        if (!ok) {
+            showToast(status === 401 || status === 403 ? 'Cần mã quản trị hợp lệ để kiểm duyệt' : 'Không lưu được thay đổi. Vui lòng thử lại.', 'error');
+            return false;
+        }
+    } else {
+        updateReview(reviewId, review => InventoryCore.moderateReview(review, action, { by }));
+    }
+    renderAdminReviews();
+    return true;
+};
+
+const hideReview = async (reviewId) => {
+    if (await moderateReview(reviewId, 'hide')) showToast('Đã ẩn đánh giá', 'info');
+};
+
+const restoreReview = async (reviewId) => {
+    if (await moderateReview(reviewId, 'restore')) showToast('Đã hiện lại đánh giá', 'success');
+};
+
+// The review stays up and leaves the top of the queue
+const dismissReviewReports = (reviewId) => moderateReview(reviewId, 'dismiss');
+
+const moveAdminOrder = async (orderId, status) => {
+    if (status === 'cancelled' && !confirm(`Hủy đơn hàng #${orderId}? Xe sẽ được mở bán lại.`)) return;
+    if (!await updateOrderStatus(orderId, status, { by: 'staff' })) return;
+
+    showToast(`Đơn hàng #${orderId}: ${ORDER_STATUS_LABELS[status].label}`, status === 'cancelled' ? 'info' : 'success');
+    renderAdminOrders();
+    renderAdminInventory();
+};
+
+const toggleCarHidden = async (carId) => {
+    const car = Inventory.getById(carId);
+    if (!car) return;
+
+    const errors = await Inventory.update(carId, { hidden: !car.hidden });
+    if (errors.length) {
+        showToast(errors.join('; '), 'error');
+        return;
+    }
+    showToast(car.hidden ? 'Đã hiện xe trong danh sách' : 'Đã ẩn xe khỏi danh sách', 'success');
+    renderAdminInventory();
+};
+
+const toggleCarSold = async (carId) => {
+    const car = Inventory.getById(carId);
+    if (!car) return;
+
+    const errors = car.status === 'sold' ? await Inventory.release(carId) : await Inventory.markSold(carId);
+    if (errors.length) {
+        showToast(errors.join('; '), 'error');
+        return;
+    }
+    showToast(car.status === 'sold' ? 'Đã mở bán lại xe' : 'Đã đánh dấu xe đã bán', 'success');
+    renderAdminInventory();
+};
+
+const openCarEditor = (carId = null) => {
+    const car = carId ? Inventory.getById(carId) : null;
+    const form = document.getElementById('car-editor-form');
+    form.reset();
+
+    carEditor = { carId: car ? car.id : null, images: car ? [...car.images] : [] };
+
+    document.getElementById('car-editor-title').textContent = car ? `Sửa xe #${car.id}` : 'Thêm xe';
+
+    // The id range decides new/used, so it can't change once the car exists
+    const conditionSelect = document.getElementById('editor-condition');
+    conditionSelect.value = car && Inventory.isUsed(car.id) ? 'used' : 'new';
+    conditionSelect.disabled = !!car;
+
+    if (car) {
+        ['name', 'brand', 'model', 'year', 'price', 'km', 'fuel', 'transmission', 'seats', 'color', 'description']
+            .forEach(field => {
+                document.getElementById(`editor-${field}`).value = car[field];
+            });
+        document.getElementById('editor-rating').value = car.rating !== undefined ? car.rating : '';
+        document.getElementById('editor-badge').value = car.badge || '';
+        // A lapsed reservation shows as on sale again
+        document.getElementById('editor-status').value = InventoryCore.getAvailability(car);
+        document.getElementById('editor-hidden').checked = !!car.hidden;
+    } else {
+        document.getElementById('editor-transmission').value = 'Tự động';
+        document.getElementById('editor-year').value = new Date().getFullYear();
+        document.getElementById('editor-km').value = 0;
+    }
+
+    renderEditorImages();
+    openModal('car-editor-modal');
+};
+
+const renderEditorImages = () => {
+    const list = document.getElementById('editor-images');
+
+    if (carEditor.images.length === 0) {
+        list.innerHTML = '<p style="color: var(--text-secondary); font-size: var(--font-size-sm);">Chưa có ảnh nào</p>';
+        return;
+    }
+
+    list.innerHTML = carEditor.images.map((url, idx) => `
+        <div style="display: flex; align-items: center; gap: var(--spacing-sm); margin-bottom: var(--spacing-sm);">
+            <img src="${escapeHtml(url)}" alt="" style="width: 64px; height: 44px; object-fit: cover; border-radius: var(--radius-sm);">
+            <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-size: var(--font-size-sm);">${escapeHtml(url)}</span>
+            ${isKnownBrokenImage(url) ? '<span class="order-status cancelled" title="Ảnh này không tải được">Lỗi</span>' : ''}
+            <button type="button" class="btn btn-secondary" onclick="moveEditorImage(${idx}, -1)" ${idx === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+            <button type="button" class="btn btn-secondary" onclick="moveEditorImage(${idx}, 1)" ${idx === carEditor.images.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+            <button type="button" class="btn btn-secondary" onclick="removeEditorImage(${idx})" aria-label="Remove">&times;</button>
+        </div>
+    `).join('');
+};
+
+const addEditorImage = () => {
+    const input = document.getElementById('editor-image-url');
+    const url = input.value.trim();
+
+    if (!/^https?:\/\/\S+$/i.test(url)) {
+        showToast('URL ảnh không hợp lệ', 'error');
+        return;
+    }
+
+    carEditor.images.push(url);
+    input.value = '';
+    renderEditorImages();
+};
+
+const moveEditorImage = (idx, direction) => {
+    const target = idx + direction;
+    if (target < 0 || target >= carEditor.images.length) return;
+
+    [carEditor.images[idx], carEditor.images[target]] = [carEditor.images[target], carEditor.images[idx]];
+    renderEditorImages();
+};
+
+const removeEditorImage = (idx) => {
+    carEditor.images.splice(idx, 1);
+    renderEditorImages();
+};
+
+const saveCarEditor = async (e) => {
+    e.preventDefault();
+
+    const existing = carEditor.carId ? Inventory.getById(carEditor.carId) : null;
+    const id = existing ? existing.id : Inventory.nextId(document.getElementById('editor-condition').value);
+
+    if (!id) {
+        showToast('Đã hết mã xe trống cho loại xe này', 'error');
+        return;
+    }
+
+    const value = (field) => document.getElementById(`editor-${field}`).value.trim();
+    const rating = value('rating');
+    const badge = value('badge');
+
+    // Keep fields the form doesn't edit
+    const car = {
+        ...existing,
+        id,
+        name: value('name'),
+        brand: value('brand'),
+        model: value('model'),
+        year: parseInt(value('year')),
+        price: parseInt(value('price')),
+        km: parseInt(value('km')),
+        fuel: value('fuel'),
+        transmission: value('transmission'),
+        seats: parseInt(value('seats')),
+        color: value('color'),
+        rating: rating === '' ? undefined : parseFloat(rating),
+        badge: badge || undefined,
+        description: value('description'),
+        images: [...carEditor.images],
+        hidden: document.getElementById('editor-hidden').checked
+    };
+
+    // A new car starts out on sale; stock changes go through the same checks as checkout
+    const status = value('status');
+    let errors = await Inventory.save(existing ? car : { ...car, status: 'available' });
+    if (!errors.length && status !== (existing ? InventoryCore.getAvailability(existing) : 'available')) {
+        errors = await Inventory.setStock(id, status);
+    }
+    if (errors.length) {
+        showToast(`Không thể lưu: ${errors.join('; ')}`, 'error');
+        return;
+    }
+
+    // Links no car uses any more no longer need fixing
+    if (existing) {
+        const inUse = new Set(Inventory.all({ includeHidden: true }).flatMap(c => c.images));
+        existing.images.filter(url => !inUse.has(url)).forEach(clearImageFailure);
+    }
+
+    closeModal('car-editor-modal');
+    showToast(existing ? 'Đã cập nhật xe' : `Đã thêm xe #${id}`, 'success');
+    renderAdminInventory();
+    renderAdminImageFailures();
+};
+
 // ============================================
 // INITIALIZATION
 // ============================================
 
 const init = () => {
+    // The printed spec sheet has no header, modals or other page chrome
+    if (document.getElementById('print-sheet')) {
+        initPrintPage();
+        return;
+    }
+    
+    // So is the mock payment gateway, which stands in for the provider's own site
+    if (document.getElementById('payment-gateway')) {
+        initPaymentGateway();
+        return;
+    }
+    
     // Update auth button
     updateAuthButton();
     
@@ -1723,6 +5599,23 @@ const init = () => {
                     </form>
                 </div>
             </div>
+
+            <!-- Share Modal -->
+            <div class="modal" id="share-modal">
+                <div class="modal-content">
+                    <button class="modal-close" onclick="closeModal('share-modal')">&times;</button>
+                    <h3>Chia sẻ xe</h3>
+                    <div id="share-content"></div>
+                </div>
+            </div>
+
+            <!-- Deposit Modal -->
+            <div class="modal" id="deposit-modal">
+                <div class="modal-content">
+                    <button class="modal-close" onclick="closeModal('deposit-modal')">&times;</button>
+                    <div id="deposit-content"></div>
+                </div>
+            </div>
         `;
     }
     
@@ -1744,6 +5637,8 @@ const init = () => {
         initCatalogPage();
     } else if (page === 'used-cars.html') {
         initUsedCarsPage();
+    } else if (page === CAR_PAGE) {
+        initCarPage();
     } else if (page === 'compare.html') {
         initComparePage();
     } else if (page === 'calculator.html') {
@@ -1752,6 +5647,22 @@ const init = () => {
         initContactPage();
     } else if (page === 'account.html') {
         initAccountPage();
+    } else if (page === 'admin.html') {
+        initAdminPage();
+    }
+    
+    // Tell the user about favorites that got cheaper since the last visit
+    if (AppState.favorites.length > 0) {
+        Inventory.load().then(checkFavoritePriceDrops).catch(error => {
+            console.error('Error checking favorite prices:', error);
+        });
+    }
+    
+    // Look for new cars matching the user's saved searches
+    if (AppState.currentUser) {
+        Inventory.load().then(checkSavedSearches).catch(error => {
+            console.error('Error checking saved searches:', error);
+        });
     }
     
     console.log('AutoLux initialized successfully!');
@@ -1779,9 +5690,41 @@ window.openModal = openModal;
 window.closeModal = closeModal;
 window.openGallery = openGallery;
 window.navigateGallery = navigateGallery;
+window.showGalleryImage = showGalleryImage;
 window.changeDetailImage = changeDetailImage;
+window.handleCarImageLoad = handleCarImageLoad;
+window.handleCarImageError = handleCarImageError;
 window.updateCarDetailFavorite = updateCarDetailFavorite;
 window.openTestDriveModal = openTestDriveModal;
+window.shareCar = shareCar;
+window.clearRecentlyViewed = clearRecentlyViewed;
+window.setReviewSort = setReviewSort;
+window.submitReview = submitReview;
+window.reportReview = reportReview;
+window.hideReview = hideReview;
+window.setCompareDifferencesOnly = setCompareDifferencesOnly;
+window.setCompareWeight = setCompareWeight;
+window.deleteSavedComparison = deleteSavedComparison;
+window.updateTcoSettings = updateTcoSettings;
+window.restoreReview = restoreReview;
+window.dismissReviewReports = dismissReviewReports;
+window.openShareModal = openShareModal;
+window.copyShareText = copyShareText;
+window.openCarEditor = openCarEditor;
+window.toggleCarHidden = toggleCarHidden;
+window.exitFavoritesMode = exitFavoritesMode;
+window.openSavedSearch = openSavedSearch;
+window.deleteSavedSearch = deleteSavedSearch;
+window.toggleCarSold = toggleCarSold;
+window.moveAdminOrder = moveAdminOrder;
+window.openOrderDetail = openOrderDetail;
+window.cancelMyOrder = cancelMyOrder;
+window.openDepositModal = openDepositModal;
+window.startDepositPayment = startDepositPayment;
+window.completeMockPayment = completeMockPayment;
+window.moveEditorImage = moveEditorImage;
+window.removeEditorImage = removeEditorImage;
+window.dismissImageFailure = dismissImageFailure;
 
 // ============================================
 // FAVORITES POPUP FUNCTIONS
@@ -1850,6 +5793,9 @@ const createFavoritesModal = () => {
                         <button class="favorites-modal-btn danger" onclick="clearAllFavoritesPopup()">
                             🗑️ Xóa tất cả
                         </button>
+                        <a class="favorites-modal-btn" href="catalog.html?favorites=true">
+                            📋 Xem dạng danh sách
+                        </a>
                         <button class="favorites-modal-btn primary" onclick="closeFavoritesPopup()">
                             ✅ Hoàn tất
                         </button>
@@ -1879,7 +5825,7 @@ const renderFavoritesPopup = () => {
     if (!grid) return;
     
     // Get favorite cars
-    const favoriteCars = AppState.cars.filter(car => AppState.favorites.includes(car.id));
+    const favoriteCars = AppState.favorites.map(Inventory.getById).filter(Boolean);
     
     // Update stats
     if (totalFavoritesEl) {
@@ -1918,22 +5864,37 @@ const renderFavoritesPopup = () => {
     grid.innerHTML = favoriteCars.map(car => createFavoritePopupCard(car)).join('');
 };
 
+// Green for a drop, red for a rise since the car was added to favorites
+const renderFavoritePriceChange = (car) => {
+    const change = getFavoritePriceChange(car);
+    if (!change) return '';
+    
+    const isDrop = change.amount < 0;
+    return `
+        <div class="favorite-popup-card-change" style="font-size: var(--font-size-sm); font-weight: 600; color: ${isDrop ? 'var(--success-color)' : 'var(--danger-color)'};">
+            ${isDrop ? '▼' : '▲'} ${formatCurrency(Math.abs(change.amount))} (${isDrop ? '' : '+'}${change.percent.toFixed(1)}%)
+            <span style="font-weight: 400; color: var(--text-secondary);">từ ngày thích ${new Date(change.since).toLocaleDateString('vi-VN')}</span>
+        </div>
+    `;
+};
+
 const createFavoritePopupCard = (car) => {
     return `
         <div class="favorite-popup-card">
             <div class="favorite-popup-card-image">
-                <img src="${car.images[0]}" alt="${car.name}" loading="lazy">
-                ${car.badge ? `<span class="favorite-popup-badge">${car.badge}</span>` : ''}
+                ${renderCarImage(car, { attrs: 'loading="lazy"' })}
+                ${car.badge ? `<span class="favorite-popup-badge">${escapeHtml(car.badge)}</span>` : ''}
                 <button class="favorite-remove-btn" onclick="removeFavoriteFromPopup(${car.id})" title="Xóa khỏi yêu thích">×</button>
             </div>
             <div class="favorite-popup-card-content">
-                <h3 class="favorite-popup-card-title">${car.name}</h3>
+                <h3 class="favorite-popup-card-title">${escapeHtml(car.name)}</h3>
                 <div class="favorite-popup-card-meta">
                     <span>📅 ${car.year}</span>
                     <span>🛣️ ${formatNumber(car.km)} km</span>
-                    <span>⚙️ ${car.transmission}</span>
+                    <span>⚙️ ${escapeHtml(car.transmission)}</span>
                 </div>
                 <div class="favorite-popup-card-price">${formatCurrency(car.price)}</div>
+                ${renderFavoritePriceChange(car)}
                 <div class="favorite-popup-card-actions">
                     <button class="favorite-popup-btn" onclick="showCarDetailFromPopup(${car.id})">
                         👁️ Chi tiết
@@ -1971,6 +5932,7 @@ const clearAllFavoritesPopup = () => {
     if (confirm('Bạn có chắc muốn xóa tất cả xe yêu thích?')) {
         AppState.favorites = [];
         storage.set('favorites', AppState.favorites);
+        storage.remove(FAVORITE_PRICES_KEY);
         updateBadges();
         renderFavoritesPopup();
         showToast('Đã xóa tất cả xe yêu thích', 'success');
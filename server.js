@@ -0,0 +1,778 @@
+/**
+ * AutoLux - Local inventory API
+ * Dependency-free Node server: serves the static pages and a small REST API
+ * with the same contract the dealer backend will implement.
+ *
+ *   GET /api/inventory          -> { version, cars, usedCars }
+ *   GET /api/cars?search=&brand=a,b&fuel=&transmission=&color=&seats=&price=min-max&year=min-max&km=min-max
+ *                 &showSold=&ids=&sortBy=&page=&pageSize=&type=new|used
+ *                               -> { items, total, page, pageSize, totalPages }
+ *   GET /api/cars/:id           -> car
+ *   PUT /api/cars/:id           <- car (If-None-Match: * to only create) -> car, saved to the data file
+ *                                  (staff only: Authorization: Bearer <ADMIN_TOKEN>)
+ *   POST /api/cars/:id/status   <- { status, orderId, hours? } -> car, or 409 when another order holds it
+ *   POST /api/admin/cars/:id/status <- { status, orderId?, hours? } -> car (staff only)
+ *   GET /api/reviews?viewer=    -> visible reviews, without emails or reports
+ *   POST /api/reviews           <- { carId, userEmail, userName, rating, text } -> review, or 409 when already reviewed
+ *   POST /api/reviews/:id/report <- { userEmail } -> review
+ *   GET /api/admin/reviews      -> every review with its reports (staff only)
+ *   POST /api/admin/reviews/:id <- { action: hide|restore|dismiss, by } -> review (staff only)
+ *   POST /api/payments          <- { orderId, amount, provider, orderInfo, returnUrl } -> signed gateway request
+ *   POST /api/payments/:txnRef/complete <- { responseCode } -> { returnUrl, result } (the mock gateway's answer, signed)
+ *   POST /api/payments/verify   <- signed request or result -> { valid }
+ *
+ * Writes are only accepted from the origin the pages are served from.
+ *
+ * Usage: ADMIN_TOKEN=... node server.js  (PORT defaults to 8000, DATA_FILE to ./mock-data.json,
+ *        REVIEWS_FILE to ./reviews.json, PAYMENTS_FILE to ./payments.json)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const InventoryCore = require('./inventory-core');
+
+const PORT = Number(process.env.PORT) || 8000;
+const ROOT = __dirname;
+const DATA_FILE = process.env.DATA_FILE || path.join(ROOT, 'mock-data.json');
+const REVIEWS_FILE = process.env.REVIEWS_FILE || path.join(ROOT, 'reviews.json');
+const PAYMENTS_FILE = process.env.PAYMENTS_FILE || path.join(ROOT, 'payments.json');
+// Signs what the mock gateway sends and returns. It never leaves the server; without one
+// set, each run makes up its own, which only strands payments open across a restart.
+const PAYMENT_SECRET = process.env.PAYMENT_SECRET || crypto.randomBytes(32).toString('hex');
+// Staff writes need `Authorization: Bearer <ADMIN_TOKEN>`; without one set, the server takes none
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// ============================================
+// DATA
+// ============================================
+
+// Written to a temp file and renamed over the old one, so readers never see half a file
+const writeJsonFile = (file, data) => {
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, file);
+};
+
+// Re-read mock-data.json whenever it changes on disk (e.g. after an import)
+let dataCache = { mtimeMs: 0, data: null };
+
+const loadInventory = () => {
+    const { mtimeMs } = fs.statSync(DATA_FILE);
+    if (!dataCache.data || mtimeMs !== dataCache.mtimeMs) {
+        const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        const { valid, rejected } = InventoryCore.validateInventory(data);
+        rejected.forEach(record => {
+            console.warn(`Skipping invalid car #${record.id}: ${record.errors.join('; ')}`);
+        });
+        dataCache = {
+            mtimeMs,
+            data: {
+                version: data.version || new Date(mtimeMs).toISOString(),
+                cars: valid.cars,
+                usedCars: valid.usedCars
+            }
+        };
+    }
+    return dataCache.data;
+};
+
+// Admin writes go to the data file itself, so the API, imports and every browser
+// see them. `update` changes the raw file contents, or returns { error } to leave them.
+const updateInventory = (update) => {
+    const raw = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    const result = update(raw);
+    if (result.error) return result;
+
+    // Every write gets a new, later version, so pages revalidating by ETag pick it up
+    const { version: previousVersion, ...rest } = raw;
+    const last = Date.parse(previousVersion);
+    const version = new Date(Math.max(Date.now(), isNaN(last) ? 0 : last + 1)).toISOString();
+    writeJsonFile(DATA_FILE, { version, ...rest });
+    dataCache = { mtimeMs: 0, data: null };
+    return result;
+};
+
+const getListKey = (id) => (id >= InventoryCore.ID_RANGES.used.min ? 'usedCars' : 'cars');
+
+const selectCars = (data, type) => {
+    if (type === 'new') return data.cars;
+    if (type === 'used') return data.usedCars;
+    return [...data.cars, ...data.usedCars];
+};
+
+// Reviews and payments are plain lists in their own files; no file yet means an empty list
+const loadList = (file) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+};
+
+// Like updateInventory: `update` changes the list, or returns { error } to leave it
+const updateList = (file, update) => {
+    const list = loadList(file);
+    const result = update(list);
+    if (!result.error) writeJsonFile(file, list);
+    return result;
+};
+
+// Every shopper's reviews and reports go to one file, so staff moderate them in one queue
+const loadReviews = () => loadList(REVIEWS_FILE);
+const updateReviews = (update) => updateList(REVIEWS_FILE, update);
+
+// ============================================
+// RESPONSES
+// ============================================
+
+// Anyone may read the inventory; writes are only answered to the origin the pages come from
+const getOrigin = (req) => `http://${req.headers.host}`;
+const isReadMethod = (method) => method === 'GET' || method === 'HEAD';
+
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+        'Content-Type': MIME_TYPES['.json'],
+        'Access-Control-Allow-Origin': isReadMethod(res.req.method) ? '*' : getOrigin(res.req),
+        'Cache-Control': 'no-cache',
+        ...headers
+    });
+    res.end(JSON.stringify(body));
+};
+
+const sendError = (res, status, message, details = {}) => sendJson(res, status, { error: message, ...details });
+
+const sendText = (res, status, message) => {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+};
+
+// ============================================
+// ACCESS
+// ============================================
+
+const hasAdminToken = (req) => {
+    const given = Buffer.from(req.headers.authorization || '');
+    const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Answers 403/401 and returns false unless the request carries the admin token. The staff
+// check in the admin console is only a convenience; this is the one that counts.
+const requireAdmin = (req, res) => {
+    if (!ADMIN_TOKEN) {
+        sendError(res, 403, 'Staff writes are disabled: start the server with ADMIN_TOKEN set');
+        return false;
+    }
+    if (!hasAdminToken(req)) {
+        sendError(res, 401, 'Admin token required');
+        return false;
+    }
+    return true;
+};
+
+// ============================================
+// API ROUTES
+// ============================================
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Resolves to the parsed JSON body, or undefined when it is missing, too large or not JSON
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            resolve(undefined);
+            req.destroy();
+        }
+    });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(body));
+        } catch (error) {
+            resolve(undefined);
+        }
+    });
+    req.on('error', reject);
+});
+
+const STOCK_FIELDS = ['status', 'reservedBy', 'reservedUntil'];
+
+// Stock only moves through the status route, so an edit never undoes a sale or a hold
+const keepStock = (car, stored) => {
+    const kept = { ...car };
+    STOCK_FIELDS.forEach(field => {
+        if (stored[field] === undefined) {
+            delete kept[field];
+        } else {
+            kept[field] = stored[field];
+        }
+    });
+    return kept;
+};
+
+// Creates or replaces a car. The price history is the server's: a changed price is
+// added to the stored history, whatever history the client sent.
+const saveCar = async (req, res, id) => {
+    if (!requireAdmin(req, res)) return;
+
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object' || body.id !== id) {
+        sendError(res, 400, `Body must be the car with id ${id}`);
+        return;
+    }
+
+    const result = updateInventory(raw => {
+        const key = getListKey(id);
+        const list = raw[key] || [];
+        const index = list.findIndex(car => car.id === id);
+        if (index > -1 && req.headers['if-none-match'] === '*') {
+            return { status: 412, error: `Car ${id} already exists` };
+        }
+
+        const stored = index > -1 ? list[index] : null;
+        const since = isNaN(Date.parse(raw.version)) ? undefined : raw.version;
+        const { priceHistory, ...fields } = body;
+        const car = InventoryCore.trackPrice(stored ? keepStock(fields, stored) : fields, stored, undefined, since);
+        const { rejected } = InventoryCore.validateInventory({ [key]: [car] });
+        if (rejected.length) {
+            return { status: 422, error: 'Invalid car', errors: rejected[0].errors };
+        }
+
+        raw[key] = index > -1 ? list.map(c => (c.id === id ? car : c)) : [...list, car];
+        return { status: index > -1 ? 200 : 201, car };
+    });
+
+    if (result.error) {
+        sendError(res, result.status, result.error, result.errors ? { errors: result.errors } : {});
+    } else {
+        sendJson(res, result.status, result.car);
+    }
+};
+
+const RESERVATION_HOURS = 48;
+const MAX_RESERVATION_HOURS = 7 * 24;
+
+// Reserves, sells or releases a car for an order. Every shopper's checkout goes through
+// here, so a car held or sold for one order answers 409 to everyone else. Staff overrides
+// (no orderId, releasing any car) take the admin token.
+const setStock = async (req, res, id, { staff = false } = {}) => {
+    if (staff && !requireAdmin(req, res)) return;
+
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object' || !InventoryCore.STOCK_STATUSES.includes(body.status)) {
+        sendError(res, 400, `status must be one of ${InventoryCore.STOCK_STATUSES.join(', ')}`);
+        return;
+    }
+    // Required of shoppers; staff may leave it out
+    const validOrderId = (typeof body.orderId === 'string' && body.orderId.trim() !== '') || typeof body.orderId === 'number';
+    if ((body.orderId !== undefined || !staff) && !validOrderId) {
+        sendError(res, 400, 'orderId must be a non-empty string or a number');
+        return;
+    }
+    const hours = body.hours === undefined ? RESERVATION_HOURS : Number(body.hours);
+    if (!(hours > 0 && hours <= MAX_RESERVATION_HOURS)) {
+        sendError(res, 400, `hours must be between 0 and ${MAX_RESERVATION_HOURS}`);
+        return;
+    }
+
+    const result = updateInventory(raw => {
+        const key = getListKey(id);
+        const list = raw[key] || [];
+        const stored = list.find(car => car.id === id);
+        if (!stored) return { status: 404, error: 'Car not found' };
+
+        const now = Date.now();
+        const change = InventoryCore.changeStock(stored, {
+            status: body.status,
+            orderId: body.orderId,
+            staff,
+            until: new Date(now + hours * 60 * 60 * 1000).toISOString(),
+            now
+        });
+        if (change.error) return { status: 409, error: change.error };
+
+        raw[key] = list.map(c => (c.id === id ? change.car : c));
+        return { status: 200, car: change.car };
+    });
+
+    if (result.error) {
+        sendError(res, result.status, result.error);
+    } else {
+        sendJson(res, result.status, result.car);
+    }
+};
+
+const REVIEW_MAX_LENGTH = 1000;
+
+const isEmail = (value) => typeof value === 'string' && /^[^\s@]+@[^\s@]+$/.test(value);
+
+// Shoppers never see each other's emails or reports, only whether a review is their own
+// and whether they reported it
+const toPublicReview = (review, viewer) => {
+    const { userEmail, reports = [], moderatedBy, moderatedAt, ...fields } = review;
+    return { ...fields, mine: !!viewer && userEmail === viewer, reported: !!viewer && reports.includes(viewer) };
+};
+
+// The visible reviews, plus the viewer's own hidden ones so they are not offered the form again
+const listReviews = (req, res, url) => {
+    const viewer = url.searchParams.get('viewer');
+    const reviews = loadReviews().filter(review => !review.hidden || (viewer && review.userEmail === viewer));
+    sendJson(res, 200, reviews.map(review => toPublicReview(review, viewer)));
+};
+
+// One review per customer and model. Whether the customer ordered or test-drove the model
+// is checked by the page: orders and test drives are still kept in the browser.
+const createReview = async (req, res) => {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object') {
+        sendError(res, 400, 'Body must be a review');
+        return;
+    }
+
+    const car = selectCars(loadInventory()).find(c => c.id === body.carId);
+    const text = typeof body.text === 'string' ? body.text.trim() : '';
+    const errors = [];
+    if (!car) errors.push('carId must be a car in the inventory');
+    if (!isEmail(body.userEmail)) errors.push('userEmail must be an email address');
+    if (typeof body.userName !== 'string' || !body.userName.trim()) errors.push('userName is required');
+    if (!Number.isInteger(body.rating) || body.rating < 1 || body.rating > 5) errors.push('rating must be an integer from 1 to 5');
+    if (!text) errors.push('text is required');
+    if (errors.length) {
+        sendError(res, 422, 'Invalid review', { errors });
+        return;
+    }
+
+    const model = InventoryCore.getModelKey(car);
+    const result = updateReviews(reviews => {
+        if (reviews.some(review => review.model === model && review.userEmail === body.userEmail)) {
+            return { status: 409, error: 'This customer already reviewed the model' };
+        }
+        const now = new Date();
+        const review = {
+            id: InventoryCore.createReviewId(now, reviews.map(r => String(r.id))),
+            carId: car.id,
+            model,
+            userEmail: body.userEmail,
+            userName: body.userName.trim(),
+            rating: body.rating,
+            text: text.slice(0, REVIEW_MAX_LENGTH),
+            createdAt: now.toISOString(),
+            reports: [],
+            hidden: false
+        };
+        reviews.push(review);
+        return { status: 201, review };
+    });
+
+    if (result.error) {
+        sendError(res, result.status, result.error);
+    } else {
+        sendJson(res, result.status, toPublicReview(result.review, body.userEmail));
+    }
+};
+
+// Older reviews have numeric ids; ids in paths are always strings
+const findReviewIndex = (reviews, id) => reviews.findIndex(review => String(review.id) === id);
+
+const reportReview = async (req, res, id) => {
+    const body = await readJsonBody(req);
+    if (!body || !isEmail(body.userEmail)) {
+        sendError(res, 400, 'userEmail must be an email address');
+        return;
+    }
+
+    const result = updateReviews(reviews => {
+        const index = findReviewIndex(reviews, id);
+        if (index === -1) return { status: 404, error: 'Review not found' };
+        if (reviews[index].userEmail === body.userEmail) return { status: 400, error: 'Customers cannot report their own review' };
+
+        reviews[index] = InventoryCore.addReviewReport(reviews[index], body.userEmail);
+        return { status: 200, review: reviews[index] };
+    });
+
+    if (result.error) {
+        sendError(res, result.status, result.error);
+    } else {
+        sendJson(res, result.status, toPublicReview(result.review, body.userEmail));
+    }
+};
+
+const moderateReview = async (req, res, id) => {
+    if (!requireAdmin(req, res)) return;
+
+    const body = await readJsonBody(req);
+    if (!body || !InventoryCore.REVIEW_ACTIONS.includes(body.action)) {
+        sendError(res, 400, `action must be one of ${InventoryCore.REVIEW_ACTIONS.join(', ')}`);
+        return;
+    }
+
+    const result = updateReviews(reviews => {
+        const index = findReviewIndex(reviews, id);
+        if (index === -1) return { status: 404, error: 'Review not found' };
+
+        const by = typeof body.by === 'string' && body.by ? body.by : 'staff';
+        reviews[index] = InventoryCore.moderateReview(reviews[index], body.action, { by });
+        return { status: 200, review: reviews[index] };
+    });
+
+    if (result.error) {
+        sendError(res, result.status, result.error);
+    } else {
+        sendJson(res, result.status, result.review);
+    }
+};
+
+// The keys of PAYMENT_PROVIDERS in scripts.js
+const PAYMENT_PROVIDERS = ['vnpay', 'momo'];
+
+// Every parameter except the signature itself, sorted by name, as the gateways sign them
+const signPaymentParams = (params) => crypto.createHmac('sha256', PAYMENT_SECRET)
+    .update(Object.keys(params)
+        .filter(key => key !== 'signature')
+        .sort()
+        .map(key => `${key}=${encodeURIComponent(params[key])}`)
+        .join('&'))
+    .digest('hex');
+
+const hasPaymentSignature = (params) => {
+    const given = Buffer.from(typeof params.signature === 'string' ? params.signature : '');
+    const expected = Buffer.from(signPaymentParams(params));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Opens a payment and signs the request the shop redirects to the gateway with. The order
+// itself stays in the customer's browser; the server only vouches for what it signed.
+const createPayment = async (req, res) => {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object') {
+        sendError(res, 400, 'Body must be a payment');
+        return;
+    }
+
+    let returnUrl = null;
+    try {
+        returnUrl = new URL(body.returnUrl);
+    } catch (error) {
+        // reported below
+    }
+    const errors = [];
+    // It starts the transaction reference, which goes in URLs
+    if (typeof body.orderId !== 'string' || !/^[\w-]+$/.test(body.orderId)) errors.push('orderId must be letters, digits, _ or -');
+    if (!Number.isInteger(body.amount) || body.amount <= 0) errors.push('amount must be a positive integer');
+    if (!PAYMENT_PROVIDERS.includes(body.provider)) errors.push(`provider must be one of ${PAYMENT_PROVIDERS.join(', ')}`);
+    // The gateway only ever sends customers back to this site
+    if (!returnUrl || returnUrl.origin !== getOrigin(req)) errors.push('returnUrl must be a page on this site');
+    if (errors.length) {
+        sendError(res, 422, 'Invalid payment', { errors });
+        return;
+    }
+
+    const result = updateList(PAYMENTS_FILE, payments => {
+        const stamp = Date.now();
+        let n = 0;
+        let txnRef;
+        do {
+            txnRef = `${body.orderId}-${(stamp + n++).toString(36).toUpperCase()}`;
+        } while (payments.some(p => p.txnRef === txnRef));
+        const request = {
+            txnRef,
+            orderId: body.orderId,
+            amount: String(body.amount),
+            provider: body.provider,
+            orderInfo: typeof body.orderInfo === 'string' ? body.orderInfo : '',
+            returnUrl: returnUrl.href,
+            createdAt: new Date(stamp).toISOString()
+        };
+        request.signature = signPaymentParams(request);
+        payments.push({ txnRef, request, result: null });
+        return { request };
+    });
+    sendJson(res, 201, result.request);
+};
+
+// Stands in for the customer paying, failing or cancelling on the provider's page. The
+// first answer is final: asking again returns it unchanged, like a repeated callback.
+const completePayment = async (req, res, txnRef) => {
+    const body = await readJsonBody(req);
+    if (!body || !InventoryCore.PAYMENT_RESPONSE_CODES[body.responseCode]) {
+        sendError(res, 400, `responseCode must be one of ${Object.keys(InventoryCore.PAYMENT_RESPONSE_CODES).join(', ')}`);
+        return;
+    }
+
+    const result = updateList(PAYMENTS_FILE, payments => {
+        const payment = payments.find(p => p.txnRef === txnRef);
+        if (!payment) return { status: 404, error: 'Payment not found' };
+        if (!payment.result) {
+            const { orderId, amount, provider } = payment.request;
+            payment.result = {
+                txnRef,
+                orderId,
+                amount,
+                provider,
+                responseCode: body.responseCode,
+                transactionNo: body.responseCode === '00' ? String(Date.now()).slice(-8) : '',
+                payDate: new Date().toISOString()
+            };
+            payment.result.signature = signPaymentParams(payment.result);
+        }
+        return { status: 200, returnUrl: payment.request.returnUrl, result: payment.result };
+    });
+
+    if (result.error) {
+        sendError(res, result.status, result.error);
+    } else {
+        sendJson(res, result.status, { returnUrl: result.returnUrl, result: result.result });
+    }
+};
+
+// A request or result is valid when it carries the server's signature and is exactly
+// what the server signed for that transaction
+const verifyPayment = async (req, res) => {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object') {
+        sendError(res, 400, 'Body must be the signed payment parameters');
+        return;
+    }
+
+    const payment = loadList(PAYMENTS_FILE).find(p => p.txnRef === body.txnRef);
+    const signed = payment && (body.responseCode === undefined ? payment.request : payment.result);
+    const valid = !!signed && hasPaymentSignature(body)
+        && Object.keys(signed).length === Object.keys(body).length
+        && Object.keys(signed).every(key => signed[key] === body[key]);
+    sendJson(res, 200, { valid });
+};
+
+const handleApi = async (req, res, url) => {
+    const carPath = url.pathname.match(/^\/api\/cars\/(\d+)$/);
+    const statusPath = url.pathname.match(/^\/api\/(admin\/)?cars\/(\d+)\/status$/);
+    const reportPath = url.pathname.match(/^\/api\/reviews\/([\w-]+)\/report$/);
+    const moderationPath = url.pathname.match(/^\/api\/admin\/reviews\/([\w-]+)$/);
+    const completePath = url.pathname.match(/^\/api\/payments\/([\w-]+)\/complete$/);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': getOrigin(req),
+            'Access-Control-Allow-Methods': 'GET, PUT, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, If-None-Match, Authorization'
+        });
+        res.end();
+        return;
+    }
+
+    // Simple cross-site POSTs skip the preflight, so refuse them here as well
+    if (!isReadMethod(req.method) && req.headers.origin && req.headers.origin !== getOrigin(req)) {
+        sendError(res, 403, 'Cross-origin writes are not allowed');
+        return;
+    }
+
+    if (req.method === 'PUT' && carPath) {
+        await saveCar(req, res, Number(carPath[1]));
+        return;
+    }
+
+    if (req.method === 'POST' && statusPath) {
+        await setStock(req, res, Number(statusPath[2]), { staff: !!statusPath[1] });
+        return;
+    }
+
+    if (url.pathname === '/api/reviews' && req.method === 'GET') {
+        listReviews(req, res, url);
+        return;
+    }
+
+    if (url.pathname === '/api/reviews' && req.method === 'POST') {
+        await createReview(req, res);
+        return;
+    }
+
+    if (req.method === 'POST' && reportPath) {
+        await reportReview(req, res, reportPath[1]);
+        return;
+    }
+
+    if (url.pathname === '/api/admin/reviews' && req.method === 'GET') {
+        if (requireAdmin(req, res)) sendJson(res, 200, loadReviews());
+        return;
+    }
+
+    if (req.method === 'POST' && moderationPath) {
+        await moderateReview(req, res, moderationPath[1]);
+        return;
+    }
+
+    if (url.pathname === '/api/payments' && req.method === 'POST') {
+        await createPayment(req, res);
+        return;
+    }
+
+    if (url.pathname === '/api/payments/verify' && req.method === 'POST') {
+        await verifyPayment(req, res);
+        return;
+    }
+
+    if (req.method === 'POST' && completePath) {
+        await completePayment(req, res, completePath[1]);
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        sendError(res, 405, 'Method not allowed');
+        return;
+    }
+
+    const data = loadInventory();
+    const params = Object.fromEntries(url.searchParams);
+
+    // The version stamp doubles as the ETag so pages can revalidate their cached copy cheaply
+    if (url.pathname === '/api/inventory') {
+        const etag = `"${data.version}"`;
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag, 'Access-Control-Allow-Origin': '*' });
+            res.end();
+            return;
+        }
+        sendJson(res, 200, data, { ETag: etag });
+        return;
+    }
+
+    if (url.pathname === '/api/cars') {
+        if (params.type && !['new', 'used', 'all'].includes(params.type)) {
+            sendError(res, 400, 'type must be one of new, used, all');
+            return;
+        }
+        // Hidden cars still resolve by id (orders, favorites) but are never listed
+        const listed = selectCars(data, params.type).filter(car => !car.hidden);
+        sendJson(res, 200, InventoryCore.queryCars(listed, params));
+        return;
+    }
+
+    if (carPath) {
+        const car = selectCars(data).find(c => c.id === Number(carPath[1]));
+        if (car) {
+            sendJson(res, 200, car);
+        } else {
+            sendError(res, 404, 'Car not found');
+        }
+        return;
+    }
+
+    sendError(res, 404, 'Not found');
+};
+
+// ============================================
+// STATIC FILES
+// ============================================
+
+// Only the site itself is public: the pages, their scripts and data, and assets
+// under css/ and images/. Tooling, requests, the git folder and dotfiles are not.
+const PUBLIC_FILES = ['scripts.js', 'inventory-core.js', 'qrcode.js', 'mock-data.json'];
+const PUBLIC_DIRS = ['css', 'images'];
+
+const isPublicFile = (relativePath) => {
+    const parts = relativePath.split('/');
+    const ext = path.extname(relativePath).toLowerCase();
+    if (parts.some(part => part === '' || part.startsWith('.')) || !MIME_TYPES[ext]) return false;
+    if (parts.length === 1) return ext === '.html' || PUBLIC_FILES.includes(parts[0]);
+    return PUBLIC_DIRS.includes(parts[0]);
+};
+
+const serveStatic = (req, res, url) => {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    } catch (error) {
+        sendText(res, 400, 'Bad request');
+        return;
+    }
+
+    const relativePath = path.posix.normalize(pathname).replace(/^\/+/, '');
+    if (pathname.includes('\0') || !isPublicFile(relativePath)) {
+        sendText(res, 404, 'Not found');
+        return;
+    }
+    const filePath = path.join(ROOT, relativePath);
+
+    fs.stat(filePath, (statError, stats) => {
+        if (statError || !stats.isFile()) {
+            sendText(res, 404, 'Not found');
+            return;
+        }
+
+        // Lets pages revalidate mock-data.json (and the browser everything else) with a 304
+        const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+        const headers = {
+            ETag: etag,
+            'Last-Modified': stats.mtime.toUTCString(),
+            'Cache-Control': 'no-cache'
+        };
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+
+        fs.readFile(filePath, (err, content) => {
+            if (err) {
+                sendText(res, 404, 'Not found');
+                return;
+            }
+            res.writeHead(200, {
+                ...headers,
+                'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+            });
+            res.end(content);
+        });
+    });
+};
+
+// ============================================
+// SERVER
+// ============================================
+
+// One bad request must never take the server down
+const server = http.createServer((req, res) => {
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (error) {
+        sendText(res, 400, 'Bad request');
+        return;
+    }
+
+    const handle = url.pathname.startsWith('/api/') ? handleApi : serveStatic;
+    Promise.resolve().then(() => handle(req, res, url)).catch(error => {
+        console.error('Request error:', error);
+        if (res.headersSent) {
+            res.end();
+        } else if (url.pathname.startsWith('/api/')) {
+            sendError(res, 500, 'Internal server error');
+        } else {
+            sendText(res, 500, 'Internal server error');
+        }
+    });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`AutoLux running at http://localhost:${PORT}`);
+    });
+}
+
+module.exports = server;
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rankCars } = require('../inventory-core');
+const { makeCar } = require('./fixtures');
+
+const cheap = makeCar({ id: 1, price: 1000, year: 2020, km: 50000, rating: 4, seats: 5 });
+const dear = makeCar({ id: 2, price: 2000, year: 2024, km: 0, rating: 5, seats: 7 });
+
+test('rankCars scores each criterion from 0 for the worst car to 1 for the best', () => {
+    const [first, second] = rankCars([cheap, dear]);
+    assert.equal(first.car.id, 2);
+    assert.deepEqual(first.scores, { price: 0, age: 1, km: 1, rating: 1, seats: 1 });
+    assert.deepEqual(second.scores, { price: 1, age: 0, km: 0, rating: 0, seats: 0 });
+    // weights 3/2/2/2/1: dear gets 7 of 10, cheap 3
+    assert.equal(first.score, 70);
+    assert.equal(second.score, 30);
+});
+
+test('rankCars follows the weights it is given', () => {
+    const ranked = rankCars([dear, cheap], { price: 1 });
+    assert.deepEqual(ranked.map(result => [result.car.id, result.score]), [[1, 100], [2, 0]]);
+});
+
+test('rankCars counts a criterion every car ties on as best for all', () => {
+    const ranked = rankCars([makeCar({ id: 1 }), makeCar({ id: 2 })]);
+    assert.deepEqual(ranked.map(result => result.score), [100, 100]);
+    assert.deepEqual(ranked.map(result => result.car.id), [1, 2]);
+});
+
+test('rankCars reads a criterion through `values` when given, and gives 0 without weights', () => {
+    const ratings = { 1: 5, 2: 1 };
+    const [first] = rankCars([cheap, dear], { rating: 1 }, { rating: car => ratings[car.id] });
+    assert.equal(first.car.id, 1);
+    assert.deepEqual(rankCars([cheap, dear], {}).map(result => result.score), [0, 0]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRange, filterCars, getFacetCounts, getRangeBounds } = require('../inventory-core');
+const { makeInventory } = require('./fixtures');
+
+const { cars, usedCars } = makeInventory();
+const all = [...cars, ...usedCars];
+
+const countsOf = (facet) => Object.fromEntries(facet.map(({ value, count }) => [value, count]));
+
+test('parseRange reads closed, open-ended and single-value ranges', () => {
+    assert.deepEqual(parseRange('1000-2000'), { min: 1000, max: 2000 });
+    assert.deepEqual(parseRange('-2000'), { min: -Infinity, max: 2000 });
+    assert.deepEqual(parseRange('2021-'), { min: 2021, max: Infinity });
+    assert.deepEqual(parseRange('7'), { min: 7, max: 7 });
+    assert.equal(parseRange(''), null);
+    assert.equal(parseRange(undefined), null);
+});
+
+test('filterCars applies facets and ranges, and leaves sold cars out unless asked', () => {
+    assert.deepEqual(filterCars(all, { brand: ['BMW'] }).map(car => car.id), [1, 101]);
+    assert.deepEqual(filterCars(all, { price: '-2000' }).map(car => car.id), [2, 3, 101]);
+    assert.deepEqual(filterCars(all, { price: '-2000', showSold: true }).map(car => car.id), [2, 3, 101, 102]);
+    assert.deepEqual(filterCars(all, { year: '2021-', seats: '5' }).map(car => car.id), [2, 3]);
+});
+
+test('getFacetCounts counts each facet under the other filters, not its own selection', () => {
+    const facets = getFacetCounts(all, { brand: ['Toyota'], price: '-2000' });
+
+    // Brand ignores the Toyota selection but keeps the price cap and hides the sold Kia
+    assert.deepEqual(countsOf(facets.brand), { BMW: 1, Kia: 0, Toyota: 1, VinFast: 1 });
+    // Every other facet is narrowed to Toyotas under 2 tỷ
+    assert.deepEqual(countsOf(facets.fuel), { 'Dầu': 0, 'Điện': 0, 'Xăng': 1 });
+    assert.deepEqual(countsOf(facets.seats), { 5: 1, 7: 0 });
+    assert.deepEqual(facets.seats.map(({ value }) => value), ['5', '7']);
+});
+
+test('getFacetCounts follows the search text', () => {
+    const facets = getFacetCounts(all, { search: 'SUV' });
+    assert.deepEqual(countsOf(facets.brand), { BMW: 2, Kia: 0, Toyota: 0, VinFast: 1 });
+});
+
+test('getRangeBounds gives each range in its filter unit', () => {
+    assert.deepEqual(getRangeBounds(all), {
+        price: { min: 1100, max: 3000 },
+        year: { min: 2019, max: 2022 },
+        km: { min: 10000, max: 60000 }
+    });
+    assert.deepEqual(getRangeBounds([]).price, { min: 0, max: 0 });
+});
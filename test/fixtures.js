@@ -0,0 +1,37 @@
+/**
+ * Shared test data: cars that pass the inventory schema, changed per test as needed
+ */
+
+const makeCar = (fields = {}) => ({
+    id: 1,
+    name: 'BMW X5 xDrive40i',
+    brand: 'BMW',
+    model: 'X5',
+    year: 2022,
+    price: 3000000000,
+    km: 10000,
+    fuel: 'Xăng',
+    transmission: 'Tự động',
+    seats: 7,
+    color: 'Đen',
+    rating: 4.5,
+    badge: '',
+    description: 'SUV hạng sang',
+    images: ['https://example.com/x5.jpg'],
+    ...fields
+});
+
+// Three new cars and two used ones, ids in their proper ranges
+const makeInventory = () => ({
+    cars: [
+        makeCar({ id: 1 }),
+        makeCar({ id: 2, name: 'Toyota Camry 2.5Q', brand: 'Toyota', model: 'Camry', price: 1400000000, seats: 5, color: 'Trắng', description: 'Sedan' }),
+        makeCar({ id: 3, name: 'VinFast VF8 Plus', brand: 'VinFast', model: 'VF8', price: 1200000000, fuel: 'Điện', seats: 5, color: 'Xanh', description: 'SUV điện' })
+    ],
+    usedCars: [
+        makeCar({ id: 101, year: 2019, price: 1900000000, km: 60000 }),
+        makeCar({ id: 102, name: 'Kia Carnival', brand: 'Kia', model: 'Carnival', year: 2021, price: 1100000000, km: 30000, fuel: 'Dầu', status: 'sold' })
+    ]
+});
+
+module.exports = { makeCar, makeInventory };
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, importCsv, carryOverStock } = require('../import-inventory');
+const { makeCar } = require('./fixtures');
+
+const HEADER = 'type,id,name,brand,model,year,price,km,fuel,transmission,seats,color,rating,badge,description,images';
+const row = (fields) => [
+    'new', '', 'BMW X5', 'BMW', 'X5', '2022', '3.000.000.000', '10000', 'Xăng', 'Tự động', '7', 'Đen', '4.5', '', 'SUV', 'https://example.com/a.jpg'
+].map((value, i) => (fields[i] !== undefined ? fields[i] : value)).join(',');
+
+test('parseCsv handles quoted delimiters, doubled quotes and line breaks', () => {
+    const rows = parseCsv('a,b\n"x, y","say ""hi""\nagain"\n\nlast,1\n');
+    assert.deepEqual(rows, [
+        { line: 1, cells: ['a', 'b'] },
+        { line: 2, cells: ['x, y', 'say "hi"\nagain'] },
+        { line: 5, cells: ['last', '1'] }
+    ]);
+});
+
+test('parseCsv detects semicolons and tabs and strips a BOM', () => {
+    assert.deepEqual(parseCsv('\uFEFFa;b\r\n1;2').map(r => r.cells), [['a', 'b'], ['1', '2']]);
+    assert.deepEqual(parseCsv('a\tb\n1\t2').map(r => r.cells), [['a', 'b'], ['1', '2']]);
+});
+
+test('importCsv parses numbers, images and numbers rows without an id', () => {
+    const text = [HEADER, row({ 1: '5' }), row({}), row({ 0: 'cũ', 15: 'https://e.com/1.jpg|https://e.com/2.jpg' })].join('\n');
+    const { valid, rejected } = importCsv(text);
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(valid.cars.map(car => car.id), [5, 1]);
+    assert.equal(valid.cars[0].price, 3000000000);
+    assert.equal(valid.cars[0].rating, 4.5);
+    assert.deepEqual(valid.usedCars.map(car => [car.id, car.images.length]), [[101, 2]]);
+});
+
+test('importCsv skips ids already taken by the output file', () => {
+    const { valid } = importCsv([HEADER, row({})].join('\n'), { takenIds: [1, 2] });
+    assert.equal(valid.cars[0].id, 3);
+});
+
+test('importCsv rejects bad rows with their spreadsheet line', () => {
+    const text = [HEADER, row({ 8: 'Gas' }), row({ 0: 'x' }), row({ 1: '7' }), row({ 1: '7' })].join('\n');
+    const { valid, rejected } = importCsv(text);
+    assert.deepEqual(valid.cars.map(car => car.id), [7]);
+    assert.deepEqual(rejected.map(r => r.line), [2, 3, 5]);
+});
+
+test('importCsv rejects decimal prices and km instead of dropping the decimal point', () => {
+    const text = [HEADER, row({ 6: '1850000000.00' }), row({ 7: '12.5' }), row({ 6: '1 850 000 000', 7: '12.500' })].join('\n');
+    const { valid, rejected } = importCsv(text);
+    assert.deepEqual(rejected.map(r => [r.line, r.errors]), [
+        [2, ['price "1850000000.00" phải là số nguyên']],
+        [3, ['km "12.5" phải là số nguyên']]
+    ]);
+    assert.deepEqual(valid.cars.map(car => [car.price, car.km]), [[1850000000, 12500]]);
+});
+
+test('importCsv needs every required column', () => {
+    assert.throws(() => importCsv('name,brand\nX,Y'), /Missing columns: .*model/);
+});
+
+test('carryOverStock keeps the stock fields the site set', () => {
+    const previous = { cars: [makeCar({ id: 1, status: 'reserved', reservedBy: 'AL-1', reservedUntil: '2030-01-01T00:00:00Z', hidden: true })] };
+    const { data } = carryOverStock({ cars: [makeCar({ id: 1, price: 1 })], usedCars: [] }, previous);
+    assert.equal(data.cars[0].price, 1);
+    assert.equal(data.cars[0].status, 'reserved');
+    assert.equal(data.cars[0].reservedBy, 'AL-1');
+    assert.equal(data.cars[0].hidden, true);
+});
+
+test('carryOverStock keeps cars missing from the sheet unless pruning', () => {
+    const previous = { cars: [makeCar({ id: 1 }), makeCar({ id: 2 })], usedCars: [makeCar({ id: 101 })] };
+    const imported = { cars: [makeCar({ id: 1 })], usedCars: [] };
+
+    const kept = carryOverStock(imported, previous);
+    assert.deepEqual(kept.missing.map(car => car.id), [2, 101]);
+    assert.deepEqual(kept.data.cars.map(car => car.id), [1, 2]);
+    assert.deepEqual(kept.data.usedCars.map(car => car.id), [101]);
+
+    const pruned = carryOverStock(imported, previous, { prune: true });
+    assert.deepEqual(pruned.missing.map(car => car.id), [2, 101]);
+    assert.deepEqual(pruned.data.cars.map(car => car.id), [1]);
+    assert.deepEqual(pruned.data.usedCars, []);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getOrderStatus, canTransitionOrder, getOrderEvents, transitionOrder, createOrderCode } = require('../inventory-core');
+
+const placed = { id: 'AL-261019-K7QM', status: 'pending', timestamp: '2026-10-19T08:00:00.000Z' };
+
+test('orders without a status count as confirmed', () => {
+    assert.equal(getOrderStatus({ id: 1 }), 'confirmed');
+    assert.equal(canTransitionOrder({ id: 1 }, 'deposit_paid'), true);
+    assert.equal(canTransitionOrder({ id: 1 }, 'confirmed'), false);
+});
+
+test('transitionOrder moves along the allowed steps and records each one', () => {
+    const confirmed = transitionOrder(placed, 'confirmed', { at: '2026-10-19T09:00:00.000Z', by: 'staff' });
+    const paid = transitionOrder(confirmed, 'deposit_paid', { at: '2026-10-19T10:00:00.000Z', by: 'customer', note: 'VNPay' });
+    assert.equal(paid.status, 'deposit_paid');
+    assert.deepEqual(paid.events, [
+        { status: 'pending', at: '2026-10-19T08:00:00.000Z' },
+        { status: 'confirmed', at: '2026-10-19T09:00:00.000Z', by: 'staff', note: null },
+        { status: 'deposit_paid', at: '2026-10-19T10:00:00.000Z', by: 'customer', note: 'VNPay' }
+    ]);
+    assert.equal(placed.status, 'pending');
+});
+
+test('transitionOrder never skips ahead, not even to a paid deposit', () => {
+    assert.throws(() => transitionOrder(placed, 'deposit_paid'), /cannot go from pending to deposit_paid/);
+    assert.throws(() => transitionOrder(placed, 'delivered'), /cannot go from pending to delivered/);
+    const cancelled = transitionOrder(placed, 'cancelled');
+    assert.throws(() => transitionOrder(cancelled, 'confirmed'));
+});
+
+test('getOrderEvents rebuilds a history for orders placed before it was kept', () => {
+    assert.deepEqual(getOrderEvents({ id: 1, timestamp: '2025-01-01T00:00:00.000Z' }), [
+        { status: 'pending', at: '2025-01-01T00:00:00.000Z' },
+        { status: 'confirmed', at: null }
+    ]);
+    assert.deepEqual(getOrderEvents(placed), [{ status: 'pending', at: placed.timestamp }]);
+});
+
+test('createOrderCode uses the date and a readable suffix, skipping codes in use', () => {
+    const date = new Date(2026, 9, 9);
+    assert.equal(createOrderCode(date, [], () => 0), 'AL-261009-AAAA');
+
+    const draws = [0, 0, 0, 0, 0.99, 0.99, 0.99, 0.99];
+    const code = createOrderCode(date, ['AL-261009-AAAA'], () => draws.shift());
+    assert.equal(code, 'AL-261009-9999');
+    assert.match(createOrderCode(date), /^AL-261009-[A-HJ-NP-Z2-9]{4}$/);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateOwnershipCost, estimateRetention } = require('../inventory-core');
+const { makeCar } = require('./fixtures');
+
+const now = new Date('2026-06-01T00:00:00');
+const sedan = makeCar({ price: 1000000000, fuel: 'Xăng', seats: 5 });
+
+test('estimateOwnershipCost adds registration fees to the first year', () => {
+    const cost = estimateOwnershipCost(sedan, { province: 'ho-chi-minh', now });
+    assert.deepEqual(cost.oneOff, { registrationTax: 100000000, plateFee: 20000000 });
+    assert.deepEqual(cost.yearly[0], {
+        roadFee: 1560000,
+        mandatoryInsurance: 480700,
+        physicalInsurance: 15000000,
+        energy: 25200000,
+        maintenance: 12000000,
+        depreciation: 150000000,
+        total: 204240700
+    });
+    assert.equal(cost.firstYear, 324240700);
+    assert.equal(cost.yearly.length, 5);
+    assert.equal(cost.total, 120000000 + cost.yearly.reduce((sum, year) => sum + year.total, 0));
+    // Value falls by 15% a year; rounding may differ by a dong
+    assert.ok(Math.abs(cost.resaleValue - 1000000000 * Math.pow(0.85, 5)) <= 1);
+});
+
+test('estimateOwnershipCost uses the province rates and the used-car fees', () => {
+    assert.equal(estimateOwnershipCost(sedan, { province: 'ha-noi', now }).oneOff.registrationTax, 120000000);
+    assert.deepEqual(estimateOwnershipCost(sedan, { used: true, now }).oneOff, { registrationTax: 20000000, plateFee: 150000 });
+    assert.deepEqual(estimateOwnershipCost(sedan, { province: 'nowhere', now }).oneOff.plateFee, 20000000);
+});
+
+test('estimateOwnershipCost waives registration tax for electric cars until 2027-02-28', () => {
+    const ev = makeCar({ price: 1000000000, fuel: 'Điện', seats: 5 });
+    assert.equal(estimateOwnershipCost(ev, { now }).oneOff.registrationTax, 0);
+    assert.equal(estimateOwnershipCost(ev, { now: new Date('2027-03-01T00:00:00') }).oneOff.registrationTax, 100000000);
+    assert.equal(estimateOwnershipCost(ev, { now }).yearly[0].maintenance, 6000000);
+});
+
+test('estimateOwnershipCost charges bigger cars more insurance and energy', () => {
+    const suv = estimateOwnershipCost(makeCar({ price: 1000000000, fuel: 'Xăng', seats: 7 }), { now }).yearly[0];
+    assert.equal(suv.mandatoryInsurance, 873400);
+    assert.equal(suv.energy, 31500000);
+});
+
+test('estimateRetention learns from used cars of the same model, preferring the brand', () => {
+    const newCars = [
+        makeCar({ brand: 'Toyota', model: 'Camry', year: 2024, price: 1000 }),
+        makeCar({ brand: 'Toyota', model: 'Vios', year: 2024, price: 500 }),
+        makeCar({ brand: 'Kia', model: 'Morning', year: 2024, price: 400 })
+    ];
+    const usedCars = [
+        makeCar({ brand: 'Toyota', model: 'Camry', year: 2022, price: 810 }),
+        makeCar({ brand: 'Toyota', model: 'Vios', year: 2023, price: 450 }),
+        makeCar({ brand: 'Kia', model: 'Morning', year: 2023, price: 300 })
+    ];
+    const toyota = estimateRetention(makeCar({ brand: 'Toyota' }), newCars, usedCars);
+    assert.ok(Math.abs(toyota - 0.9) < 1e-9);
+    // Kia has a single pair, so every brand's pairs are pooled
+    const kia = estimateRetention(makeCar({ brand: 'Kia' }), newCars, usedCars);
+    assert.ok(Math.abs(kia - Math.cbrt(0.9 * 0.9 * 0.75)) < 1e-9);
+});
+
+test('estimateRetention falls back to 0.85 and stays within 0.7-0.97', () => {
+    assert.equal(estimateRetention(sedan, [], []), 0.85);
+    const newCars = [makeCar({ model: 'X5', year: 2024, price: 1000 })];
+    assert.equal(estimateRetention(sedan, newCars, [makeCar({ model: 'X5', year: 2023, price: 100 })]), 0.7);
+    assert.equal(estimateRetention(sedan, newCars, [makeCar({ model: 'X5', year: 2023, price: 1000 })]), 0.97);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, resolveSearch, createFilters } = require('../inventory-core');
+const { makeInventory } = require('./fixtures');
+
+const BRANDS = ['BMW', 'Mercedes-Benz', 'Toyota'];
+
+const parse = (query) => {
+    const { constraints, text } = parseQuery(query, BRANDS);
+    return { constraints: constraints.map(({ field, value }) => [field, value]), text };
+};
+
+test('parseQuery reads prices in tỷ and triệu as millions', () => {
+    assert.deepEqual(parse('SUV điện dưới 2 tỷ'), { constraints: [['fuel', 'Điện'], ['price', '-2000']], text: 'SUV' });
+    assert.deepEqual(parse('từ 800 triệu đến 1,2 tỷ').constraints, [['price', '800-1200']]);
+    assert.deepEqual(parse('trên 500tr').constraints, [['price', '500-']]);
+    assert.deepEqual(parse('xe 2 tỷ').constraints, [['price', '-2000']]);
+});
+
+test('parseQuery reads years, seats, fuel and transmission', () => {
+    assert.deepEqual(parse('BMW 2021 trở lên').constraints, [['brand', 'BMW'], ['year', '2021-']]);
+    assert.deepEqual(parse('từ 2018 đến 2020').constraints, [['year', '2018-2020']]);
+    assert.deepEqual(parse('sau 2019').constraints, [['year', '2020-']]);
+    assert.deepEqual(parse('xe 7 chỗ máy dầu'), { constraints: [['seats', '7'], ['fuel', 'Dầu']], text: 'xe' });
+    assert.deepEqual(parse('số tự động hybrid').constraints, [['transmission', 'Tự động'], ['fuel', 'Hybrid']]);
+});
+
+test('parseQuery matches brands by full name or first word, with or without diacritics', () => {
+    assert.deepEqual(parse('mercedes đen').constraints, [['brand', 'Mercedes-Benz']]);
+    assert.deepEqual(parse('xe dien').constraints, [['fuel', 'Điện']]);
+    // e + combining circumflex + combining dot below, as some keyboards send it
+    assert.deepEqual(parse('xe \u0111ie\u0302\u0323n').constraints, [['fuel', 'Điện']]);
+});
+
+test('parseQuery cuts constraints out of the original text, emoji included', () => {
+    const result = parseQuery('🚗 Mercedes từ 1,5 tỷ đến 3 tỷ màu đen', BRANDS);
+    assert.equal(result.text, '🚗 màu đen');
+    result.constraints.forEach(({ start, end }) => {
+        assert.ok(!'🚗 Mercedes từ 1,5 tỷ đến 3 tỷ màu đen'.slice(start, end).includes('🚗'));
+    });
+    assert.equal(parseQuery('Toyota 🚗 2020', BRANDS).text, '🚗');
+});
+
+test('parseQuery leaves a plain query alone', () => {
+    assert.deepEqual(parseQuery('sang trọng', BRANDS), { constraints: [], text: 'sang trọng' });
+    assert.deepEqual(parseQuery('', BRANDS), { constraints: [], text: '' });
+});
+
+test('resolveSearch turns constraints into filters and narrows existing ranges', () => {
+    const { cars } = makeInventory();
+    const filters = { ...createFilters(), search: 'Toyota dưới 2 tỷ sedan', price: '1000-3000' };
+    const resolved = resolveSearch(filters, cars);
+    assert.deepEqual(resolved.brand, ['Toyota']);
+    assert.equal(resolved.price, '1000-2000');
+    assert.equal(resolved.search, 'sedan');
+});
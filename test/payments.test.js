@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getDepositAmount, canPayDeposit, applyPaymentResult } = require('../inventory-core');
+
+const order = {
+    id: 'AL-261019-K7QM',
+    status: 'confirmed',
+    total: 1234567000,
+    payments: [{ txnRef: 'T1', provider: 'vnpay', amount: 123457000, status: 'pending' }]
+};
+
+test('getDepositAmount rounds a percentage up to the thousand and caps it at the total', () => {
+    assert.equal(getDepositAmount(1234567000, { type: 'percent', value: 10 }), 123457000);
+    assert.equal(getDepositAmount(1000000000, { type: 'fixed', value: 50000000 }), 50000000);
+    assert.equal(getDepositAmount(30000000, { type: 'fixed', value: 50000000 }), 30000000);
+});
+
+test('applyPaymentResult settles the pending payment by response code', () => {
+    const at = '2026-10-19T10:00:00.000Z';
+    const paid = applyPaymentResult(order, { txnRef: 'T1', amount: '123457000', responseCode: '00', transactionNo: '99' }, at);
+    assert.equal(paid.duplicate, false);
+    assert.deepEqual(paid.payment, { ...order.payments[0], status: 'success', responseCode: '00', transactionNo: '99', settledAt: at });
+    assert.equal(paid.order.payments[0].status, 'success');
+    assert.equal(order.payments[0].status, 'pending');
+
+    assert.equal(applyPaymentResult(order, { txnRef: 'T1', amount: '123457000', responseCode: '24' }).payment.status, 'cancelled');
+    assert.equal(applyPaymentResult(order, { txnRef: 'T1', amount: '123457000', responseCode: '99' }).payment.status, 'failed');
+});
+
+test('applyPaymentResult ignores a replayed result', () => {
+    const { order: paid } = applyPaymentResult(order, { txnRef: 'T1', amount: '123457000', responseCode: '00' });
+    const replay = applyPaymentResult(paid, { txnRef: 'T1', amount: '123457000', responseCode: '51' });
+    assert.equal(replay.duplicate, true);
+    assert.equal(replay.order, paid);
+    assert.equal(replay.payment.status, 'success');
+});
+
+test('applyPaymentResult throws for an unknown transaction or a different amount', () => {
+    assert.throws(() => applyPaymentResult(order, { txnRef: 'T2', amount: '123457000', responseCode: '00' }), /Unknown transaction T2/);
+    assert.throws(() => applyPaymentResult(order, { txnRef: 'T1', amount: '1000', responseCode: '00' }), /does not match/);
+});
+
+test('canPayDeposit needs a confirmed order without a paid deposit', () => {
+    assert.equal(canPayDeposit({ ...order, status: 'pending' }), false);
+    assert.equal(canPayDeposit(order), true);
+    // Orders from before the lifecycle count as confirmed
+    assert.equal(canPayDeposit({ ...order, status: undefined }), true);
+    assert.equal(canPayDeposit({ ...order, status: 'ready' }), false);
+    assert.equal(canPayDeposit({ ...order, status: 'cancelled' }), false);
+    assert.equal(canPayDeposit(applyPaymentResult(order, { txnRef: 'T1', amount: '123457000', responseCode: '00' }).order), false);
+});
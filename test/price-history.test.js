@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getPriceHistory, trackPrice, getLastPriceChange, hasRecentPriceDrop } = require('../inventory-core');
+const { mergePriceHistory } = require('../import-inventory');
+const { makeCar } = require('./fixtures');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('getPriceHistory falls back to the current price', () => {
+    assert.deepEqual(getPriceHistory(makeCar({ price: 100 })), [{ date: undefined, price: 100 }]);
+});
+
+test('trackPrice starts a history, dated by `since`, on the first change', () => {
+    const car = trackPrice(makeCar({ price: 90 }), makeCar({ price: 100 }), '2026-02-01', '2026-01-01');
+    assert.deepEqual(car.priceHistory, [{ date: '2026-01-01', price: 100 }, { date: '2026-02-01', price: 90 }]);
+});
+
+test('trackPrice appends to an existing history and keeps it when the price is unchanged', () => {
+    const previous = makeCar({ price: 90, priceHistory: [{ date: '2026-01-01', price: 100 }, { date: '2026-02-01', price: 90 }] });
+    assert.deepEqual(trackPrice(makeCar({ price: 90 }), previous, '2026-03-01').priceHistory, previous.priceHistory);
+    assert.deepEqual(trackPrice(makeCar({ price: 95 }), previous, '2026-03-01').priceHistory.map(entry => entry.price), [100, 90, 95]);
+});
+
+test('trackPrice leaves new cars and unchanged cars without a history alone', () => {
+    assert.equal(trackPrice(makeCar(), null).priceHistory, undefined);
+    assert.equal(trackPrice(makeCar(), makeCar()).priceHistory, undefined);
+});
+
+test('getLastPriceChange describes the latest change', () => {
+    const car = makeCar({ price: 90, priceHistory: [{ date: '2026-01-01', price: 100 }, { date: '2026-02-01', price: 90 }] });
+    assert.deepEqual(getLastPriceChange(car), { from: 100, to: 90, amount: -10, percent: -10, date: '2026-02-01' });
+    assert.equal(getLastPriceChange(makeCar()), null);
+});
+
+test('hasRecentPriceDrop only counts cuts within 30 days', () => {
+    const cut = makeCar({ price: 90, priceHistory: [{ date: '2026-01-01', price: 100 }, { date: '2026-02-01', price: 90 }] });
+    const raise = makeCar({ price: 110, priceHistory: [{ date: '2026-01-01', price: 100 }, { date: '2026-02-01', price: 110 }] });
+    const cutAt = Date.parse('2026-02-01');
+    assert.equal(hasRecentPriceDrop(cut, cutAt + 30 * DAY), true);
+    assert.equal(hasRecentPriceDrop(cut, cutAt + 31 * DAY), false);
+    assert.equal(hasRecentPriceDrop(raise, cutAt + DAY), false);
+    assert.equal(hasRecentPriceDrop(makeCar(), cutAt), false);
+});
+
+test('mergePriceHistory tracks every imported car against the previous file', () => {
+    const previous = {
+        version: '2026-01-01T00:00:00.000Z',
+        cars: [makeCar({ id: 1, price: 100 }), makeCar({ id: 2, price: 200 })],
+        usedCars: [makeCar({ id: 101, price: 50, priceHistory: [{ date: '2025-06-01', price: 60 }, { date: '2025-12-01', price: 50 }] })]
+    };
+    const valid = {
+        cars: [makeCar({ id: 1, price: 80 }), makeCar({ id: 2, price: 200 }), makeCar({ id: 3, price: 300 })],
+        usedCars: [makeCar({ id: 101, price: 45 })]
+    };
+    const merged = mergePriceHistory(valid, previous, '2026-02-01T00:00:00.000Z');
+
+    assert.deepEqual(merged.cars[0].priceHistory, [
+        { date: '2026-01-01T00:00:00.000Z', price: 100 },
+        { date: '2026-02-01T00:00:00.000Z', price: 80 }
+    ]);
+    assert.equal(merged.cars[1].priceHistory, undefined);
+    assert.equal(merged.cars[2].priceHistory, undefined);
+    assert.deepEqual(merged.usedCars[0].priceHistory.map(entry => entry.price), [60, 50, 45]);
+});
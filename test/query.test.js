@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const InventoryCore = require('../inventory-core');
+const { makeCar, makeInventory } = require('./fixtures');
+
+const allCars = () => {
+    const { cars, usedCars } = makeInventory();
+    return [...cars, ...usedCars];
+};
+
+test('queryCars filters by comma-separated facets and min-max ranges', () => {
+    const result = InventoryCore.queryCars(allCars(), { brand: 'BMW,Toyota', price: '1000-2000' });
+    assert.deepEqual(result.items.map(car => car.id), [2, 101]);
+    assert.equal(result.total, 2);
+});
+
+test('queryCars leaves sold cars out unless showSold is "true"', () => {
+    assert.ok(!InventoryCore.queryCars(allCars(), {}).items.some(car => car.id === 102));
+    assert.ok(InventoryCore.queryCars(allCars(), { showSold: 'true' }).items.some(car => car.id === 102));
+});
+
+test('queryCars treats a lapsed reservation as available', () => {
+    const cars = [makeCar({ status: 'reserved', reservedUntil: '2000-01-01T00:00:00Z' })];
+    assert.equal(InventoryCore.queryCars(cars, {}).total, 1);
+});
+
+test('queryCars narrows to the given ids', () => {
+    assert.deepEqual(InventoryCore.queryCars(allCars(), { ids: '3,101' }).items.map(car => car.id), [3, 101]);
+});
+
+test('queryCars sorts before paginating', () => {
+    const result = InventoryCore.queryCars(allCars(), { sortBy: 'price-asc', page: '2', pageSize: '2' });
+    assert.deepEqual(result.items.map(car => car.id), [101, 1]);
+    assert.deepEqual(
+        { total: result.total, page: result.page, pageSize: result.pageSize, totalPages: result.totalPages },
+        { total: 4, page: 2, pageSize: 2, totalPages: 2 }
+    );
+});
+
+test('paginate clamps the page and page size', () => {
+    const cars = Array.from({ length: 5 }, (_, i) => makeCar({ id: i + 1 }));
+    assert.equal(InventoryCore.paginate(cars, 99, 2).page, 3);
+    assert.equal(InventoryCore.paginate(cars, -1, 2).page, 1);
+    assert.equal(InventoryCore.paginate(cars, 1, 1000).pageSize, InventoryCore.MAX_PAGE_SIZE);
+    assert.equal(InventoryCore.paginate(cars, 1, 'x').pageSize, InventoryCore.DEFAULT_PAGE_SIZE);
+    assert.deepEqual(InventoryCore.paginate([], 1).totalPages, 1);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getVisibleReviews, summarizeReviews, sortReviews, REVIEW_SORTS, createReviewId, addReviewReport, moderateReview } = require('../inventory-core');
+
+const review = (id, rating, createdAt, fields = {}) => ({ id, rating, createdAt, hidden: false, ...fields });
+
+const reviews = [
+    review('a', 5, '2026-01-01T00:00:00.000Z'),
+    review('b', 2, '2026-03-01T00:00:00.000Z'),
+    review('c', 4, '2026-02-01T00:00:00.000Z'),
+    review('d', 1, '2026-04-01T00:00:00.000Z', { hidden: true }),
+    review('e', 4, '2026-05-01T00:00:00.000Z')
+];
+
+const ids = (list) => list.map(r => r.id);
+
+test('getVisibleReviews drops the reviews staff hid', () => {
+    assert.deepEqual(ids(getVisibleReviews(reviews)), ['a', 'b', 'c', 'e']);
+});
+
+test('summarizeReviews leaves hidden reviews out of the average and the breakdown', () => {
+    assert.deepEqual(summarizeReviews(reviews), {
+        average: 3.8,
+        count: 4,
+        breakdown: { 1: 0, 2: 1, 3: 0, 4: 2, 5: 1 }
+    });
+});
+
+test('summarizeReviews has no average without visible reviews', () => {
+    assert.deepEqual(summarizeReviews([reviews[3]]), { average: null, count: 0, breakdown: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+    assert.equal(summarizeReviews([]).average, null);
+});
+
+test('sortReviews orders by date or by rating, newer first among equal ratings', () => {
+    const visible = getVisibleReviews(reviews);
+    assert.deepEqual(REVIEW_SORTS, ['newest', 'oldest', 'highest', 'lowest']);
+    assert.deepEqual(ids(sortReviews(visible, 'newest')), ['e', 'b', 'c', 'a']);
+    assert.deepEqual(ids(sortReviews(visible, 'oldest')), ['a', 'c', 'b', 'e']);
+    assert.deepEqual(ids(sortReviews(visible, 'highest')), ['a', 'e', 'c', 'b']);
+    assert.deepEqual(ids(sortReviews(visible, 'lowest')), ['b', 'e', 'c', 'a']);
+    assert.deepEqual(ids(sortReviews(visible)), ids(sortReviews(visible, 'newest')));
+    assert.deepEqual(ids(visible), ['a', 'b', 'c', 'e']);
+});
+
+test('createReviewId never hands out an id already taken, even within one millisecond', () => {
+    const date = new Date(2026, 9, 19);
+    const draws = [0, 0, 0, 0, 0, 0, 0, 0, 0.5, 0.5, 0.5, 0.5];
+    const first = createReviewId(date, [], () => draws.shift());
+    const second = createReviewId(date, [first], () => draws.shift());
+    assert.equal(first, 'RV-261019-AAAA');
+    assert.equal(second, 'RV-261019-SSSS');
+    assert.match(createReviewId(date), /^RV-261019-[A-HJ-NP-Z2-9]{4}$/);
+});
+
+test('addReviewReport counts each customer once', () => {
+    const reported = addReviewReport(addReviewReport(review('a', 5, '2026-01-01T00:00:00.000Z'), 'an@example.com'), 'an@example.com');
+    assert.deepEqual(reported.reports, ['an@example.com']);
+});
+
+test('moderateReview hides, restores and dismisses reports, stamping who did it', () => {
+    const reported = review('a', 5, '2026-01-01T00:00:00.000Z', { reports: ['an@example.com'] });
+    const now = Date.parse('2026-06-01T00:00:00.000Z');
+
+    const hidden = moderateReview(reported, 'hide', { by: 'mod@autolux.vn', now });
+    assert.equal(hidden.hidden, true);
+    assert.deepEqual(hidden.reports, ['an@example.com']);
+    assert.equal(hidden.moderatedBy, 'mod@autolux.vn');
+    assert.equal(hidden.moderatedAt, '2026-06-01T00:00:00.000Z');
+
+    const restored = moderateReview(hidden, 'restore', { by: 'mod@autolux.vn', now });
+    assert.equal(restored.hidden, false);
+    assert.deepEqual(restored.reports, []);
+
+    const dismissed = moderateReview(reported, 'dismiss', { by: 'mod@autolux.vn', now });
+    assert.equal(dismissed.hidden, false);
+    assert.deepEqual(dismissed.reports, []);
+    assert.equal(moderateReview(reported, 'delete'), null);
+    assert.deepEqual(reported.reports, ['an@example.com']);
+});
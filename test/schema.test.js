@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const InventoryCore = require('../inventory-core');
+const { makeCar, makeInventory } = require('./fixtures');
+
+test('validateCar accepts a complete record', () => {
+    assert.deepEqual(InventoryCore.validateCar(makeCar()), []);
+});
+
+test('validateCar reports every broken field', () => {
+    const errors = InventoryCore.validateCar(makeCar({ name: ' ', fuel: 'Gas', price: -1, images: ['ftp://x'] }));
+    assert.equal(errors.length, 4);
+});
+
+test('validateCar checks the optional stock fields when present', () => {
+    assert.equal(InventoryCore.validateCar(makeCar({ status: 'gone' })).length, 1);
+    assert.equal(InventoryCore.validateCar(makeCar({ reservedUntil: 'soon' })).length, 1);
+    assert.equal(InventoryCore.validateCar(makeCar({ hidden: 'yes' })).length, 1);
+    assert.equal(InventoryCore.validateCar(makeCar({ priceHistory: [{ date: 'x', price: 1 }] })).length, 1);
+});
+
+test('validateInventory splits valid records from rejected ones', () => {
+    const { valid, rejected } = InventoryCore.validateInventory(makeInventory());
+    assert.equal(valid.cars.length, 3);
+    assert.equal(valid.usedCars.length, 2);
+    assert.deepEqual(rejected, []);
+});
+
+test('validateInventory rejects ids outside their range and duplicates', () => {
+    const data = {
+        cars: [makeCar({ id: 1 }), makeCar({ id: 150 })],
+        usedCars: [makeCar({ id: 50 }), makeCar({ id: 1 })]
+    };
+    const { valid, rejected } = InventoryCore.validateInventory(data);
+    assert.deepEqual(valid.cars.map(car => car.id), [1]);
+    assert.deepEqual(rejected.map(r => [r.condition, r.index, r.id]), [['new', 1, 150], ['used', 0, 50], ['used', 1, 1]]);
+    assert.match(rejected[2].errors.join(), /trùng/);
+});
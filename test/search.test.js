@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeText, searchCars } = require('../inventory-core');
+const { makeCar } = require('./fixtures');
+
+const cars = [
+    makeCar({ id: 1, name: 'Mercedes-Benz GLC 300', brand: 'Mercedes-Benz', model: 'GLC', color: 'Đen', description: 'SUV sang trọng' }),
+    makeCar({ id: 2, name: 'VinFast VF8 Plus', brand: 'VinFast', model: 'VF8', fuel: 'Điện', color: 'Xanh', description: 'SUV điện' }),
+    makeCar({ id: 3, name: 'Toyota Camry 2.5Q', brand: 'Toyota', model: 'Camry', color: 'Trắng', description: 'Sedan đen nội thất da' }),
+    makeCar({ id: 4, name: 'Toyota Camry Đen', brand: 'Toyota', model: 'Camry', color: 'Đen', description: 'Sedan' })
+];
+
+const ids = (query) => searchCars(cars, query).map(car => car.id);
+
+test('normalizeText drops diacritics, đ and punctuation', () => {
+    assert.equal(normalizeText('Đen Ánh-Kim'), 'den anh kim');
+    assert.equal(normalizeText('  Xe ĐIỆN!! '), 'xe dien');
+    assert.equal(normalizeText(undefined), '');
+});
+
+test('searchCars matches with or without diacritics', () => {
+    assert.deepEqual(ids('điện'), [2]);
+    assert.deepEqual(ids('dien'), [2]);
+    assert.deepEqual(ids('SUV ĐIỆN'), [2]);
+});
+
+test('searchCars forgives small typos in longer words only', () => {
+    assert.deepEqual(ids('mercedez'), [1]);
+    assert.deepEqual(ids('toyta'), [3, 4]);
+    assert.deepEqual(ids('vinfats'), [2]);
+    // "dien" is too short to be a typo of "den"
+    assert.deepEqual(ids('dien'), [2]);
+});
+
+test('searchCars ranks name hits above color hits above description hits, ties in order', () => {
+    assert.deepEqual(ids('đen'), [4, 1, 3]);
+    assert.deepEqual(ids('camry'), [3, 4]);
+    assert.deepEqual(ids('camry den'), [4, 3]);
+});
+
+test('searchCars needs every word to match something', () => {
+    assert.deepEqual(ids('toyota điện'), []);
+    assert.deepEqual(ids('vf8 plus'), [2]);
+});
+
+test('searchCars ignores stop words and returns every car for an empty query', () => {
+    assert.deepEqual(ids('xe điện'), [2]);
+    assert.deepEqual(ids('xe'), [1, 2, 3, 4]);
+    assert.deepEqual(ids(''), [1, 2, 3, 4]);
+});
@@ -0,0 +1,307 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { makeCar, makeInventory } = require('./fixtures');
+
+// The server reads its data file when required, so point it at a scratch copy first
+const dataFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'autolux-')), 'inventory.json');
+const inventory = makeInventory();
+inventory.version = '2026-01-01T00:00:00.000Z';
+inventory.cars.push(makeCar({ id: 4, hidden: true }));
+fs.writeFileSync(dataFile, JSON.stringify(inventory));
+process.env.DATA_FILE = dataFile;
+const reviewsFile = path.join(path.dirname(dataFile), 'reviews.json');
+process.env.REVIEWS_FILE = reviewsFile;
+process.env.PAYMENTS_FILE = path.join(path.dirname(dataFile), 'payments.json');
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const server = require('../server');
+
+let baseUrl;
+
+test.before(() => new Promise(resolve => {
+    server.listen(0, () => {
+        baseUrl = `http://localhost:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve))
+    .then(() => fs.rmSync(path.dirname(dataFile), { recursive: true, force: true })));
+
+const get = (pathname, headers = {}) => fetch(`${baseUrl}${pathname}`, { headers });
+
+test('GET /api/inventory returns the data with its version as the ETag', async () => {
+    const response = await get('/api/inventory');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('etag'), '"2026-01-01T00:00:00.000Z"');
+    const body = await response.json();
+    assert.equal(body.version, '2026-01-01T00:00:00.000Z');
+    assert.equal(body.cars.length, 4);
+
+    const revalidated = await get('/api/inventory', { 'If-None-Match': response.headers.get('etag') });
+    assert.equal(revalidated.status, 304);
+});
+
+test('GET /api/cars filters, paginates and never lists hidden cars', async () => {
+    const body = await (await get('/api/cars?type=new&sortBy=price-asc&pageSize=2')).json();
+    assert.deepEqual(body.items.map(car => car.id), [3, 2]);
+    assert.equal(body.total, 3);
+    assert.equal(body.totalPages, 2);
+});
+
+test('GET /api/cars rejects an unknown type', async () => {
+    assert.equal((await get('/api/cars?type=old')).status, 400);
+});
+
+test('GET /api/cars/:id resolves hidden cars and 404s unknown ones', async () => {
+    assert.equal((await (await get('/api/cars/4')).json()).id, 4);
+    assert.equal((await get('/api/cars/99')).status, 404);
+});
+
+test('a malformed URL gets a 400 and the server keeps running', async () => {
+    assert.equal((await get('/%E0%A4%A')).status, 400);
+    assert.equal((await get('/api/inventory')).status, 200);
+});
+
+test('only the site files are served', async () => {
+    assert.equal((await get('/')).status, 200);
+    assert.equal((await get('/scripts.js')).status, 200);
+    for (const pathname of ['/.git/config', '/requests.jsonl', '/package.json', '/server.js', '/REVIEW_DIFF.patch', '/css/../.git/HEAD', '/%2e%2e/etc/passwd']) {
+        assert.equal((await get(pathname)).status, 404, pathname);
+    }
+});
+
+const ADMIN = { Authorization: 'Bearer test-admin-token' };
+
+const put = (pathname, body, headers = ADMIN) => fetch(`${baseUrl}${pathname}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+
+test('PUT /api/cars/:id needs the admin token', async () => {
+    assert.equal((await put('/api/cars/1', makeCar({ id: 1, name: 'Hacked' }), {})).status, 401);
+    assert.equal((await put('/api/cars/1', makeCar({ id: 1, name: 'Hacked' }), { Authorization: 'Bearer guess' })).status, 401);
+    assert.equal(JSON.parse(fs.readFileSync(dataFile, 'utf8')).cars[0].name, 'BMW X5 xDrive40i');
+});
+
+test('writes from another origin are refused, and the preflight only allows this one', async () => {
+    const response = await put('/api/cars/1', makeCar({ id: 1, name: 'Hacked' }), { ...ADMIN, Origin: 'https://evil.example' });
+    assert.equal(response.status, 403);
+
+    const preflight = await fetch(`${baseUrl}/api/cars/1`, { method: 'OPTIONS', headers: { Origin: 'https://evil.example' } });
+    assert.equal(preflight.headers.get('access-control-allow-origin'), baseUrl);
+    assert.equal((await get('/api/cars/1')).headers.get('access-control-allow-origin'), '*');
+});
+
+test('PUT /api/cars/:id saves an edit to the data file and bumps the version', async () => {
+    const before = (await (await get('/api/inventory')).json()).version;
+    const response = await put('/api/cars/2', makeCar({ id: 2, name: 'Toyota Camry 2.5HEV', price: 1500000000 }));
+    assert.equal(response.status, 200);
+    const car = await response.json();
+    assert.equal(car.name, 'Toyota Camry 2.5HEV');
+    assert.deepEqual(car.priceHistory.map(entry => entry.price), [1400000000, 1500000000]);
+
+    const stored = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    assert.equal(stored.cars.find(c => c.id === 2).name, 'Toyota Camry 2.5HEV');
+    assert.ok(stored.version > before);
+    assert.equal((await get('/api/inventory', { 'If-None-Match': `"${before}"` })).status, 200);
+});
+
+test('PUT /api/cars/:id keeps the stored price history, not the one sent', async () => {
+    const car = await (await put('/api/cars/2', makeCar({ id: 2, price: 1500000000, priceHistory: [{ date: '2020-01-01', price: 1 }] }))).json();
+    assert.deepEqual(car.priceHistory.map(entry => entry.price), [1400000000, 1500000000]);
+});
+
+test('PUT /api/cars/:id creates a car, but not over an existing one with If-None-Match: *', async () => {
+    assert.equal((await put('/api/cars/5', makeCar({ id: 5 }), { ...ADMIN, 'If-None-Match': '*' })).status, 201);
+    assert.equal((await put('/api/cars/5', makeCar({ id: 5 }), { ...ADMIN, 'If-None-Match': '*' })).status, 412);
+    assert.equal((await (await get('/api/cars/5')).json()).id, 5);
+});
+
+test('PUT /api/cars/:id rejects invalid cars and mismatched ids', async () => {
+    const invalid = await put('/api/cars/3', makeCar({ id: 3, fuel: 'Gas' }));
+    assert.equal(invalid.status, 422);
+    assert.equal((await invalid.json()).errors.length, 1);
+    assert.equal((await put('/api/cars/3', makeCar({ id: 4 }))).status, 400);
+    const broken = await fetch(`${baseUrl}/api/cars/3`, { method: 'PUT', headers: ADMIN, body: '{' });
+    assert.equal(broken.status, 400);
+});
+
+const post = (pathname, body, headers = {}) => fetch(`${baseUrl}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+
+test('POST /api/cars/:id/status holds a car for one order and refuses every other', async () => {
+    const reserved = await post('/api/cars/101/status', { status: 'reserved', orderId: 'AL-1', hours: 1 });
+    assert.equal(reserved.status, 200);
+    const car = await reserved.json();
+    assert.equal(car.reservedBy, 'AL-1');
+    assert.ok(Date.parse(car.reservedUntil) > Date.now());
+
+    const stored = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    assert.equal(stored.usedCars.find(c => c.id === 101).status, 'reserved');
+
+    assert.equal((await post('/api/cars/101/status', { status: 'reserved', orderId: 'AL-2' })).status, 409);
+    assert.equal((await post('/api/cars/101/status', { status: 'sold', orderId: 'AL-2' })).status, 409);
+    assert.equal((await post('/api/cars/101/status', { status: 'available', orderId: 'AL-2' })).status, 409);
+    assert.equal((await post('/api/cars/101/status', { status: 'sold', orderId: 'AL-1' })).status, 200);
+    assert.equal((await post('/api/cars/102/status', { status: 'reserved', orderId: 'AL-3' })).status, 409);
+});
+
+test('PUT /api/cars/:id does not undo a sale', async () => {
+    const car = await (await put('/api/cars/101', makeCar({ id: 101, year: 2019, price: 1900000000, km: 60000, status: 'available' }))).json();
+    assert.equal(car.status, 'sold');
+    assert.equal(car.reservedBy, 'AL-1');
+});
+
+test('POST /api/cars/:id/status rejects bad requests and unknown cars', async () => {
+    assert.equal((await post('/api/cars/3/status', { status: 'gone' })).status, 400);
+    assert.equal((await post('/api/cars/3/status', { status: 'reserved', hours: 1000 })).status, 400);
+    assert.equal((await post('/api/cars/3/status', { status: 'reserved', orderId: {} })).status, 400);
+    assert.equal((await post('/api/cars/99/status', { status: 'sold', orderId: 'AL-9' })).status, 404);
+});
+
+test('POST /api/cars/:id/status refuses anonymous releases and sales of a held car', async () => {
+    assert.equal((await post('/api/cars/3/status', { status: 'reserved', orderId: 'AL-4', hours: 1 })).status, 200);
+    assert.equal((await post('/api/cars/3/status', { status: 'available' })).status, 400);
+    assert.equal((await post('/api/cars/3/status', { status: 'available', orderId: '' })).status, 400);
+    assert.equal((await post('/api/cars/3/status', { status: 'sold' })).status, 400);
+    assert.equal((await post('/api/cars/3/status', { status: 'sold', orderId: 'AL-5' })).status, 409);
+    // An unheld car can't be sold without an order either
+    assert.equal((await post('/api/cars/1/status', { status: 'sold' })).status, 400);
+
+    const stored = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    assert.equal(stored.cars.find(c => c.id === 3).reservedBy, 'AL-4');
+    assert.equal(stored.cars.find(c => c.id === 1).status, undefined);
+});
+
+test('POST /api/admin/cars/:id/status takes staff overrides with the admin token only', async () => {
+    assert.equal((await post('/api/admin/cars/3/status', { status: 'available' })).status, 401);
+    assert.equal((await post('/api/admin/cars/3/status', { status: 'available' }, { Authorization: 'Bearer guess' })).status, 401);
+
+    const released = await post('/api/admin/cars/3/status', { status: 'available' }, ADMIN);
+    assert.equal(released.status, 200);
+    assert.equal((await released.json()).reservedBy, undefined);
+    assert.equal((await post('/api/admin/cars/3/status', { status: 'sold' }, ADMIN)).status, 200);
+});
+
+const review = { carId: 1, userEmail: 'an@example.com', userName: 'An', rating: 4, text: 'Êm và rộng' };
+
+test('POST /api/reviews stores one review per customer and model, without showing emails', async () => {
+    assert.deepEqual(await (await get('/api/reviews')).json(), []);
+
+    const created = await post('/api/reviews', review);
+    assert.equal(created.status, 201);
+    const body = await created.json();
+    assert.match(body.id, /^RV-\d{6}-[A-Z0-9]{4}$/);
+    assert.equal(body.model, 'bmw|x5');
+    assert.equal(body.mine, true);
+    assert.equal(body.userEmail, undefined);
+
+    // Car 101 is the same model
+    assert.equal((await post('/api/reviews', { ...review, carId: 101 })).status, 409);
+    const invalid = await post('/api/reviews', { ...review, carId: 99, rating: 6, text: ' ' });
+    assert.equal(invalid.status, 422);
+    assert.equal((await invalid.json()).errors.length, 3);
+
+    const listed = await (await get('/api/reviews?viewer=binh@example.com')).json();
+    assert.equal(listed.length, 1);
+    assert.equal(listed[0].mine, false);
+    assert.equal(listed[0].reports, undefined);
+    assert.equal(JSON.parse(fs.readFileSync(reviewsFile, 'utf8'))[0].userEmail, 'an@example.com');
+});
+
+test('reports and moderation reach every shopper through the reviews file', async () => {
+    const [{ id }] = await (await get('/api/reviews')).json();
+
+    const reported = await post(`/api/reviews/${id}/report`, { userEmail: 'binh@example.com' });
+    assert.equal(reported.status, 200);
+    assert.equal((await reported.json()).reported, true);
+    assert.equal((await post(`/api/reviews/${id}/report`, { userEmail: 'an@example.com' })).status, 400);
+    assert.equal((await post('/api/reviews/RV-000000-XXXX/report', { userEmail: 'binh@example.com' })).status, 404);
+
+    const queue = await (await get('/api/admin/reviews', ADMIN)).json();
+    assert.deepEqual(queue[0].reports, ['binh@example.com']);
+
+    const hidden = await post(`/api/admin/reviews/${id}`, { action: 'hide', by: 'mod@autolux.vn' }, ADMIN);
+    assert.equal(hidden.status, 200);
+    assert.equal((await hidden.json()).moderatedBy, 'mod@autolux.vn');
+    assert.deepEqual(await (await get('/api/reviews')).json(), []);
+    // The author still sees their hidden review, so they are not asked to write another
+    assert.equal((await (await get('/api/reviews?viewer=an@example.com')).json()).length, 1);
+
+    assert.equal((await post(`/api/admin/reviews/${id}`, { action: 'restore' }, ADMIN)).status, 200);
+    const [restored] = await (await get('/api/admin/reviews', ADMIN)).json();
+    assert.equal(restored.hidden, false);
+    assert.deepEqual(restored.reports, []);
+    assert.equal((await post(`/api/admin/reviews/${id}`, { action: 'delete' }, ADMIN)).status, 400);
+});
+
+test('the review moderation routes need the admin token', async () => {
+    const [{ id }] = await (await get('/api/reviews')).json();
+    assert.equal((await get('/api/admin/reviews')).status, 401);
+    assert.equal((await post(`/api/admin/reviews/${id}`, { action: 'hide' })).status, 401);
+    assert.equal((await post(`/api/admin/reviews/${id}`, { action: 'hide' }, { Authorization: 'Bearer guess' })).status, 401);
+    assert.equal((await (await get('/api/reviews')).json()).length, 1);
+});
+
+const deposit = () => ({
+    orderId: 'AL-261019-K7QM',
+    amount: 123457000,
+    provider: 'vnpay',
+    orderInfo: 'Dat coc don hang AL-261019-K7QM',
+    returnUrl: `${baseUrl}/account.html`
+});
+
+const verify = async (params) => (await (await post('/api/payments/verify', params)).json()).valid;
+
+test('POST /api/payments signs a gateway request that only the server can vouch for', async () => {
+    const created = await post('/api/payments', deposit());
+    assert.equal(created.status, 201);
+    const request = await created.json();
+    assert.match(request.txnRef, /^AL-261019-K7QM-[0-9A-Z]+$/);
+    assert.equal(request.amount, '123457000');
+    assert.match(request.signature, /^[0-9a-f]{64}$/);
+
+    assert.equal(await verify(request), true);
+    assert.equal(await verify({ ...request, amount: '1000' }), false);
+    assert.equal(await verify({ ...request, signature: 'f'.repeat(64) }), false);
+    const { signature, ...unsigned } = request;
+    assert.equal(await verify(unsigned), false);
+
+    const second = await (await post('/api/payments', deposit())).json();
+    assert.notEqual(second.txnRef, request.txnRef);
+});
+
+test('POST /api/payments rejects bad amounts, providers and return URLs off this site', async () => {
+    const invalid = await post('/api/payments', { ...deposit(), amount: -1, provider: 'paypal', returnUrl: 'https://evil.example/account.html' });
+    assert.equal(invalid.status, 422);
+    assert.equal((await invalid.json()).errors.length, 3);
+    assert.equal((await post('/api/payments', { ...deposit(), orderId: 'AL 1/2' })).status, 422);
+});
+
+test('a payment result is signed by the server once and cannot be forged or changed', async () => {
+    const request = await (await post('/api/payments', deposit())).json();
+
+    const completed = await post(`/api/payments/${request.txnRef}/complete`, { responseCode: '24' });
+    assert.equal(completed.status, 200);
+    const { returnUrl, result } = await completed.json();
+    assert.equal(returnUrl, `${baseUrl}/account.html`);
+    assert.equal(result.responseCode, '24');
+    assert.equal(await verify(result), true);
+
+    // The first answer is final, so a cancelled payment can't be turned into a paid one
+    const again = await (await post(`/api/payments/${request.txnRef}/complete`, { responseCode: '00' })).json();
+    assert.deepEqual(again.result, result);
+    assert.equal(await verify({ ...result, responseCode: '00' }), false);
+    // A request's signature is no good as a result
+    assert.equal(await verify({ ...request, responseCode: '00' }), false);
+
+    assert.equal((await post(`/api/payments/${request.txnRef}/complete`, { responseCode: '12' })).status, 400);
+    assert.equal((await post('/api/payments/AL-0-X/complete', { responseCode: '00' })).status, 404);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findSimilarCars } = require('../inventory-core');
+const { makeCar } = require('./fixtures');
+
+// A 3 tỷ petrol BMW with 7 seats
+const x5 = makeCar({ id: 1 });
+
+const others = [
+    makeCar({ id: 2, name: 'BMW X7', model: 'X7', price: 3300000000 }),
+    makeCar({ id: 3, name: 'Mercedes GLS', brand: 'Mercedes-Benz', model: 'GLS', price: 2900000000, km: 0 }),
+    makeCar({ id: 4, name: 'VinFast VF9', brand: 'VinFast', model: 'VF9', price: 1500000000, fuel: 'Điện' }),
+    makeCar({ id: 5, name: 'Kia Morning', brand: 'Kia', model: 'Morning', price: 300000000, fuel: 'Điện', seats: 4, year: 2015, km: 90000 }),
+    makeCar({ id: 101, name: 'BMW X5 2020', year: 2020, price: 2400000000, km: 40000 }),
+    makeCar({ id: 102, name: 'BMW X5 2021', year: 2021, price: 2700000000, status: 'sold' }),
+    makeCar({ id: 103, name: 'Lexus LX', brand: 'Lexus', model: 'LX', price: 3100000000, fuel: 'Dầu', year: 2021, km: 25000 })
+];
+
+const ids = (results) => results.map(({ car }) => car.id);
+
+test('findSimilarCars leaves out the car itself and sold cars', () => {
+    const results = findSimilarCars(x5, [x5, ...others]);
+    assert.ok(!ids(results).includes(1));
+    assert.ok(!ids(results).includes(102));
+});
+
+test('findSimilarCars mixes new and used cars, best first, at most 6', () => {
+    const results = findSimilarCars(x5, [x5, ...others]);
+    // The Kia shares nothing with an X5 and is not needed to fill the strip
+    assert.deepEqual(ids(results).sort((a, b) => a - b), [2, 3, 4, 101, 103]);
+    assert.deepEqual(ids(results).slice(0, 3), [2, 101, 3]);
+    assert.ok(results.some(({ car }) => car.id < 101) && results.some(({ car }) => car.id >= 101));
+    assert.deepEqual(results.map(({ score }) => score), [...results.map(({ score }) => score)].sort((a, b) => b - a));
+    const clones = Array.from({ length: 8 }, (_, i) => makeCar({ id: 10 + i }));
+    assert.equal(findSimilarCars(x5, clones).length, 6);
+    assert.equal(findSimilarCars(x5, others, 2).length, 2);
+});
+
+test('findSimilarCars gives the matching criteria as reasons', () => {
+    const [x7] = findSimilarCars(x5, [others[0]]);
+    assert.deepEqual(x7.reasons, ['price', 'brand', 'fuel', 'seats', 'year', 'km']);
+    const gls = findSimilarCars(x5, [others[1]])[0];
+    assert.ok(gls.reasons.includes('price'));
+    assert.ok(!gls.reasons.includes('brand'));
+});
+
+test('findSimilarCars fills the strip to 4 cars with weak matches, but no further', () => {
+    const unlike = (id) => makeCar({ id, brand: 'Kia', model: `K${id}`, price: 300000000, fuel: 'Điện', seats: 4, year: 2010, km: 200000 });
+    const results = findSimilarCars(x5, [unlike(11), unlike(12), unlike(13), unlike(14), unlike(15), others[0]]);
+    assert.equal(results.length, 4);
+    assert.equal(results[0].car.id, 2);
+    assert.deepEqual(results[1].reasons, []);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAvailability, changeStock } = require('../inventory-core');
+const { makeCar } = require('./fixtures');
+
+const now = Date.parse('2026-03-01T00:00:00.000Z');
+const until = '2026-03-03T00:00:00.000Z';
+const held = makeCar({ status: 'reserved', reservedBy: 'AL-1', reservedUntil: until });
+
+test('getAvailability lets a reservation lapse once reservedUntil has passed', () => {
+    assert.equal(getAvailability(held, now), 'reserved');
+    assert.equal(getAvailability(held, Date.parse(until) + 1), 'available');
+    assert.equal(getAvailability(makeCar({ status: 'reserved' }), now), 'available');
+    assert.equal(getAvailability(makeCar({ status: 'sold' }), now), 'sold');
+});
+
+test('changeStock reserves an available car for an order', () => {
+    const { car } = changeStock(makeCar(), { status: 'reserved', orderId: 'AL-1', until, now });
+    assert.equal(car.status, 'reserved');
+    assert.equal(car.reservedBy, 'AL-1');
+    assert.equal(car.reservedUntil, until);
+});
+
+test('changeStock refuses a car another order holds or bought', () => {
+    assert.ok(changeStock(held, { status: 'reserved', orderId: 'AL-2', until, now }).error);
+    assert.ok(changeStock(held, { status: 'sold', orderId: 'AL-2', now }).error);
+    assert.ok(changeStock(held, { status: 'available', orderId: 'AL-2', now }).error);
+    assert.ok(changeStock(held, { status: 'sold', now }).error);
+    assert.ok(changeStock(held, { status: 'sold', staff: true, now }).error);
+    assert.ok(changeStock(makeCar({ status: 'sold', reservedBy: 'AL-1' }), { status: 'reserved', orderId: 'AL-1', until, now }).error);
+});
+
+test('changeStock lets the holding order sell or release its car, matching numeric ids too', () => {
+    const { car: sold } = changeStock(held, { status: 'sold', orderId: 'AL-1', now });
+    assert.equal(sold.status, 'sold');
+    assert.equal(sold.reservedBy, 'AL-1');
+    assert.equal(sold.reservedUntil, undefined);
+
+    const legacy = makeCar({ status: 'reserved', reservedBy: 1700000000000, reservedUntil: until });
+    const { car: released } = changeStock(legacy, { status: 'available', orderId: '1700000000000', now });
+    assert.equal(released.status, 'available');
+    assert.ok(!('reservedBy' in released));
+});
+
+test('changeStock needs an order unless staff override it', () => {
+    assert.ok(changeStock(held, { status: 'available', now }).error);
+    assert.ok(changeStock(makeCar(), { status: 'sold', now }).error);
+    assert.ok(changeStock(makeCar(), { status: 'reserved', orderId: '', until, now }).error);
+});
+
+test('changeStock lets staff put any car back on sale and take over a lapsed hold', () => {
+    assert.equal(changeStock(makeCar({ status: 'sold', reservedBy: 'AL-1' }), { status: 'available', staff: true, now }).car.status, 'available');
+    assert.equal(changeStock(held, { status: 'available', staff: true, now }).car.status, 'available');
+    const sold = changeStock(held, { status: 'sold', staff: true, now: Date.parse(until) + 1 }).car;
+    assert.equal(sold.status, 'sold');
+    assert.ok(!('reservedBy' in sold));
+    assert.ok(changeStock(makeCar(), { status: 'gone', staff: true, now }).error);
+});